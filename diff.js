@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Offline log diff: align the packet streams of two saved logs and report
+// packets that are missing, inserted or moved, and field differences between
+// the packets that match.
+//
+// Usage: node diff.js [options] <log A> <log B>
+
+const fs = require('fs');
+const path = require('path');
+const { readLogFile } = require('./lib/log-reader');
+const { compilePacketPatterns } = require('./lib/filters');
+const cli = require('./lib/cli');
+const { diffLogs, formatLogDiff } = require('./lib/sequence-diff');
+
+const USAGE = `Usage: node diff.js [options] <log A> <log B>
+
+Options:
+  --defs <dir>             Definitions directory (default: ../../data/definitions)
+  --config <file>          Config with packetGroups and diff settings (default: config.json)
+  --map <file>             Opcode map used to name packets (default: names from the logs)
+  --def-version <name=ver> Decode a packet with a specific definition version (repeatable)
+  --include <patterns>     Only packets matching these names, numbers or patterns (comma separated)
+  --exclude <patterns>     Skip packets matching these names, numbers or patterns (comma separated)
+  --direction <dir>        Only SENT or RECEIVED packets
+  --ignore <fields>        Also ignore these fields (comma separated, e.g. gameId,*Time,loc)
+  --no-default-ignore      Don't ignore the fields in diff.ignoreFields of the config
+  --max-edits <n>          Give up when more packets than this differ (default: diff.maxEdits)
+  --limit <n>              List at most this many differences
+  --out <file>             Write to a file instead of stdout`;
+
+function parseArgs(argv) {
+    const options = cli.parseArgs(argv, {
+        defaults: {
+            include: [],
+            exclude: [],
+            direction: null,
+            ignore: [],
+            defaultIgnore: true,
+            maxEdits: null,
+            limit: Infinity,
+            files: []
+        },
+        flags: {
+            '--include': (options, args) => { options.include.push(...args.next().split(',')); },
+            '--exclude': (options, args) => { options.exclude.push(...args.next().split(',')); },
+            '--direction': (options, args) => { options.direction = args.next().toUpperCase(); },
+            '--ignore': (options, args) => { options.ignore.push(...args.next().split(',')); },
+            '--no-default-ignore': (options) => { options.defaultIgnore = false; },
+            '--max-edits': (options, args) => { options.maxEdits = args.count(); },
+            '--limit': (options, args) => { options.limit = args.count(); }
+        },
+        positional: (options, arg) => options.files.push(arg)
+    });
+    
+    if (options.direction && !['SENT', 'RECEIVED'].includes(options.direction)) {
+        throw new Error(`Unknown direction ${options.direction}`);
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (options.help || options.files.length !== 2) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+    
+    let config;
+    let opcodeMap;
+    try {
+        config = cli.loadConfig(options.config);
+    } catch (error) {
+        console.error(`Cannot read ${options.config}: ${error.message}`);
+        process.exit(1);
+    }
+    try {
+        opcodeMap = cli.loadOpcodeMap(options.map);
+    } catch (error) {
+        console.error(`Cannot read ${options.map}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const definitions = cli.loadDefinitions(options.defs);
+    const include = compilePacketPatterns(options.include, config.packetGroups);
+    const exclude = compilePacketPatterns(options.exclude, config.packetGroups);
+    for (const error of [...include.errors, ...exclude.errors]) {
+        console.error(`Skipping pattern ${error}`);
+    }
+    
+    const readEntries = (file) => readLogFile(file).entries.filter(entry => {
+        if (opcodeMap && opcodeMap[entry.opcode]) {
+            entry.name = opcodeMap[entry.opcode];
+        }
+        entry.name = entry.name || `UNKNOWN_${entry.opcode}`;
+        
+        if (options.direction && entry.direction !== options.direction) return false;
+        if (!include.isEmpty && !include.test(entry.opcode, entry.name)) return false;
+        return !exclude.test(entry.opcode, entry.name);
+    });
+    
+    const decode = cli.createEntryDecoder(definitions, options.defVersions);
+    
+    const [fileA, fileB] = options.files;
+    let entriesA;
+    let entriesB;
+    let result;
+    try {
+        entriesA = readEntries(fileA);
+        entriesB = readEntries(fileB);
+        result = diffLogs(entriesA, entriesB, {
+            decode,
+            ignore: [...(options.defaultIgnore ? config.diff.ignoreFields : []), ...options.ignore],
+            maxEdits: options.maxEdits || config.diff.maxEdits
+        });
+    } catch (error) {
+        console.error(`Cannot compare the logs: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const lines = formatLogDiff(result, entriesA, entriesB, {
+        nameA: path.basename(fileA),
+        nameB: path.basename(fileB),
+        maxItems: options.limit
+    });
+    const report = lines.join('\n') + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        console.error(lines[1]);
+    } else {
+        process.stdout.write(report);
+    }
+    // Like diff(1): 0 when the logs match, 1 for errors, 2 for differences
+    process.exitCode = result.items.length > 0 ? 2 : 0;
+}
+
+main();
@@ -1,270 +1,247 @@
 const fs = require('fs');
 const path = require('path');
+const pcapng = require('./lib/pcapng');
+const { loadDefinitionsDir, getLoadedVersions } = require('./lib/definitions');
+const decoder = require('./lib/decoder');
+const template = require('./lib/template');
+const { parseOpcodeMap, findMapFiles, fromDispatchMap, mergeOpcodeMaps } = require('./lib/opcodes');
+const output = require('./lib/output');
+const packetDiff = require('./lib/diff');
+const { compilePacketPatterns, compilePacketFilters, matchesPacketFilters } = require('./lib/filters');
+const { compileFilterExpression } = require('./lib/filter-expression');
+const { createInspectorServer } = require('./lib/inspector');
+const { createModificationTracker } = require('./lib/modifications');
+const { createEntityTracker } = require('./lib/entities');
+const { SORT_KEYS, createPacketStats } = require('./lib/stats');
+const { createRingBuffer, compileTriggers } = require('./lib/trigger');
+const infer = require('./lib/infer');
+const { readJsonFile } = require('./lib/json-file');
+const { createFileWatcher } = require('./lib/file-watcher');
+const { listLogFiles, createSegmentWriter, compressLogFile, pruneLogs: pruneLogFiles } = require('./lib/log-files');
+const configSchema = require('./lib/config-schema');
+const { readLogFileAsync } = require('./lib/log-reader');
+const { diffLogsAsync, formatLogDiff } = require('./lib/sequence-diff');
+const { parseSearchQuery, updateLogIndex, searchLogs, formatSearchHits } = require('./lib/log-search');
+const { compilePairs, createLatencyTracker, formatLatencySummary } = require('./lib/latency');
+const profiles = require('./lib/profiles');
 
 module.exports = function PacketLogger(mod) {
     let enabled = false;
-    let logFile = null;
-    let logStream = null;
+    let sessionStart = process.hrtime.bigint();
+    let sessionStartUs = 0n;
+    let sessionTimestamp = null;
+    let filePrefix = 'packet-log';
+    // Format the open log segment was started with
+    let segmentFormat = null;
+    const logWriter = createSegmentWriter({
+        getRotation: () => config.rotation,
+        onOpen: writeSegmentHeader,
+        onClosed: handleClosedSegment
+    });
     let packetCount = { sent: 0, received: 0 };
     let config = null;
     let opcodeMap = {};
+    let opcodeSources = {};
+    let sysmsgMap = {};
+    let sysmsgSources = {};
+    // Dispatch protocol version the maps were loaded for
+    let opcodeMapVersion = null;
     let blacklist = [];
+    // Packets let through despite matching the blacklist (debug actionstage)
+    const blacklistExceptions = new Set();
+    let blacklistMatcher = compilePacketPatterns([]);
     let packetDescriptions = {};
+    let descriptionMaps = {};
     let packetDefinitions = {};
+    let resolvedVersions = new Map();
     let debugMode = false;
+    let packetFilters = null;
+    let filterExpression = null;
+    let packetHooks = [];
+    const modificationTracker = createModificationTracker(capturePacket);
+    const inspector = createInspectorServer({
+        compileFilter: compileInspectorFilter,
+        onError: (error) => mod.log(`Packet inspector error: ${error.message}`)
+    });
+    const entityTracker = createEntityTracker();
+    let packetStats = null;
+    let latencyTracker = null;
+    let triggerCapture = null;
+    // The log diff or search running in the background, if any
+    let logTask = null;
+    // Samples for structure inference by opcode, and opcodes sampled on request
+    const inferSamples = new Map();
+    const inferWatched = new Set();
+    const definitionsDir = path.join(__dirname, '../../data/definitions');
+    // Watches the files below for hot reload, and the text each was last
+    // loaded or saved with, so our own saves don't count as changes
+    let fileWatcher = null;
+    const loadedTexts = {};
     
-    // Load packet definitions
-    function loadPacketDefinitions() {
+    // Load packet definitions. A reload throws instead when any file is
+    // broken, keeping the definitions that are loaded.
+    function loadPacketDefinitions(reload = false) {
         try {
-            const definitionsDir = path.join(__dirname, '../../data/definitions');
             if (fs.existsSync(definitionsDir)) {
-                const files = fs.readdirSync(definitionsDir);
-                for (const file of files) {
-                    if (file.endsWith('.def')) {
-                        const packetName = file.replace(/\.\d+\.def$/, '');
-                        const version = parseInt(file.match(/\.(\d+)\.def$/)?.[1] || '1');
-                        
-                        if (!packetDefinitions[packetName]) {
-                            packetDefinitions[packetName] = {};
-                        }
-                        
-                        const content = fs.readFileSync(path.join(definitionsDir, file), 'utf8');
-                        packetDefinitions[packetName][version] = parseDefinitionFile(content);
-                    }
+                const result = loadDefinitionsDir(definitionsDir);
+                if (reload && result.errors.length > 0) {
+                    throw new Error(result.errors.map(error => `${error.file}: ${error.message}`).join('; '));
                 }
+                for (const error of result.errors) {
+                    mod.log(`Skipping definition ${error.file}: ${error.message}`);
+                }
+                packetDefinitions = result.definitions;
+                resolvedVersions.clear();
                 mod.log(`Loaded ${Object.keys(packetDefinitions).length} packet definition types`);
             }
         } catch (error) {
+            if (reload) throw error;
             mod.log(`Error loading packet definitions: ${error.message}`);
         }
     }
     
-    // Parse a .def file into a structured format
-    function parseDefinitionFile(content) {
-        const lines = content.split('\n');
-        const fields = [];
-        let offset = 0;
+    // Ask the dispatch which definition version it uses for a packet.
+    // Returns null when no connection/protocol is available to answer.
+    function getDispatchVersion(opcodeName) {
+        const dispatch = mod.dispatch;
+        if (!dispatch) return null;
         
-        for (const line of lines) {
-            const trimmed = line.trim();
-            if (!trimmed || trimmed.startsWith('#')) continue;
-            
-            const parts = trimmed.split(/\s+/);
-            if (parts.length < 2) continue;
-            
-            const type = parts[0];
-            const name = parts[1];
-            
-            if (type === 'array') {
-                // Handle array fields
-                fields.push({
-                    name: name,
-                    type: 'array',
-                    offset: offset,
-                    size: 4 // array length is typically 4 bytes
-                });
-                offset += 4;
-            } else if (type === 'string') {
-                // Handle string fields
-                fields.push({
-                    name: name,
-                    type: 'string',
-                    offset: offset,
-                    size: 0 // variable size
-                });
-                offset += 4; // string length
-            } else {
-                // Handle primitive types
-                const size = getTypeSize(type);
-                fields.push({
-                    name: name,
-                    type: type,
-                    offset: offset,
-                    size: size
-                });
-                offset += size;
+        try {
+            const resolved = dispatch.protocol?.resolveIdentifier?.(opcodeName, '*');
+            if (resolved && Number.isInteger(resolved.version)) {
+                return resolved.version;
             }
+        } catch (error) {
+            // Unknown to the protocol, try the next source
         }
         
-        return fields;
+        const latest = dispatch.latestDefVersion?.get?.(opcodeName);
+        return Number.isInteger(latest) ? latest : null;
     }
     
-    // Get the size of a data type
-    function getTypeSize(type) {
-        const sizes = {
-            'int8': 1, 'uint8': 1, 'byte': 1,
-            'int16': 2, 'uint16': 2,
-            'int32': 4, 'uint32': 4,
-            'int64': 8, 'uint64': 8,
-            'float': 4, 'double': 8,
-            'bool': 1,
-            'vec3': 12, // 3 floats
-            'angle': 4, // float
-            'ref': 4,
-            'skillid': 4, // skill ID is typically 4 bytes
-            'skillid32': 4 // skill ID is typically 4 bytes
-        };
-        return sizes[type] || 4; // default to 4 bytes
+    // Pick the loaded definition version to decode a packet with.
+    // The dispatch decides when it knows the packet and we have that version
+    // loaded; otherwise fall back to the highest loaded version.
+    function resolveDefinitionVersion(opcodeName) {
+        if (resolvedVersions.has(opcodeName)) {
+            return resolvedVersions.get(opcodeName);
+        }
+        
+        const definitions = packetDefinitions[opcodeName] || {};
+        const loaded = getLoadedVersions(packetDefinitions, opcodeName);
+        const dispatchVersion = getDispatchVersion(opcodeName);
+        
+        let resolved;
+        if (dispatchVersion !== null && definitions[dispatchVersion]) {
+            resolved = { version: dispatchVersion, source: 'dispatch', dispatchVersion, loaded };
+            resolvedVersions.set(opcodeName, resolved);
+        } else {
+            // Not cached: the dispatch may be able to answer once connected
+            resolved = { version: loaded.length > 0 ? loaded[0] : null, source: 'latest loaded', dispatchVersion, loaded };
+        }
+        return resolved;
     }
     
     // Parse packet data using actual packet definitions
     function parsePacketData(opcode, data) {
-        try {
-            const opcodeName = translateOpcode(opcode);
-            const description = packetDescriptions[opcodeName];
-            
-            if (!description) {
-                return null; // No custom description for this packet
-            }
-            
-            // Find the packet definition
-            const definitions = packetDefinitions[opcodeName];
-            if (!definitions) {
-                return null; // No definition found
-            }
-            
-            // Use the latest version (highest number)
-            const versions = Object.keys(definitions).map(v => parseInt(v)).sort((a, b) => b - a);
-            if (versions.length === 0) {
-                return null;
-            }
-            
-            const latestVersion = versions[0];
-            const fields = definitions[latestVersion];
-            
-            // Parse the packet data
-            const parsedData = {};
-            let currentOffset = 0;
-            
-            // Special debugging for S_ACTION_STAGE
-            const isActionStage = opcodeName === 'S_ACTION_STAGE';
-            if (isActionStage && debugMode) {
-                mod.log(`[DEBUG] S_ACTION_STAGE packet size: ${data.length} bytes`);
-                mod.log(`[DEBUG] S_ACTION_STAGE hex data: ${data.toString('hex')}`);
-            }
-            
-            for (const field of fields) {
-                if (currentOffset >= data.length) break;
-                
-                try {
-                    const value = readFieldValue(data, currentOffset, field);
-                    if (value !== undefined) {
-                        parsedData[field.name] = value;
-                        
-                        // Debug output for S_ACTION_STAGE
-                        if (isActionStage && debugMode) {
-                            mod.log(`[DEBUG] Field ${field.name} (${field.type}) at offset ${currentOffset}: ${value}`);
-                        }
-                    }
-                    currentOffset += field.size;
-                } catch (error) {
-                    // Skip this field if we can't read it
-                    if (isActionStage && debugMode) {
-                        mod.log(`[DEBUG] Error reading field ${field.name}: ${error.message}`);
-                    }
-                    currentOffset += field.size;
+        const opcodeName = translateOpcode(opcode);
+        const description = isDescribed(opcodeName) ? packetDescriptions[opcodeName] : null;
+        
+        if (!description) {
+            return null; // No custom description for this packet, or not in the description set
+        }
+        
+        // Find the packet definition matching the live protocol
+        const resolved = resolveDefinitionVersion(opcodeName);
+        if (resolved.version === null) {
+            return null; // No definition found
+        }
+        
+        const activeVersion = resolved.version;
+        const fields = packetDefinitions[opcodeName][activeVersion];
+        
+        // Special debugging for S_ACTION_STAGE
+        const isActionStage = opcodeName === 'S_ACTION_STAGE';
+        if (isActionStage && debugMode) {
+            mod.log(`[DEBUG] S_ACTION_STAGE packet size: ${data.length} bytes`);
+            mod.log(`[DEBUG] S_ACTION_STAGE hex data: ${data.toString('hex')}`);
+        }
+        
+        const parsedData = decoder.parsePacketData(data, description, fields, {
+            templateOptions: { maps: descriptionMaps, specifiers: entityTracker.specifiers },
+            onError: (error) => {
+                if (debugMode) {
+                    mod.log(`[DEBUG] Error decoding ${opcodeName}.${activeVersion}: ${error.message}`);
                 }
             }
-            
-            // Format location if present
-            if (parsedData.loc && typeof parsedData.loc === 'object') {
-                parsedData.loc = `(${parsedData.loc.x?.toFixed(2) || 0}, ${parsedData.loc.y?.toFixed(2) || 0}, ${parsedData.loc.z?.toFixed(2) || 0})`;
+        });
+        
+        if (parsedData && isActionStage && debugMode) {
+            for (const [key, value] of Object.entries(parsedData.fields)) {
+                mod.log(`[DEBUG] Field ${key}: ${template.formatValue(value)}`);
             }
-            
-            return {
-                description: description.description,
-                fields: parsedData,
-                format: description.format
-            };
-        } catch (error) {
-            return null;
         }
+        
+        return parsedData;
     }
     
-    // Read a field value from the packet data
-    function readFieldValue(data, offset, field) {
-        if (offset >= data.length) return undefined;
-        
-        switch (field.type) {
-            case 'int8':
-                return data.readInt8(offset);
-            case 'uint8':
-                return data.readUInt8(offset);
-            case 'int16':
-                return data.readInt16LE(offset);
-            case 'uint16':
-                return data.readUInt16LE(offset);
-            case 'int32':
-                return data.readInt32LE(offset);
-            case 'uint32':
-                return data.readUInt32LE(offset);
-            case 'int64':
-                return data.readBigInt64LE(offset);
-            case 'uint64':
-                return data.readBigUInt64LE(offset);
-            case 'float':
-                return data.readFloatLE(offset);
-            case 'double':
-                return data.readDoubleLE(offset);
-            case 'bool':
-                return data.readUInt8(offset) !== 0;
-            case 'vec3':
-                if (offset + 12 <= data.length) {
-                    return {
-                        x: data.readFloatLE(offset),
-                        y: data.readFloatLE(offset + 4),
-                        z: data.readFloatLE(offset + 8)
-                    };
-                }
-                return undefined;
-            case 'angle':
-                return data.readFloatLE(offset);
-            case 'skillid':
-            case 'skillid32':
-                // Skill IDs are typically 32-bit integers
-                return data.readUInt32LE(offset);
-            case 'string':
-                // Read string length first
-                const length = data.readUInt32LE(offset);
-                if (offset + 4 + length <= data.length) {
-                    return data.toString('utf8', offset + 4, offset + 4 + length);
-                }
-                return undefined;
-            case 'array':
-                // Read array length
-                const arrayLength = data.readUInt32LE(offset);
-                return arrayLength; // For now, just return the length
-            default:
-                return undefined;
-        }
+    // Whether descriptions apply to a packet: all of them, or only those in
+    // the description set of the active profile
+    function isDescribed(opcodeName) {
+        const descriptionSet = config.descriptionSet || [];
+        return descriptionSet.length === 0 || descriptionSet.includes(opcodeName);
     }
     
-    // Format packet data using custom descriptions
-    function formatPacketData(parsedData) {
-        if (!parsedData) return null;
+    // Number of packet descriptions in use
+    function countDescriptions() {
+        return Object.keys(packetDescriptions).filter(isDescribed).length;
+    }
+    
+    // Decode a packet with its active definition, whether or not it has a description.
+    // Returns the field tree, or null when there is no definition or the packet doesn't fit.
+    // ranges, when given, collects the byte range of every field.
+    function decodeFields(opcode, data, ranges = null) {
+        const opcodeName = translateOpcode(opcode);
+        const resolved = resolveDefinitionVersion(opcodeName);
+        if (resolved.version === null) return null;
         
         try {
-            let formatted = parsedData.format;
-            for (const [key, value] of Object.entries(parsedData.fields)) {
-                const placeholder = `{${key}}`;
-                if (formatted.includes(placeholder)) {
-                    formatted = formatted.replace(placeholder, String(value));
-                }
-            }
-            return formatted;
+            return decoder.decodePacket(data, packetDefinitions[opcodeName][resolved.version], ranges);
         } catch (error) {
             return null;
         }
     }
     
-    // Load packet descriptions
-    function loadPacketDescriptions() {
+    // Describe how other modules changed a packet in flight
+    function getModificationDiff(opcode, original, modified) {
+        const before = decodeFields(opcode, original);
+        const after = decodeFields(opcode, modified);
+        return {
+            bytes: packetDiff.diffBytes(original, modified),
+            fields: before && after ? packetDiff.diffFields(before, after) : []
+        };
+    }
+    
+    // Load packet descriptions. Formats that won't render are reported; a
+    // reload throws instead when it would bring in a new broken format,
+    // keeping the descriptions that are loaded.
+    function loadPacketDescriptions(reload = false) {
         try {
             const descriptionsPath = path.join(__dirname, 'packet-descriptions.json');
             if (fs.existsSync(descriptionsPath)) {
-                const descriptionsData = JSON.parse(fs.readFileSync(descriptionsPath, 'utf8'));
-                packetDescriptions = descriptionsData.packets || {};
+                const { data, text } = readJsonFile(descriptionsPath);
+                checkDescriptionsData(data);
+                const formatErrors = getFormatErrors(data.packets || {});
+                const newErrors = formatErrors.filter(error => packetDescriptions[error.name]?.format !== data.packets[error.name].format);
+                if (reload && newErrors.length > 0) {
+                    throw new Error(newErrors.map(error => error.message).join('; '));
+                }
+                packetDescriptions = data.packets || {};
+                descriptionMaps = data.maps || {};
+                loadedTexts.descriptions = text;
+                template.clearTemplateCache();
                 mod.log(`Loaded ${Object.keys(packetDescriptions).length} packet descriptions`);
+                formatErrors.forEach(error => mod.log(error.message));
             } else {
                 mod.log('No packet descriptions file found, creating default one');
                 const defaultDescriptions = {
@@ -283,26 +260,69 @@ module.exports = function PacketLogger(mod) {
                         "S_CHAT": {
                             "description": "Chat message",
                             "fields": ["name", "message", "channel"],
-                            "format": "[{channel}] {name}: {message}"
+                            "format": "[{channel:@chatChannels}] {name}: {message}"
+                        }
+                    },
+                    "maps": {
+                        "chatChannels": {
+                            "0": "Say", "1": "Party", "2": "Guild", "3": "Area", "4": "Trade",
+                            "9": "Greet", "21": "Party Notice", "25": "Raid Notice", "26": "Emote",
+                            "27": "Global", "32": "Raid", "213": "Megaphone", "214": "Guild Ad"
                         }
                     }
                 };
                 fs.writeFileSync(descriptionsPath, JSON.stringify(defaultDescriptions, null, 2));
                 packetDescriptions = defaultDescriptions.packets;
+                descriptionMaps = defaultDescriptions.maps;
             }
         } catch (error) {
+            if (reload) throw error;
             mod.log(`Error loading packet descriptions: ${error.message}`);
             packetDescriptions = {};
+            descriptionMaps = {};
+        }
+    }
+    
+    // Check the layout of packet-descriptions.json, throwing on the first problem
+    function checkDescriptionsData(data) {
+        const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(data)) throw new Error('expected an object');
+        if (data.packets !== undefined && !isObject(data.packets)) throw new Error('"packets" must be an object');
+        if (data.maps !== undefined && !isObject(data.maps)) throw new Error('"maps" must be an object');
+        
+        for (const [name, description] of Object.entries(data.packets || {})) {
+            if (!isObject(description)) throw new Error(`packets.${name} must be an object`);
+            if (description.format !== undefined && typeof description.format !== 'string') {
+                throw new Error(`packets.${name}.format must be a string`);
+            }
         }
     }
     
-    // Load blacklist
-    function loadBlacklist() {
+    // Format strings that won't render, as { name, message }
+    function getFormatErrors(descriptions) {
+        const errors = [];
+        for (const [name, description] of Object.entries(descriptions)) {
+            try {
+                template.compileTemplate(description.format || '', Object.keys(entityTracker.specifiers));
+            } catch (error) {
+                errors.push({ name, message: `Invalid format for ${name}: ${error.message}` });
+            }
+        }
+        return errors;
+    }
+    
+    // Load blacklist. A reload throws when the file is invalid.
+    function loadBlacklist(reload = false) {
         try {
             const blacklistPath = path.join(__dirname, 'blacklist.json');
             if (fs.existsSync(blacklistPath)) {
-                const blacklistData = JSON.parse(fs.readFileSync(blacklistPath, 'utf8'));
-                blacklist = blacklistData.packets || [];
+                const { data, text } = readJsonFile(blacklistPath);
+                const packets = data.packets || [];
+                if (!Array.isArray(packets) || packets.some(packet => typeof packet !== 'string')) {
+                    throw new Error('"packets" must be a list of packet names or opcodes (as strings)');
+                }
+                blacklist = packets;
+                loadedTexts.blacklist = text;
                 mod.log(`Loaded ${blacklist.length} blacklisted packets`);
             } else {
                 mod.log('No blacklist file found, creating default one');
@@ -331,91 +351,163 @@ module.exports = function PacketLogger(mod) {
                 blacklist = defaultBlacklist.packets;
             }
         } catch (error) {
+            if (reload) throw error;
             mod.log(`Error loading blacklist: ${error.message}`);
             blacklist = [];
         }
+        compileBlacklist();
+    }
+    
+    // Precompile the blacklist patterns. Invalid entries are reported and skipped.
+    function compileBlacklist() {
+        blacklistMatcher = compilePacketPatterns(blacklist, config.packetGroups);
+        blacklistMatcher.errors.forEach(error => mod.log(`Invalid blacklist entry ${error}`));
     }
     
     // Check if packet is blacklisted
     function isBlacklisted(opcode) {
         const opcodeName = translateOpcode(opcode);
-        return blacklist.includes(opcodeName) || blacklist.includes(opcode.toString());
+        return !blacklistExceptions.has(opcodeName) && blacklistMatcher.test(opcode, opcodeName);
+    }
+    
+    // Stop blacklisting a packet until the module reloads, without saving.
+    // Entries naming it are removed; patterns and groups that also match
+    // other packets stay, with an exception for this one.
+    function unblacklistTemporarily(opcodeName) {
+        const opcode = Object.keys(opcodeMap).find(number => opcodeMap[number] === opcodeName);
+        const matches = (entry) => compilePacketPatterns([entry], config.packetGroups).test(opcode === undefined ? NaN : parseInt(opcode), opcodeName);
+        const named = blacklist.filter(entry => entry === opcodeName || entry === opcode);
+        const patterns = blacklist.filter(entry => !named.includes(entry) && matches(entry));
+        if (named.length === 0 && patterns.length === 0) {
+            mod.command.message(`${opcodeName} is not in blacklist`);
+            return;
+        }
+        
+        blacklist = blacklist.filter(entry => !named.includes(entry));
+        compileBlacklist();
+        if (patterns.length > 0) {
+            blacklistExceptions.add(opcodeName);
+        }
+        const via = patterns.length > 0 ? ` (excepted from ${patterns.join(', ')})` : '';
+        mod.command.message(`${opcodeName} temporarily removed from blacklist for debugging${via}`);
+    }
+    
+    // Whether a pattern matches any packet in the opcode map. True when no
+    // map is loaded, since then nothing can be checked.
+    function matchesKnownPacket(matcher) {
+        const entries = Object.entries(opcodeMap);
+        return entries.length === 0 || entries.some(([opcode, name]) => matcher.test(Number(opcode), name));
+    }
+    
+    // Directories searched for map files: the configured ones first, then
+    // Toolbox's own. label is how sources from them are shown.
+    function getMapDirectories() {
+        const extra = (config.opcodes?.directories || []).map(dir => ({ dir: path.resolve(__dirname, dir), label: dir }));
+        return [...extra, { dir: path.join(__dirname, '../../data/opcodes'), label: null }];
     }
     
-    // Load opcode mapping
+    // Load the opcode and system message maps. The dispatch's live maps come
+    // first; map files for its protocol version fill in names they lack. Before
+    // the version is known, the newest map files found are used.
     function loadOpcodeMap() {
-        try {
-            // Try to get the current protocol version from the mod
-            const protocolVersion = mod.dispatch?.majorPatchVersion || 376012;
-            const opcodeFile = path.join(__dirname, '../../data/opcodes', `protocol.${protocolVersion}.map`);
-            
-            if (fs.existsSync(opcodeFile)) {
-                const content = fs.readFileSync(opcodeFile, 'utf8');
-                const lines = content.split('\n');
-                
-                for (const line of lines) {
-                    const parts = line.trim().split(/\s+/);
-                    if (parts.length >= 2) {
-                        const opcodeName = parts[0];
-                        const opcodeNumber = parseInt(parts[1]);
-                        if (!isNaN(opcodeNumber)) {
-                            opcodeMap[opcodeNumber] = opcodeName;
-                        }
-                    }
+        const protocolVersion = mod.dispatch?.protocolVersion || null;
+        opcodeMapVersion = protocolVersion;
+        const directories = getMapDirectories();
+        
+        const load = (kind, dispatchMap) => {
+            const layers = [];
+            const live = fromDispatchMap(dispatchMap);
+            if (Object.keys(live).length > 0) {
+                layers.push({ source: 'dispatch', map: live });
+            }
+            const files = findMapFiles(directories.map(entry => entry.dir), kind, protocolVersion);
+            for (const file of files) {
+                const { label } = directories.find(entry => entry.dir === path.dirname(file));
+                try {
+                    const source = label ? path.join(label, path.basename(file)) : path.basename(file);
+                    layers.push({ source, map: parseOpcodeMap(fs.readFileSync(file, 'utf8')) });
+                } catch (error) {
+                    mod.log(`Error loading ${file}: ${error.message}`);
                 }
-                
-                mod.log(`Loaded ${Object.keys(opcodeMap).length} opcode mappings from protocol.${protocolVersion}.map`);
-            } else {
-                mod.log(`Opcode file not found: ${opcodeFile}`);
             }
+            layers.forEach(layer => mod.log(`Loaded ${Object.keys(layer.map).length} ${kind} mappings from ${layer.source}`));
+            return mergeOpcodeMaps(layers);
+        };
+        
+        try {
+            ({ map: opcodeMap, sources: opcodeSources } = load('protocol', mod.dispatch?.protocolMap?.code));
+            ({ map: sysmsgMap, sources: sysmsgSources } = load('sysmsg', mod.dispatch?.sysmsgMap?.code));
         } catch (error) {
-            mod.log(`Error loading opcode map: ${error.message}`);
+            mod.log(`Error loading opcode maps: ${error.message}`);
+        }
+        if (Object.keys(opcodeMap).length === 0) {
+            mod.log(`No opcode map found for protocol ${protocolVersion || '(not connected yet)'} in ${directories.map(entry => entry.dir).join(', ')}`);
         }
     }
     
+    // Reload the maps when the dispatch's protocol version changes: once it is
+    // known after connecting, and when reconnecting to another region
+    function checkProtocolVersion() {
+        const protocolVersion = mod.dispatch?.protocolVersion || null;
+        if (protocolVersion === opcodeMapVersion) return;
+        
+        mod.log(`Protocol version ${protocolVersion}, reloading opcode maps`);
+        loadOpcodeMap();
+        // Definition versions and samples belong to the previous protocol
+        resolvedVersions.clear();
+        inferSamples.clear();
+        inferWatched.clear();
+    }
+    
     // Translate opcode number to name
     function translateOpcode(opcodeNumber) {
         return opcodeMap[opcodeNumber] || `UNKNOWN_${opcodeNumber}`;
     }
     
-    // Load configuration
-    function loadConfig() {
+    // Load configuration. The file is migrated and checked against the
+    // schema (lib/config-schema.js): missing settings get their defaults and
+    // invalid ones are reported and replaced by theirs. A reload throws
+    // instead, keeping the config that is loaded.
+    function loadConfig(reload = false) {
         const configPath = path.join(__dirname, 'config.json');
-        if (fs.existsSync(configPath)) {
-            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        } else {
-            config = {
-                enabled: false,
-                autoStart: false,
-                logToFile: true,
-                logToConsole: false,
-                maxFileSize: 10485760,
-                showOpcodeNames: true,
-                useBlacklist: true,
-                usePacketDescriptions: true,
-                filters: {
-                    includeOpcode: [],
-                    excludeOpcode: [],
-                    minPacketSize: 0,
-                    maxPacketSize: 0
-                },
-                output: {
-                    includeTimestamp: true,
-                    includeDirection: true,
-                    includeOpcode: true,
-                    includeSize: true,
-                    includeHexData: true,
-                    includeParsedData: false
-                }
-            };
-            fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        if (!fs.existsSync(configPath)) {
+            config = configSchema.getDefaults();
+            saveConfig();
+            return;
+        }
+        
+        let result;
+        let text;
+        try {
+            const file = readJsonFile(configPath);
+            text = file.text;
+            result = configSchema.normalizeConfig(file.data);
+            if (reload && result.errors.length > 0) {
+                throw new Error(result.errors.join('; '));
+            }
+        } catch (error) {
+            if (reload) throw error;
+            // Not written back, so the file can still be fixed by hand
+            mod.log(`Error loading config.json: ${error.message}. Using the default settings.`);
+            config = configSchema.getDefaults();
+            return;
+        }
+        
+        config = result.config;
+        loadedTexts.config = text;
+        result.errors.forEach(error => mod.log(`Invalid setting ${error}; using the default`));
+        result.warnings.forEach(warning => mod.log(`Config warning: ${warning}`));
+        if (result.migratedFrom !== null) {
+            mod.log(`Migrated config.json from version ${result.migratedFrom} to ${configSchema.CONFIG_VERSION}`);
+            saveConfig();
         }
     }
     
     // Save configuration
     function saveConfig() {
         const configPath = path.join(__dirname, 'config.json');
-        fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+        loadedTexts.config = JSON.stringify(config, null, 2);
+        fs.writeFileSync(configPath, loadedTexts.config);
     }
     
     // Create logs directory if it doesn't exist
@@ -424,154 +516,601 @@ module.exports = function PacketLogger(mod) {
         fs.mkdirSync(logsDir);
     }
     
+    // Compile config.filters: the opcode patterns and the "where" expression.
+    // Invalid patterns are skipped, and an invalid expression is ignored rather
+    // than dropping every packet; both are reported.
+    function loadPacketFilters() {
+        packetFilters = compilePacketFilters(config.filters, config.packetGroups);
+        packetFilters.errors.forEach(error => mod.log(`Invalid filter entry ${error}`));
+        
+        filterExpression = null;
+        const source = config.filters?.where;
+        if (!source) return;
+        
+        try {
+            filterExpression = compileFilterExpression(source);
+        } catch (error) {
+            mod.log(`Error in filter expression "${source}": ${error.message}`);
+        }
+    }
+    
+    // Whether a packet passes compiled filters. packet is
+    // { direction, opcode, name, size, getFields }.
+    function matchesLogFilters(packet, filters, expression) {
+        if (!matchesPacketFilters(filters, packet.opcode, packet.name, packet.size)) return false;
+        
+        // Field expression last, it may need to decode the packet
+        return !expression || expression.test(packet);
+    }
+    
     // Check if packet should be filtered
-    function shouldLogPacket(opcode, data) {
+    function shouldLogPacket(packet) {
         if (!config.filters) return true;
         
-        const size = data.length;
-        
         // Check blacklist first
-        if (config.useBlacklist && isBlacklisted(opcode)) {
+        if (config.useBlacklist && isBlacklisted(packet.opcode)) {
             return false;
         }
         
-        // Check size filters
-        if (config.filters.minPacketSize > 0 && size < config.filters.minPacketSize) return false;
-        if (config.filters.maxPacketSize > 0 && size > config.filters.maxPacketSize) return false;
-        
-        // Check opcode filters (support both names and numbers)
-        const opcodeName = translateOpcode(opcode);
-        if (config.filters.includeOpcode.length > 0) {
-            const hasMatch = config.filters.includeOpcode.some(filter => 
-                filter === opcode.toString() || filter === opcodeName
-            );
-            if (!hasMatch) return false;
+        return matchesLogFilters(packet, packetFilters, filterExpression);
+    }
+    
+    // Filter boxes of an inspector page, which narrow down what the logger
+    // logs with the same rules as config.filters: invalid entries are skipped
+    // and an invalid expression is ignored, and both are listed in errors.
+    function compileInspectorFilter(filters) {
+        const compiled = compilePacketFilters(filters, config.packetGroups);
+        const errors = compiled.errors.map(error => `Invalid filter entry ${error}`);
+        let expression = null;
+        if (filters.where) {
+            try {
+                expression = compileFilterExpression(filters.where);
+            } catch (error) {
+                errors.push(`Error in filter expression: ${error.message}`);
+            }
         }
-        
-        if (config.filters.excludeOpcode.some(filter => 
-            filter === opcode.toString() || filter === opcodeName
-        )) return false;
-        
-        return true;
+        return {
+            test: (packet) => matchesLogFilters(packet, compiled, expression),
+            errors
+        };
     }
     
     // Initialize logging
     function startLogging() {
-        if (logStream) {
-            logStream.end();
-        }
+        logWriter.close();
         
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        logFile = path.join(logsDir, `packet-log-${timestamp}.log`);
-        logStream = fs.createWriteStream(logFile, { flags: 'a' });
+        sessionTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        sessionStart = process.hrtime.bigint();
+        sessionStartUs = BigInt(Date.now()) * 1000n;
+        filePrefix = 'packet-log';
         
-        logStream.write(`=== Packet Log Started: ${new Date().toISOString()} ===\n`);
-        logStream.write(`Format: [Timestamp] [Direction] [Opcode] [Size] [Data] [Parsed Info]\n`);
-        if (config.useBlacklist) {
-            logStream.write(`Blacklist enabled: ${blacklist.length} packets ignored\n`);
-        }
-        if (config.usePacketDescriptions) {
-            logStream.write(`Packet descriptions enabled: ${Object.keys(packetDescriptions).length} packets configured\n`);
+        // In trigger mode nothing is written until a trigger fires
+        if (config.trigger?.enabled) {
+            armTriggerCapture();
+            return;
         }
-        logStream.write('\n');
+        
+        logWriter.start(getSegmentPath);
+        pruneLogs();
         
         if (config.logToConsole) {
-            mod.log(`Packet logging started. Log file: ${logFile}`);
+            mod.log(`Packet logging started. Log file: ${logWriter.getFile()}`);
         }
     }
     
     function stopLogging() {
-        if (logStream) {
-            logStream.write(`\n=== Packet Log Ended: ${new Date().toISOString()} ===\n`);
-            logStream.write(`Total packets - Sent: ${packetCount.sent}, Received: ${packetCount.received}\n`);
-            logStream.end();
-            logStream = null;
+        if (triggerCapture) {
+            mod.clearTimeout(triggerCapture.timer);
+            triggerCapture = null;
+        }
+        if (logWriter.isOpen()) {
+            finishLogFile();
         }
         if (config.logToConsole) {
             mod.log('Packet logging stopped.');
         }
     }
     
-    function logPacket(direction, opcode, data) {
-        if (!enabled || !shouldLogPacket(opcode, data)) return;
+    // Write the footer and close the log file. The footer matches the format
+    // the file was opened with, which a changed config may no longer select.
+    function finishLogFile() {
+        const format = segmentFormat;
+        if (format === 'jsonl') {
+            logWriter.write(output.toJsonLine({
+                type: 'footer',
+                ended: new Date().toISOString(),
+                sent: packetCount.sent,
+                received: packetCount.received
+            }));
+        } else if (format === 'text') {
+            logWriter.write(`\n=== Packet Log Ended: ${new Date().toISOString()} ===\n`);
+            logWriter.write(`Total packets - Sent: ${packetCount.sent}, Received: ${packetCount.received}\n`);
+        }
+        logWriter.close();
+    }
+    
+    // Path of a log segment. The first segment keeps the plain session name,
+    // later ones get their index appended: packet-log-<time>.2.log
+    function getSegmentPath(index) {
+        const extension = OUTPUT_EXTENSIONS[index > 1 ? segmentFormat : getOutputFormat()];
+        const suffix = index > 1 ? `.${index}` : '';
+        return path.join(logsDir, `${filePrefix}-${sessionTimestamp}${suffix}.${extension}`);
+    }
+    
+    // Write the header of a new log segment. previousFile is the segment it
+    // continues, null for the first one.
+    function writeSegmentHeader(previousFile) {
+        const segmentIndex = logWriter.getIndex();
+        // Later segments continue in the format of the first
+        const format = previousFile ? segmentFormat : getOutputFormat();
+        segmentFormat = format;
+        
+        if (previousFile && config.logToConsole) {
+            mod.log(`Packet log rotated. Log file: ${logWriter.getFile()}`);
+        }
         
-        const timestamp = config.output.includeTimestamp ? new Date().toISOString() : '';
-        const size = config.output.includeSize ? data.length : 0;
-        const hexData = config.output.includeHexData ? data.toString('hex') : '';
+        if (format === 'pcapng') {
+            // Every segment is a self-contained capture: section header plus interface
+            const comment = (previousFile
+                ? `Packet Log Continued (segment ${segmentIndex}, previous file: ${path.basename(previousFile)})`
+                : 'Packet Log Started') + (config.profile ? `, profile ${config.profile}` : '');
+            logWriter.write(pcapng.createSectionHeader(comment));
+            logWriter.write(pcapng.createInterfaceDescription('tera'));
+            return;
+        }
         
-        // Format opcode display
-        let opcodeDisplay = opcode.toString();
-        if (config.showOpcodeNames) {
-            const opcodeName = translateOpcode(opcode);
-            opcodeDisplay = `${opcodeName} (${opcode})`;
+        if (format === 'jsonl') {
+            logWriter.write(output.toJsonLine({
+                type: 'header',
+                started: new Date().toISOString(),
+                segment: segmentIndex,
+                continuedFrom: previousFile ? path.basename(previousFile) : null,
+                protocolVersion: mod.dispatch?.protocolVersion ?? null,
+                profile: config.profile || null,
+                blacklist: config.useBlacklist ? blacklist.length : 0,
+                descriptions: config.usePacketDescriptions ? countDescriptions() : 0
+            }));
+            return;
         }
         
-        // Parse packet data if descriptions are enabled
-        let parsedInfo = '';
+        if (previousFile) {
+            logWriter.write(`=== Packet Log Continued: ${new Date().toISOString()} (segment ${segmentIndex}, previous file: ${path.basename(previousFile)}) ===\n`);
+        } else {
+            logWriter.write(`=== Packet Log Started: ${new Date().toISOString()} ===\n`);
+        }
+        logWriter.write(`Format: [Timestamp] [Direction] [Opcode] [Size] [Data] [Parsed Info]\n`);
+        if (config.profile) {
+            logWriter.write(`Profile: ${config.profile}\n`);
+        }
+        if (config.useBlacklist) {
+            logWriter.write(`Blacklist enabled: ${blacklist.length} packets ignored\n`);
+        }
         if (config.usePacketDescriptions) {
-            const parsedData = parsePacketData(opcode, data);
-            if (parsedData) {
-                const formatted = formatPacketData(parsedData);
-                if (formatted) {
-                    parsedInfo = ` | ${formatted}`;
-                } else {
-                    // Fallback: show raw field values for debugging
-                    const opcodeName = translateOpcode(opcode);
-                    if (opcodeName === 'S_ACTION_STAGE' && debugMode) {
-                        const rawFields = Object.entries(parsedData.fields).map(([k, v]) => `${k}:${v}`).join(' ');
-                        parsedInfo = ` | RAW: ${rawFields}`;
-                    }
-                }
+            logWriter.write(`Packet descriptions enabled: ${countDescriptions()} packets configured\n`);
+        }
+        logWriter.write('\n');
+    }
+    
+    // A finished segment is on disk: compress it, then apply retention
+    function handleClosedSegment(file) {
+        if (!config.rotation?.compress) {
+            pruneLogs();
+            return;
+        }
+        compressLogFile(file, (error) => {
+            if (error) {
+                mod.log(`Error compressing ${path.basename(file)}: ${error.message}`);
+            }
+            pruneLogs();
+        });
+    }
+    
+    // Delete the oldest log files until the retention limits are met
+    function pruneLogs() {
+        try {
+            const active = logWriter.isOpen() ? { file: logWriter.getFile(), size: logWriter.getSize() } : null;
+            pruneLogFiles(logsDir, config.rotation || {}, active);
+        } catch (error) {
+            mod.log(`Error pruning logs: ${error.message}`);
+        }
+    }
+    
+    // File extension for each output format
+    const OUTPUT_EXTENSIONS = { text: 'log', jsonl: 'jsonl', pcapng: 'pcapng' };
+    
+    // Selected output format, falling back to text for unknown values
+    function getOutputFormat() {
+        const format = config.output.format;
+        return OUTPUT_EXTENSIONS[format] ? format : 'text';
+    }
+    
+    // Format of what goes into the open log file: the one it was started
+    // with, which a changed config may no longer select
+    function getLogFileFormat() {
+        return logWriter.isOpen() ? segmentFormat : getOutputFormat();
+    }
+    
+    // Options for the shared text/JSONL entry formatters
+    function getOutputOptions() {
+        return { output: config.output, showOpcodeNames: config.showOpcodeNames, debug: debugMode };
+    }
+    
+    // Build a PCAP-NG packet block. The opcode name (and description, if any)
+    // goes into the packet comment so it shows up in Wireshark's packet list.
+    function formatPcapngEntry(entry) {
+        const timestampUs = sessionStartUs + BigInt(Math.round(entry.monotonicMs * 1000));
+        
+        let comment = `${entry.name} (${entry.opcode})`;
+        if (entry.flags.fake) comment += ' [FAKE]';
+        if (entry.flags.modified) comment += ' [MODIFIED]';
+        if (entry.flags.blocked) comment += ' [BLOCKED]';
+        if (entry.latency) comment += ` [RTT ${entry.latency.rttMs.toFixed(1)} ms]`;
+        const formatted = template.formatPacketData(entry.parsedData);
+        if (formatted) comment += ` | ${formatted}`;
+        if (entry.diff) comment += packetDiff.formatDiffLines(entry.diff).map(line => `\n${line}`).join('');
+        
+        return pcapng.createEnhancedPacket(entry.data, timestampUs, entry.direction === 'RECEIVED', comment);
+    }
+    
+    // Build the log entry in the log file's format
+    function formatLogEntry(entry) {
+        switch (getLogFileFormat()) {
+            case 'jsonl':
+                return output.formatJsonEntry(entry, getOutputOptions());
+            case 'pcapng':
+                return formatPcapngEntry(entry);
+            default:
+                return output.formatTextEntry(entry, getOutputOptions());
+        }
+    }
+    
+    // Keep the latest samples of packets without a definition, and of the
+    // opcodes asked for with /packetlogger infer, for structure inference
+    function collectInferSample(opcode, opcodeName, data) {
+        if (!inferWatched.has(opcode) && getLoadedVersions(packetDefinitions, opcodeName).length > 0) return;
+        
+        let samples = inferSamples.get(opcode);
+        if (!samples) {
+            samples = [];
+            inferSamples.set(opcode, samples);
+        }
+        samples.push(Buffer.from(data));
+        if (samples.length > (config.infer?.maxSamples || 50)) {
+            samples.shift();
+        }
+    }
+    
+    // Log one packet. flags marks fake/modified/blocked packets; modification
+    // holds the { original, final } data when another module changed it.
+    function logPacket(direction, opcode, data, flags = {}, modification = null) {
+        if (!enabled) return;
+        checkProtocolVersion();
+        
+        // Statistics, entities, latency and triggers cover every packet, including blacklisted and filtered ones
+        const opcodeName = translateOpcode(opcode);
+        const monotonicMs = Number(process.hrtime.bigint() - sessionStart) / 1e6;
+        packetStats.record(direction, opcode, opcodeName, data.length);
+        entityTracker.handlePacket(opcodeName, () => decodeFields(opcode, data));
+        // A blocked request never reaches the server
+        const latency = latencyTracker && !flags.blocked ? trackLatency(direction, opcode, opcodeName, data, monotonicMs) : null;
+        collectInferSample(opcode, opcodeName, data);
+        const trigger = triggerCapture ? findTrigger(direction, opcode, opcodeName, data) : null;
+        
+        let fields;
+        const packet = {
+            direction: direction,
+            opcode: opcode,
+            name: opcodeName,
+            size: data.length,
+            getFields: () => fields !== undefined ? fields : (fields = decodeFields(opcode, data))
+        };
+        
+        if (shouldLogPacket(packet)) {
+            const buffering = triggerCapture && !triggerCapture.writing;
+            const entry = {
+                time: new Date().toISOString(),
+                monotonicMs: monotonicMs,
+                direction: direction,
+                opcode: opcode,
+                name: opcodeName,
+                size: data.length,
+                // Buffered packets outlive the hook, so they keep their own copy
+                data: buffering ? Buffer.from(data) : data,
+                flags: flags,
+                diff: modification ? getModificationDiff(opcode, modification.original, modification.final) : null,
+                latency: latency,
+                // Parsed when the entry is written (see parseEntry)
+                parsedData: undefined,
+                decoded: undefined
+            };
+            
+            if (buffering) {
+                triggerCapture.buffer.push(entry);
+            } else {
+                writePacketEntry(entry);
+            }
+            
+            if (inspector.getClientCount() > 0) {
+                inspector.broadcast(packet, () => getInspectorPacket(parseEntry(entry)));
+            }
+            
+            if (direction === 'SENT') {
+                packetCount.sent++;
+            } else {
+                packetCount.received++;
             }
         }
         
-        let logEntry = '';
-        if (config.output.includeTimestamp) logEntry += `[${timestamp}] `;
-        if (config.output.includeDirection) logEntry += `[${direction}] `;
-        if (config.output.includeOpcode) logEntry += `[${opcodeDisplay}] `;
-        if (config.output.includeSize) logEntry += `[${size} bytes] `;
-        if (config.output.includeHexData) logEntry += `[${hexData}]`;
-        if (parsedInfo) logEntry += parsedInfo;
+        // Fired after buffering, so the triggering packet is part of the capture
+        if (trigger) {
+            fireTrigger(trigger.name);
+        }
+    }
+    
+    // Match a packet against the request/response pairs. Returns the round
+    // trip when it answers a request, and marks requests that timed out by now.
+    function trackLatency(direction, opcode, opcodeName, data, monotonicMs) {
+        const { latency, timedOut } = latencyTracker.handlePacket(direction, opcode, opcodeName, monotonicMs, () => decodeFields(opcode, data));
+        for (const request of timedOut) {
+            const message = `No response to ${request.name} (${request.pair}) after ${Math.round(request.waitedMs)} ms`;
+            writeMarker(message);
+            if (config.logToConsole) {
+                mod.log(message);
+            }
+        }
+        return latency;
+    }
+    
+    // Compile the request/response pairs of config.latency. Invalid pairs are
+    // left out and reported. Measurements start over.
+    function loadLatencyPairs() {
+        latencyTracker = null;
+        const settings = config.latency;
+        if (!settings.enabled) return;
         
-        logEntry += '\n';
+        const { pairs, errors } = compilePairs(settings.pairs, config.packetGroups);
+        errors.forEach(error => mod.log(`Invalid latency pair "${error.name}": ${error.message}`));
+        latencyTracker = createLatencyTracker(pairs, {
+            timeoutMs: settings.timeoutMs,
+            maxPending: settings.maxPending,
+            samples: settings.samples,
+            getSelfId: () => entityTracker.getMe()?.gameId ?? null
+        });
+    }
+    
+    // Parse packet data if descriptions are enabled, once per entry. Packets
+    // whose output style shows fields are decoded even without a description.
+    function parseEntry(entry) {
+        if (entry.parsedData === undefined) {
+            entry.parsedData = config.usePacketDescriptions ? parsePacketData(entry.opcode, entry.data) : null;
+        }
+        if (entry.decoded === undefined) {
+            entry.decoded = null;
+            if (entry.parsedData) {
+                entry.decoded = { fields: entry.parsedData.fields, ranges: entry.parsedData.ranges };
+            } else if (output.needsDecodedFields(config.output, entry)) {
+                const ranges = [];
+                const fields = decodeFields(entry.opcode, entry.data, ranges);
+                entry.decoded = fields ? { fields, ranges } : null;
+            }
+        }
+        return entry;
+    }
+    
+    // Write a packet entry to the log file and the console
+    function writePacketEntry(entry) {
+        const logEntry = formatLogEntry(parseEntry(entry));
         
-        if (config.logToFile && logStream) {
-            logStream.write(logEntry);
+        if (config.logToFile && logWriter.isOpen()) {
+            logWriter.writeEntry(logEntry);
         }
         
         if (config.logToConsole) {
-            mod.log(logEntry.trim());
+            // Binary capture formats are echoed as text
+            const consoleEntry = Buffer.isBuffer(logEntry) ? output.formatTextEntry(entry, getOutputOptions()) : logEntry;
+            mod.log(consoleEntry.trim());
         }
+    }
+    
+    // Write a marker line (manual mark or fired trigger) into the log file.
+    // PCAP-NG files have no place for it.
+    function writeMarker(label) {
+        if (!logWriter.isOpen()) return;
         
-        if (direction === 'SENT') {
-            packetCount.sent++;
-        } else {
-            packetCount.received++;
+        const time = new Date().toISOString();
+        if (segmentFormat === 'jsonl') {
+            logWriter.write(output.toJsonLine({ type: 'marker', time, label }));
+        } else if (segmentFormat === 'text') {
+            logWriter.write(`=== ${label} at ${time} ===\n`);
         }
     }
     
-    // Hook all packets using raw hooks
-    function installPacketHooks() {
-        // Hook all client->server packets
-        mod.hook('*', 'raw', { order: -Infinity }, (code, data, fromServer, fake) => {
-            if (!fake) {
-                logPacket('SENT', code, data);
+    // Start buffering packets in memory until a trigger fires
+    function armTriggerCapture() {
+        const settings = config.trigger || {};
+        const { triggers, errors } = compileTriggers(settings.triggers);
+        for (const error of errors) {
+            mod.log(`Invalid trigger "${error.name}": ${error.message}`);
+        }
+        
+        triggerCapture = {
+            buffer: createRingBuffer(settings.bufferPackets ?? 2000, settings.bufferSeconds ?? 30),
+            triggers: triggers,
+            writing: false,
+            timer: null
+        };
+        
+        if (config.logToConsole) {
+            mod.log(`Trigger capture armed with ${triggers.length} triggers`);
+        }
+    }
+    
+    // First configured trigger matching a packet, or null
+    function findTrigger(direction, opcode, opcodeName, data) {
+        let fields;
+        const packet = {
+            direction: direction,
+            size: data.length,
+            opcode: opcode,
+            name: opcodeName,
+            getFields: () => fields !== undefined ? fields : (fields = decodeFields(opcode, data))
+        };
+        return triggerCapture.triggers.find(trigger => trigger.test(packet)) || null;
+    }
+    
+    // A trigger fired: write the buffered packets to a new file, then keep
+    // writing for the post-trigger window. Firing again during the window
+    // marks the file and extends the window.
+    function fireTrigger(name) {
+        if (!triggerCapture.writing) {
+            triggerCapture.writing = true;
+            sessionTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            filePrefix = 'packet-trigger';
+            logWriter.start(getSegmentPath);
+            
+            const buffered = triggerCapture.buffer.drain(Number(process.hrtime.bigint() - sessionStart) / 1e6);
+            for (const entry of buffered) {
+                logWriter.writeEntry(formatLogEntry(parseEntry(entry)));
             }
-        });
+            writeMarker(`Trigger: ${name} (${buffered.length} packets buffered)`);
+            mod.command.message(`Trigger "${name}" fired, capturing to ${logWriter.getFile()}`);
+        } else {
+            writeMarker(`Trigger: ${name}`);
+        }
+        
+        const postSeconds = config.trigger?.postSeconds ?? 10;
+        mod.clearTimeout(triggerCapture.timer);
+        triggerCapture.timer = mod.setTimeout(finishTriggerCapture, postSeconds * 1000);
+    }
+    
+    // The post-trigger window is over: close the file and go back to buffering
+    function finishTriggerCapture() {
+        if (!triggerCapture || !triggerCapture.writing) return;
+        
+        const file = logWriter.getFile();
+        finishLogFile();
+        triggerCapture.writing = false;
+        triggerCapture.timer = null;
+        filePrefix = 'packet-log';
+        mod.command.message(`Trigger capture saved to ${file}`);
+    }
+    
+    // Packet as shown by the web inspector: metadata, payload, field tree and
+    // the byte range of every field for the hex view
+    function getInspectorPacket(entry) {
+        const ranges = [];
+        const fields = decodeFields(entry.opcode, entry.data, ranges);
+        return {
+            time: entry.time,
+            monotonicMs: entry.monotonicMs,
+            direction: entry.direction,
+            opcode: entry.opcode,
+            name: entry.name,
+            size: entry.size,
+            flags: entry.flags,
+            payload: entry.data.toString('hex'),
+            description: template.formatPacketData(entry.parsedData),
+            fields: fields,
+            ranges: fields ? ranges : [],
+            diff: entry.diff
+        };
+    }
+    
+    // Port of the web inspector, for configs written before it existed
+    const DEFAULT_UI_PORT = 7780;
+    
+    // Start the web inspector, or show where it runs
+    function startInspector() {
+        const port = config.ui?.port ?? DEFAULT_UI_PORT;
+        if (inspector.isRunning()) {
+            mod.command.message(`Packet inspector running at ${inspector.getUrl()}`);
+            return;
+        }
         
-        // Hook all server->client packets  
-        mod.hook('*', 'raw', { order: Infinity }, (code, data, fromServer, fake) => {
-            if (!fake && fromServer) {
-                logPacket('RECEIVED', code, data);
+        inspector.start(port, (error, url) => {
+            if (error) {
+                mod.log(`Error starting packet inspector: ${error.message}`);
+                mod.command.message(`Cannot start packet inspector on port ${port}: ${error.message}`);
+                return;
             }
+            mod.command.message(`Packet inspector running at ${url}${enabled ? '' : ' (start logging to stream packets)'}`);
         });
     }
     
+    // Hook orders for the capture points: before any other module has seen
+    // the packet, or after all of them have had the chance to modify it
+    const CAPTURE_ORDERS = { pre: -Infinity, post: Infinity };
+    
+    // Selected capture point, falling back to pre-modification for unknown values
+    function getCapturePoint() {
+        return CAPTURE_ORDERS[config.capturePoint] !== undefined ? config.capturePoint : 'pre';
+    }
+    
+    // Hook all packets (both directions).
+    // Normally a single raw hook at the capture point is enough. To track
+    // modifications, hooks see each packet first and last: the first one keeps
+    // a copy, the last one compares it with what's left after all other modules.
+    // A packet another module blocked only reaches a last hook that asks for
+    // silenced packets, so it is logged in order with the rest.
+    // Installing again replaces the existing hooks, so restarts never stack hooks.
+    function installPacketHooks() {
+        uninstallPacketHooks();
+        
+        // Fake packets (injected by other modules) are only seen when asked for
+        const filter = { fake: config.captureFake ? null : false };
+        
+        if (!config.trackModifications) {
+            packetHooks.push(mod.hook('*', 'raw', { order: CAPTURE_ORDERS[getCapturePoint()], filter }, (code, data, fromServer, fake) => {
+                logPacket(fromServer ? 'RECEIVED' : 'SENT', code, data, { fake });
+            }));
+            return;
+        }
+        
+        packetHooks.push(mod.hook('*', 'raw', { order: CAPTURE_ORDERS.pre, filter }, (code, data, fromServer, fake) => {
+            modificationTracker.first(code, data, fromServer, fake);
+        }));
+        
+        packetHooks.push(mod.hook('*', 'raw', { order: CAPTURE_ORDERS.post, filter }, (code, data, fromServer, fake) => {
+            if (!modificationTracker.last(code, data, fromServer)) {
+                // Not seen by the first hook (shouldn't happen), log it as it is now
+                logPacket(fromServer ? 'RECEIVED' : 'SENT', code, data, { fake });
+            }
+        }));
+        
+        packetHooks.push(mod.hook('*', 'raw', { order: CAPTURE_ORDERS.post, filter: { ...filter, silenced: true } }, (code, data, fromServer) => {
+            modificationTracker.blocked(code, fromServer);
+        }));
+    }
+    
+    // Log a packet seen by the modification-tracking hooks.
+    // finalData is null when the packet was blocked before reaching the last hook.
+    function capturePacket(packet, finalData) {
+        const direction = packet.fromServer ? 'RECEIVED' : 'SENT';
+        if (finalData === null) {
+            logPacket(direction, packet.code, packet.data, { fake: packet.fake, blocked: true });
+            return;
+        }
+        
+        const modified = !finalData.equals(packet.data);
+        const data = getCapturePoint() === 'post' ? finalData : packet.data;
+        logPacket(direction, packet.code, data, { fake: packet.fake, modified },
+            modified ? { original: packet.data, final: Buffer.from(finalData) } : null);
+    }
+    
+    function uninstallPacketHooks() {
+        for (const hook of packetHooks) {
+            mod.unhook(hook);
+        }
+        packetHooks = [];
+        modificationTracker.clear();
+    }
+    
     // Commands
     mod.command.add('packetlogger', (cmd, ...args) => {
         switch (cmd) {
             case 'start':
                 enabled = true;
+                entityTracker.clear();
                 config.enabled = true;
                 startLogging();
                 installPacketHooks();
@@ -582,6 +1121,7 @@ module.exports = function PacketLogger(mod) {
             case 'stop':
                 enabled = false;
                 config.enabled = false;
+                uninstallPacketHooks();
                 stopLogging();
                 saveConfig();
                 mod.command.message('Packet logging <font color="#FF0000">stopped</font>');
@@ -589,13 +1129,24 @@ module.exports = function PacketLogger(mod) {
                 
             case 'status':
                 const status = enabled ? '<font color="#00FF00">enabled</font>' : '<font color="#FF0000">disabled</font>';
-                const fileInfo = logFile ? `\nLog file: ${logFile}` : '';
+                const logFile = logWriter.getFile();
+                const fileInfo = logFile && !(triggerCapture && !triggerCapture.writing) ? `\nLog file: ${logFile}${logWriter.isOpen() ? ` (segment ${logWriter.getIndex()})` : ''}` : '';
                 const countInfo = `\nPackets logged - Sent: ${packetCount.sent}, Received: ${packetCount.received}`;
-                const opcodeInfo = `\nOpcode mappings loaded: ${Object.keys(opcodeMap).length}`;
+                const triggerInfo = triggerCapture
+                    ? `\nTrigger capture: ${triggerCapture.writing ? `writing ${logFile}` : `armed, ${triggerCapture.buffer.size()} packets buffered`}`
+                    : '';
+                const captureInfo = `\nCapture point: ${getCapturePoint()}-modification${packetHooks.length > 0 ? '' : ' (not hooked)'}`;
+                const mapSources = [...new Set(Object.values(opcodeSources))].join(', ');
+                const opcodeInfo = `\nOpcode mappings loaded: ${Object.keys(opcodeMap).length}${mapSources ? ` (${mapSources})` : ''}` +
+                    `\nSystem message mappings loaded: ${Object.keys(sysmsgMap).length}`;
                 const blacklistInfo = config.useBlacklist ? `\nBlacklist enabled: ${blacklist.length} packets ignored` : '\nBlacklist disabled';
-                const descriptionsInfo = config.usePacketDescriptions ? `\nPacket descriptions: ${Object.keys(packetDescriptions).length} configured` : '\nPacket descriptions disabled';
+                const latencyInfo = latencyTracker ? `\nLatency tracking: ${latencyTracker.getPendingCount()} requests waiting for a response` : '';
+                const profileInfo = config.profile ? `\nProfile: ${config.profile}` : '';
+                const descriptionsInfo = config.usePacketDescriptions ? `\nPacket descriptions: ${countDescriptions()} configured` : '\nPacket descriptions disabled';
                 const definitionsInfo = `\nPacket definitions: ${Object.keys(packetDefinitions).length} loaded`;
-                mod.command.message(`Packet logger is ${status}${fileInfo}${countInfo}${opcodeInfo}${blacklistInfo}${descriptionsInfo}${definitionsInfo}`);
+                const expressionInfo = config.filters?.where ? `\nFilter expression: ${config.filters.where}${filterExpression ? '' : ' (invalid, ignored)'}` : '';
+                const inspectorInfo = inspector.isRunning() ? `\nPacket inspector: ${inspector.getUrl()} (${inspector.getClientCount()} connected)` : '';
+                mod.command.message(`Packet logger is ${status}${fileInfo}${triggerInfo}${countInfo}${latencyInfo}${captureInfo}${opcodeInfo}${profileInfo}${blacklistInfo}${descriptionsInfo}${definitionsInfo}${expressionInfo}${inspectorInfo}`);
                 break;
                 
             case 'clear':
@@ -604,32 +1155,171 @@ module.exports = function PacketLogger(mod) {
                 break;
                 
             case 'config':
-                if (args.length >= 2) {
-                    const [setting, value] = args;
-                    if (config[setting] !== undefined) {
-                        config[setting] = value === 'true' ? true : value === 'false' ? false : value;
-                        saveConfig();
-                        mod.command.message(`Config updated: ${setting} = ${value}`);
+                handleConfigCommand(args);
+                break;
+                
+            case 'capture':
+                if (args.length >= 1) {
+                    const option = args[0];
+                    if (CAPTURE_ORDERS[option] !== undefined) {
+                        config.capturePoint = option;
+                        mod.command.message(`Capture point set to ${option}-modification`);
+                    } else if (option === 'fake') {
+                        config.captureFake = !config.captureFake;
+                        mod.command.message(`Fake packet capture ${config.captureFake ? 'enabled' : 'disabled'}`);
+                    } else if (option === 'diff') {
+                        config.trackModifications = !config.trackModifications;
+                        mod.command.message(`Modification tracking ${config.trackModifications ? 'enabled' : 'disabled'}`);
                     } else {
-                        mod.command.message(`Unknown setting: ${setting}`);
+                        mod.command.message('Usage: /packetlogger capture <pre|post|fake|diff>');
+                        break;
+                    }
+                    
+                    saveConfig();
+                    if (packetHooks.length > 0) installPacketHooks();
+                } else {
+                    mod.command.message(`Capture point: ${getCapturePoint()}-modification, fake packets: ${config.captureFake ? 'on' : 'off'}, modification tracking: ${config.trackModifications ? 'on' : 'off'}`);
+                    mod.command.message('Usage: /packetlogger capture <pre|post|fake|diff>');
+                }
+                break;
+                
+            case 'format':
+                if (args.length >= 1) {
+                    const format = args[0];
+                    if (!OUTPUT_EXTENSIONS[format]) {
+                        mod.command.message(`Unknown format: ${format}. Formats: ${Object.keys(OUTPUT_EXTENSIONS).join(', ')}`);
+                        break;
                     }
+                    
+                    // The current file is finished in its own format, then a new one is started
+                    const restart = logWriter.isOpen() || !!triggerCapture;
+                    if (restart) stopLogging();
+                    config.output.format = format;
+                    saveConfig();
+                    if (restart) startLogging();
+                    const restartInfo = restart ? (triggerCapture ? ', trigger capture re-armed' : `, now logging to ${logWriter.getFile()}`) : '';
+                    mod.command.message(`Output format set to ${format}${restartInfo}`);
                 } else {
-                    mod.command.message('Usage: /packetlogger config <setting> <value>');
+                    mod.command.message(`Output format: ${getOutputFormat()}`);
+                    mod.command.message(`Usage: /packetlogger format <${Object.keys(OUTPUT_EXTENSIONS).join('|')}>`);
+                }
+                break;
+                
+            case 'trigger':
+                if (args[0] === 'on' || args[0] === 'off') {
+                    config.trigger = config.trigger || {};
+                    config.trigger.enabled = args[0] === 'on';
+                    saveConfig();
+                    // Restart logging in the new mode
+                    if (enabled) {
+                        stopLogging();
+                        startLogging();
+                    }
+                    mod.command.message(`Trigger capture ${config.trigger.enabled ? 'enabled' : 'disabled'}`);
+                } else {
+                    const { triggers, errors } = compileTriggers(config.trigger?.triggers);
+                    mod.command.message(`Trigger capture: ${config.trigger?.enabled ? 'on' : 'off'}, ${triggers.length} triggers configured`);
+                    triggers.forEach(trigger => mod.command.message(`  ${trigger.name}`));
+                    errors.forEach(error => mod.command.message(`  ${error.name} (invalid: ${error.message})`));
+                    mod.command.message('Usage: /packetlogger trigger <on|off>, /packetlogger mark [note]');
+                }
+                break;
+                
+            case 'style':
+                handleStyleCommand(args);
+                break;
+                
+            case 'profile':
+                handleProfileCommand(args);
+                break;
+                
+            case 'reload':
+                if (args.length === 0) {
+                    Object.keys(RELOADABLE_FILES).forEach(key => reloadFile(key, true));
+                } else if (RELOADABLE_FILES[args[0]]) {
+                    reloadFile(args[0], true);
+                } else {
+                    mod.command.message(`Usage: /packetlogger reload [${Object.keys(RELOADABLE_FILES).join('|')}]`);
+                }
+                break;
+                
+            case 'mark': {
+                const label = args.length > 0 ? `Mark: ${args.join(' ')}` : 'Mark';
+                if (!enabled) {
+                    mod.command.message('Packet logging is not running');
+                } else if (triggerCapture) {
+                    fireTrigger(args.length > 0 ? `mark (${args.join(' ')})` : 'mark');
+                } else if (logWriter.isOpen()) {
+                    writeMarker(label);
+                    mod.command.message(`${label} written to ${logWriter.getFile()}`);
+                } else {
+                    mod.command.message('No log file open');
+                }
+                break;
+            }
+                
+            case 'ui':
+                if (args[0] === 'stop') {
+                    inspector.stop();
+                    mod.command.message('Packet inspector stopped');
+                } else if (args.length === 0 || args[0] === 'start') {
+                    startInspector();
+                } else {
+                    mod.command.message('Usage: /packetlogger ui [start|stop]');
                 }
                 break;
                 
             case 'filter':
-                if (args.length >= 2) {
-                    const [filterType, ...filterValues] = args;
-                    if (config.filters[filterType] !== undefined) {
-                        config.filters[filterType] = filterValues;
+                if (args[0] === 'where') {
+                    const source = args.slice(1).join(' ').trim();
+                    if (!source) {
+                        mod.command.message(config.filters.where ? `Filter expression: ${config.filters.where}` : 'No filter expression set');
+                        mod.command.message('Usage: /packetlogger filter where <expression|off>');
+                        break;
+                    }
+                    if (source === 'off') {
+                        config.filters.where = '';
+                        loadPacketFilters();
                         saveConfig();
-                        mod.command.message(`Filter updated: ${filterType} = ${filterValues.join(', ')}`);
-                    } else {
+                        mod.command.message('Filter expression removed');
+                        break;
+                    }
+                    
+                    try {
+                        compileFilterExpression(source);
+                    } catch (error) {
+                        mod.command.message(`Invalid filter expression: ${error.message}`);
+                        break;
+                    }
+                    config.filters.where = source;
+                    loadPacketFilters();
+                    saveConfig();
+                    mod.command.message(`Filter expression set: ${source}`);
+                } else if (args.length >= 2) {
+                    const [filterType, ...filterValues] = args;
+                    const entry = configSchema.getSchemaEntry(`filters.${filterType}`);
+                    if (!entry || filterType === 'where') {
                         mod.command.message(`Unknown filter: ${filterType}`);
+                        break;
+                    }
+                    if (entry.type !== 'list' && filterValues.length > 1) {
+                        mod.command.message(`Cannot change filter: ${filterType} takes a single number, got ${filterValues.join(' ')}`);
+                        break;
+                    }
+                    
+                    // Lists may be separated by spaces, commas or both
+                    const text = filterValues.join(',').split(',').map(value => value.trim()).filter(Boolean).join(',');
+                    try {
+                        const value = configSchema.setConfigValue(config, `filters.${filterType}`, text);
+                        loadPacketFilters();
+                        saveConfig();
+                        mod.command.message(`Filter updated: ${filterType} = ${Array.isArray(value) ? value.join(', ') : value}`);
+                        packetFilters.errors.forEach(error => mod.command.message(`Invalid entry skipped: ${error}`));
+                    } catch (error) {
+                        mod.command.message(`Cannot change filter: ${error.message}`);
                     }
                 } else {
-                    mod.command.message('Usage: /packetlogger filter <type> <values...>');
+                    mod.command.message('Usage: /packetlogger filter <type> <values...> or /packetlogger filter where <expression>');
                     mod.command.message('Filter types: includeOpcode, excludeOpcode, minPacketSize, maxPacketSize');
                 }
                 break;
@@ -649,15 +1339,22 @@ module.exports = function PacketLogger(mod) {
                         case 'add':
                             if (args.length >= 2) {
                                 const packetToAdd = args[1];
-                                if (!blacklist.includes(packetToAdd)) {
+                                const matcher = compilePacketPatterns([packetToAdd], config.packetGroups);
+                                if (matcher.errors.length > 0) {
+                                    mod.command.message(`Invalid pattern ${matcher.errors[0]}`);
+                                } else if (!blacklist.includes(packetToAdd)) {
                                     blacklist.push(packetToAdd);
+                                    blacklistExceptions.delete(packetToAdd);
                                     saveBlacklist();
                                     mod.command.message(`Added ${packetToAdd} to blacklist`);
+                                    if (!matchesKnownPacket(matcher)) {
+                                        mod.command.message(`<font color="#FFFF00">Warning</font>: ${packetToAdd} doesn't match any packet in the opcode map. Check the spelling.`);
+                                    }
                                 } else {
                                     mod.command.message(`${packetToAdd} is already blacklisted`);
                                 }
                             } else {
-                                mod.command.message('Usage: /packetlogger blacklist add <packet_name>');
+                                mod.command.message('Usage: /packetlogger blacklist add <packet_name|pattern>');
                             }
                             break;
                             
@@ -724,35 +1421,107 @@ module.exports = function PacketLogger(mod) {
                 
             case 'lookup':
                 if (args.length >= 1) {
+                    checkProtocolVersion();
                     const searchTerm = args[0];
                     const results = [];
                     
-                    // Search by opcode number
-                    if (!isNaN(searchTerm)) {
-                        const opcodeNum = parseInt(searchTerm);
-                        const name = opcodeMap[opcodeNum];
-                        if (name) {
-                            results.push(`${opcodeNum} -> ${name}`);
+                    // Opcodes first, then system messages, each with the map that named it
+                    const maps = [
+                        { map: opcodeMap, sources: opcodeSources, label: '' },
+                        { map: sysmsgMap, sources: sysmsgSources, label: 'system message ' }
+                    ];
+                    for (const { map, sources, label } of maps) {
+                        // Search by number
+                        if (!isNaN(searchTerm)) {
+                            const opcodeNum = parseInt(searchTerm);
+                            const name = map[opcodeNum];
+                            if (name) {
+                                results.push(`${label}${opcodeNum} -> ${name} [${sources[opcodeNum]}]`);
+                            }
                         }
-                    }
-                    
-                    // Search by opcode name
-                    for (const [num, name] of Object.entries(opcodeMap)) {
-                        if (name.toLowerCase().includes(searchTerm.toLowerCase())) {
-                            results.push(`${name} -> ${num}`);
+                        
+                        // Search by name
+                        for (const [num, name] of Object.entries(map)) {
+                            if (name.toLowerCase().includes(searchTerm.toLowerCase())) {
+                                results.push(`${label}${name} -> ${num} [${sources[num]}]`);
+                            }
                         }
                     }
                     
                     if (results.length > 0) {
                         mod.command.message(`Opcode lookup results for "${searchTerm}":\n${results.slice(0, 10).join('\n')}${results.length > 10 ? '\n... and ' + (results.length - 10) + ' more' : ''}`);
                     } else {
-                        mod.command.message(`No opcode found matching "${searchTerm}"`);
+                        mod.command.message(`No opcode or system message found matching "${searchTerm}"`);
                     }
                 } else {
                     mod.command.message('Usage: /packetlogger lookup <opcode_number_or_name>');
                 }
                 break;
                 
+            case 'stats':
+                handleStatsCommand(args);
+                break;
+                
+            case 'latency':
+                handleLatencyCommand(args);
+                break;
+                
+            case 'infer':
+                handleInferCommand(args);
+                break;
+                
+            case 'diff':
+                handleDiffCommand(args);
+                break;
+                
+            case 'search':
+                handleSearchCommand(args);
+                break;
+                
+            case 'entities': {
+                // Optional filter: a kind (me, party, player, npc) or part of a name
+                const search = (args[0] || '').toLowerCase();
+                const entities = entityTracker.list().filter(entity =>
+                    !search || entity.kind === search || (entity.name || '').toLowerCase().includes(search)
+                );
+                if (entities.length === 0) {
+                    mod.command.message(search ? `No tracked entities match "${search}"` : `No entities tracked${enabled ? '' : ' (logging must be running to see spawns)'}`);
+                    break;
+                }
+                
+                mod.command.message(`Tracked entities: ${entities.length}`);
+                entities.slice(0, 20).forEach(entity => {
+                    mod.command.message(`  ${entity.gameId}: ${entityTracker.describe(entity)}`);
+                });
+                if (entities.length > 20) {
+                    mod.command.message(`  ... and ${entities.length - 20} more`);
+                }
+                break;
+            }
+                
+            case 'defs':
+                if (args.length >= 1) {
+                    const opcodeName = isNaN(args[0]) ? args[0] : translateOpcode(parseInt(args[0]));
+                    const resolved = resolveDefinitionVersion(opcodeName);
+                    
+                    if (resolved.loaded.length === 0 && resolved.dispatchVersion === null) {
+                        mod.command.message(`No definitions found for ${opcodeName}`);
+                        break;
+                    }
+                    
+                    const loadedInfo = resolved.loaded.length > 0 ? resolved.loaded.join(', ') : 'none';
+                    const dispatchInfo = resolved.dispatchVersion !== null ? resolved.dispatchVersion : 'unknown';
+                    const activeInfo = resolved.version !== null ? `${resolved.version} (${resolved.source})` : 'none';
+                    let message = `Definitions for ${opcodeName}:\nLoaded versions: ${loadedInfo}\nDispatch version: ${dispatchInfo}\nActive version: ${activeInfo}`;
+                    if (resolved.dispatchVersion !== null && resolved.source !== 'dispatch') {
+                        message += `\n<font color="#FFA500">Version ${resolved.dispatchVersion} is not loaded, decodes may be wrong</font>`;
+                    }
+                    mod.command.message(message);
+                } else {
+                    mod.command.message('Usage: /packetlogger defs <packet_name_or_opcode>');
+                }
+                break;
+                
             case 'debug':
                 if (args.length >= 1) {
                     const subcmd = args[0];
@@ -774,13 +1543,7 @@ module.exports = function PacketLogger(mod) {
                             
                         case 'actionstage':
                             // Temporarily remove S_ACTION_STAGE from blacklist for testing
-                            const actionStageIndex = blacklist.indexOf('S_ACTION_STAGE');
-                            if (actionStageIndex > -1) {
-                                blacklist.splice(actionStageIndex, 1);
-                                mod.command.message('S_ACTION_STAGE temporarily removed from blacklist for debugging');
-                            } else {
-                                mod.command.message('S_ACTION_STAGE is not in blacklist');
-                            }
+                            unblacklistTemporarily('S_ACTION_STAGE');
                             break;
                             
                         default:
@@ -793,32 +1556,643 @@ module.exports = function PacketLogger(mod) {
                 break;
                 
             default:
-                mod.command.message('Available commands: start, stop, status, clear, config, filter, blacklist, descriptions, lookup, debug');
+                mod.command.message('Available commands: start, stop, status, clear, config, profile, capture, format, style, reload, trigger, mark, ui, filter, blacklist, descriptions, lookup, stats, latency, entities, infer, diff, search, defs, debug');
                 break;
         }
     });
     
+    // /packetlogger latency [reset]: round trips per request/response pair
+    function handleLatencyCommand(args) {
+        if (!latencyTracker) {
+            mod.command.message('Latency tracking is off, turn it on with /packetlogger config latency.enabled true');
+            return;
+        }
+        if (args[0] === 'reset') {
+            latencyTracker.reset();
+            mod.command.message('Latency measurements reset');
+            return;
+        }
+        if (args.length > 0) {
+            mod.command.message('Usage: /packetlogger latency [reset]');
+            return;
+        }
+        
+        const summaries = latencyTracker.list();
+        if (summaries.length === 0) {
+            mod.command.message('No request/response pairs configured (latency.pairs)');
+            return;
+        }
+        mod.command.message(`Round trips by request/response pair${enabled ? '' : ' (logging is stopped, nothing is measured)'}:`);
+        summaries.forEach(summary => mod.command.message(`  ${formatLatencySummary(summary)}`));
+    }
+    
+    // /packetlogger stats [top N] [sort], stats export [csv|json], stats reset
+    function handleStatsCommand(args) {
+        if (args[0] === 'reset') {
+            packetStats.reset();
+            mod.command.message('Packet statistics reset');
+            return;
+        }
+        
+        if (args[0] === 'export') {
+            const format = args[1] || 'csv';
+            if (format !== 'csv' && format !== 'json') {
+                mod.command.message('Usage: /packetlogger stats export [csv|json]');
+                return;
+            }
+            
+            try {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const statsFile = path.join(logsDir, `packet-stats-${timestamp}.${format}`);
+                fs.writeFileSync(statsFile, packetStats.exportSnapshot(format));
+                mod.command.message(`Packet statistics exported to ${statsFile}`);
+            } catch (error) {
+                mod.log(`Error exporting packet statistics: ${error.message}`);
+                mod.command.message(`Cannot export packet statistics: ${error.message}`);
+            }
+            return;
+        }
+        
+        let limit = 10;
+        let sortBy = 'count';
+        let index = 0;
+        if (args[index] === 'top') {
+            limit = parseInt(args[index + 1]);
+            index += 2;
+        }
+        if (args[index] !== undefined) {
+            sortBy = args[index];
+        }
+        if (!(limit > 0) || !SORT_KEYS[sortBy]) {
+            mod.command.message(`Usage: /packetlogger stats [top N] [${Object.keys(SORT_KEYS).join('|')}]`);
+            mod.command.message('       /packetlogger stats export [csv|json], /packetlogger stats reset');
+            return;
+        }
+        
+        const stats = packetStats.list(sortBy);
+        if (stats.length === 0) {
+            mod.command.message(`No packets counted yet${enabled ? '' : ' (logging must be running)'}`);
+            return;
+        }
+        
+        mod.command.message(`Packet statistics since ${new Date(packetStats.getSince()).toISOString()}, by ${sortBy} (${Math.min(limit, stats.length)} of ${stats.length}):`);
+        stats.slice(0, limit).forEach((stat, i) => {
+            const direction = stat.direction === 'SENT' ? 'C->S' : 'S->C';
+            const blacklisted = isBlacklisted(stat.opcode) ? ' [blacklisted]' : '';
+            mod.command.message(`${i + 1}. ${stat.name} (${stat.opcode}) ${direction}: ${stat.count} packets, ${stat.bytes} bytes, ` +
+                `size ${stat.minSize}/${Math.round(stat.avgSize)}/${stat.maxSize}, ${stat.rate.toFixed(1)}/s (peak ${stat.peakRate}/s)${blacklisted}`);
+        });
+    }
+    
+    // /packetlogger config <setting> [value], with dotted paths for nested
+    // settings ("output.includeHexData"). Without a value, shows the setting.
+    function handleConfigCommand(args) {
+        if (args.length === 0) {
+            mod.command.message('Usage: /packetlogger config <setting> [value], e.g. /packetlogger config output.includeHexData false');
+            return;
+        }
+        
+        const keyPath = args[0];
+        if (args.length === 1) {
+            const value = configSchema.getConfigValue(config, keyPath);
+            mod.command.message(value === undefined ? `Unknown setting: ${keyPath}` : `${keyPath} = ${JSON.stringify(value)}`);
+            return;
+        }
+        
+        // Values may contain spaces (filter expressions); "" sets an empty text
+        let text = args.slice(1).join(' ');
+        if (/^(["']).*\1$/.test(text)) text = text.slice(1, -1);
+        
+        const previous = JSON.parse(JSON.stringify(config));
+        try {
+            const value = configSchema.setConfigValue(config, keyPath, text);
+            saveConfig();
+            applyConfigChanges(previous);
+            mod.command.message(`Config updated: ${keyPath} = ${JSON.stringify(value)}`);
+        } catch (error) {
+            mod.command.message(`Cannot change setting: ${error.message}`);
+        }
+    }
+    
+    const profilesPath = path.join(__dirname, 'profiles.json');
+    
+    // Write profiles.json, telling the user when it fails
+    function storeProfiles(stored) {
+        try {
+            profiles.writeProfiles(profilesPath, stored);
+            return true;
+        } catch (error) {
+            mod.log(`Error saving profiles: ${error.message}`);
+            mod.command.message(`Cannot save profiles.json: ${error.message}`);
+            return false;
+        }
+    }
+    
+    // /packetlogger profile <list|use|save|delete> [name]. Using a profile
+    // replaces the blacklist, filters, description set and output settings in
+    // config.json and blacklist.json. The settings in use before the first
+    // profile are kept as profile "default" so they can be restored.
+    function handleProfileCommand(args) {
+        const [subcmd, name, ...rest] = args;
+        let stored;
+        try {
+            stored = profiles.readProfiles(profilesPath);
+        } catch (error) {
+            mod.command.message(`Cannot read profiles.json: ${error.message}`);
+            return;
+        }
+        
+        switch (subcmd) {
+            case 'list': {
+                const names = Object.keys(stored);
+                if (names.length === 0) {
+                    mod.command.message('No profiles saved. Save the current settings with /packetlogger profile save <name>');
+                    break;
+                }
+                mod.command.message(`Profiles (${names.length}):`);
+                for (const profileName of names) {
+                    const profile = stored[profileName] || {};
+                    const active = profileName === config.profile ? ' <font color="#00FF00">(active)</font>' : '';
+                    const description = profile.description ? ` - ${profile.description}` : '';
+                    mod.command.message(`  ${profileName}${active}${description}: ${profiles.describeProfile(profile)}`);
+                }
+                break;
+            }
+            
+            case 'use': {
+                if (!name) {
+                    mod.command.message('Usage: /packetlogger profile use <name>');
+                    break;
+                }
+                if (!stored[name]) {
+                    mod.command.message(`Unknown profile: ${name}. Profiles: ${Object.keys(stored).join(', ') || 'none'}`);
+                    break;
+                }
+                
+                let result;
+                try {
+                    result = profiles.applyProfile(config, blacklist, stored[name]);
+                } catch (error) {
+                    mod.command.message(`Cannot use profile ${name}: ${error.message}`);
+                    break;
+                }
+                
+                if (!config.profile && !stored.default && name !== 'default') {
+                    stored.default = profiles.captureProfile(config, blacklist, 'Settings in use before the first profile');
+                    if (!storeProfiles(stored)) break;
+                    mod.command.message('Saved the previous settings as profile default');
+                }
+                
+                const previous = config;
+                config = result.config;
+                config.profile = name;
+                blacklist = result.blacklist;
+                saveConfig();
+                saveBlacklist();
+                applyConfigChanges(previous);
+                // A changed format starts a new file whose header names the profile
+                if (previous.output.format === config.output.format) {
+                    writeMarker(`Profile: ${name}`);
+                }
+                
+                result.warnings.forEach(warning => mod.command.message(`Profile warning: ${warning}`));
+                mod.command.message(`Using profile ${name}: ${profiles.describeProfile(stored[name])}`);
+                break;
+            }
+            
+            case 'save': {
+                const profileName = name || config.profile;
+                if (!profileName) {
+                    mod.command.message('Usage: /packetlogger profile save <name> [description]');
+                    break;
+                }
+                
+                const description = rest.join(' ') || stored[profileName]?.description || '';
+                stored[profileName] = profiles.captureProfile(config, blacklist, description);
+                if (!storeProfiles(stored)) break;
+                config.profile = profileName;
+                saveConfig();
+                mod.command.message(`Saved the current settings as profile ${profileName}`);
+                break;
+            }
+            
+            case 'delete':
+                if (!name || !stored[name]) {
+                    mod.command.message(name ? `Unknown profile: ${name}` : 'Usage: /packetlogger profile delete <name>');
+                    break;
+                }
+                
+                delete stored[name];
+                if (!storeProfiles(stored)) break;
+                // The settings stay as they are, they just no longer belong to a profile
+                if (config.profile === name) {
+                    config.profile = '';
+                    saveConfig();
+                }
+                mod.command.message(`Deleted profile ${name}`);
+                break;
+                
+            default:
+                mod.command.message(config.profile ? `Active profile: ${config.profile}` : 'No profile in use');
+                mod.command.message('Usage: /packetlogger profile <list|use|save|delete> [name]');
+                break;
+        }
+    }
+    
+    // Describe an output style for chat: "dump, fields"
+    function describeStyle(style) {
+        const hex = style.hexStyle === 'truncate' ? `first ${style.hexBytes} bytes` : style.hexStyle;
+        return `${hex}${style.includeParsedData ? ', fields' : ''}`;
+    }
+    
+    // /packetlogger style [list], style <packet|default> <full|dump|none|N>,
+    // style <packet|default> fields <on|off>, style <packet> reset
+    function handleStyleCommand(args) {
+        const packetStyles = config.output.packetStyles = config.output.packetStyles || {};
+        
+        if (args.length === 0 || args[0] === 'list') {
+            const defaultStyle = output.getPacketStyle({ ...config.output, packetStyles: {} }, {});
+            mod.command.message(`Default output style: ${describeStyle(defaultStyle)}`);
+            for (const packet of Object.keys(packetStyles)) {
+                const style = output.getPacketStyle(config.output, isNaN(packet) ? { name: packet } : { opcode: packet });
+                mod.command.message(`  ${packet}: ${describeStyle(style)}`);
+            }
+            return;
+        }
+        
+        const [packet, setting, value] = args;
+        const isDefault = packet === 'default';
+        const target = isDefault ? config.output : (packetStyles[packet] = packetStyles[packet] || {});
+        
+        if (setting === 'reset' && !isDefault) {
+            delete packetStyles[packet];
+        } else if (setting === 'fields' && (value === 'on' || value === 'off')) {
+            target.includeParsedData = value === 'on';
+        } else if (/^\d+$/.test(setting || '')) {
+            target.hexStyle = 'truncate';
+            target.hexBytes = parseInt(setting);
+        } else if (output.HEX_STYLES.includes(setting) && setting !== 'truncate') {
+            target.hexStyle = setting;
+        } else {
+            if (!isDefault && Object.keys(target).length === 0) delete packetStyles[packet];
+            mod.command.message('Usage: /packetlogger style <packet|default> <full|dump|none|N>, style <packet|default> fields <on|off>');
+            mod.command.message('       /packetlogger style <packet> reset, /packetlogger style list');
+            return;
+        }
+        if (isDefault) {
+            config.output.includeHexData = config.output.hexStyle !== 'none';
+        }
+        
+        saveConfig();
+        if (setting === 'reset') {
+            mod.command.message(`Output style for ${packet} reset to the default`);
+        } else {
+            const style = output.getPacketStyle(config.output, isDefault ? {} : isNaN(packet) ? { name: packet } : { opcode: packet });
+            mod.command.message(`Output style for ${isDefault ? 'all packets' : packet}: ${describeStyle(style)}`);
+        }
+    }
+    
+    // Opcode number for a number, a mapped packet name or an UNKNOWN_<opcode> name
+    function findOpcode(term) {
+        if (/^\d+$/.test(term)) return parseInt(term);
+        for (const [num, name] of Object.entries(opcodeMap)) {
+            if (name.toLowerCase() === term.toLowerCase()) return parseInt(num);
+        }
+        const unknown = term.match(/^UNKNOWN_(\d+)$/i);
+        return unknown ? parseInt(unknown[1]) : null;
+    }
+    
+    // /packetlogger infer <opcode> [clear], infer list
+    function handleInferCommand(args) {
+        if (args[0] === 'list') {
+            if (inferSamples.size === 0) {
+                mod.command.message(`No samples collected yet${enabled ? '' : ' (logging must be running)'}`);
+                return;
+            }
+            const sampled = [...inferSamples.entries()].sort((a, b) => b[1].length - a[1].length);
+            mod.command.message(`Samples for inference: ${sampled.length} opcodes`);
+            sampled.slice(0, 20).forEach(([opcode, samples]) => {
+                mod.command.message(`  ${translateOpcode(opcode)} (${opcode}): ${samples.length} samples`);
+            });
+            if (sampled.length > 20) {
+                mod.command.message(`  ... and ${sampled.length - 20} more`);
+            }
+            return;
+        }
+        
+        const opcode = args[0] !== undefined ? findOpcode(args[0]) : null;
+        if (opcode === null) {
+            mod.command.message('Usage: /packetlogger infer <opcode_or_name> [clear], /packetlogger infer list');
+            return;
+        }
+        const opcodeName = translateOpcode(opcode);
+        
+        if (args[1] === 'clear') {
+            inferSamples.delete(opcode);
+            inferWatched.delete(opcode);
+            mod.command.message(`Inference samples for ${opcodeName} cleared`);
+            return;
+        }
+        
+        const samples = inferSamples.get(opcode) || [];
+        if (samples.length === 0) {
+            // Packets with a definition are only sampled once asked for
+            inferWatched.add(opcode);
+            mod.command.message(`No samples of ${opcodeName} (${opcode}) yet; collecting them${enabled ? '' : ' once logging is started'}. Run the command again later.`);
+            return;
+        }
+        
+        const inference = infer.inferStructure(samples);
+        const sizes = inference.minSize === inference.maxSize ? `${inference.minSize}` : `${inference.minSize}-${inference.maxSize}`;
+        mod.command.message(`Proposed layout of ${opcodeName} from ${samples.length} samples (${sizes} bytes, offsets from the end of the header):`);
+        const layout = infer.formatLayout(inference.fields);
+        layout.slice(0, 20).forEach(line => mod.command.message(`  ${line}`));
+        if (layout.length > 20) {
+            mod.command.message(`  ... and ${layout.length - 20} more lines in the draft`);
+        }
+        if (inference.tail > 0) {
+            mod.command.message(`  up to ${inference.tail} trailing bytes are not explained`);
+        }
+        
+        try {
+            const draftDir = path.join(__dirname, 'definitions-draft');
+            if (!fs.existsSync(draftDir)) {
+                fs.mkdirSync(draftDir);
+            }
+            const content = infer.formatDefinition(opcodeName, inference);
+            const draftFile = path.join(draftDir, `${opcodeName}.${getDispatchVersion(opcodeName) || 1}.def`);
+            fs.writeFileSync(draftFile, content);
+            const decoded = infer.checkDefinition(content, samples);
+            mod.command.message(`Draft written to ${draftFile} (decodes ${decoded}/${samples.length} samples)`);
+        } catch (error) {
+            mod.log(`Error writing draft definition: ${error.message}`);
+            mod.command.message(`Cannot write draft definition: ${error.message}`);
+        }
+    }
+    
+    // A saved log's packet entries, with names for the ones logged without.
+    // Streamed so the game keeps running; logs over maxBytes are refused.
+    async function readLogEntries(file, maxBytes = 0) {
+        return (await readLogFileAsync(file, { maxBytes })).entries.map(entry => {
+            entry.name = entry.name || translateOpcode(entry.opcode);
+            return entry;
+        });
+    }
+    
+    // Find a saved log by path, file name or a unique part of its name in the logs folder
+    function findLogFile(term) {
+        if (path.isAbsolute(term) && fs.existsSync(term)) return term;
+        
+        const names = listLogFiles(logsDir);
+        if (names.includes(term)) return path.join(logsDir, term);
+        const matches = names.filter(name => name.includes(term));
+        if (matches.length === 1) return path.join(logsDir, matches[0]);
+        throw new Error(matches.length === 0 ? `no log matches ${term}` : `${matches.length} logs match ${term}, be more specific`);
+    }
+    
+    // Decoded fields of a saved packet: decoded by name with the definitions
+    // when the payload was logged, otherwise the fields a JSONL log stored
+    function decodeLogEntry(entry) {
+        const resolved = resolveDefinitionVersion(entry.name);
+        if (resolved.version !== null && entry.data) {
+            try {
+                return decoder.decodePacket(entry.data, packetDefinitions[entry.name][resolved.version]);
+            } catch (error) {
+                return null;
+            }
+        }
+        return entry.fields;
+    }
+    
+    // /packetlogger diff <logA> <logB> [field...]. Extra arguments are fields
+    // to ignore on top of diff.ignoreFields. The full report goes to a file.
+    // Runs in the background, like searches and one at a time with them.
+    function handleDiffCommand(args) {
+        if (args.length < 2) {
+            mod.command.message('Usage: /packetlogger diff <logA> <logB> [ignored fields...], with log file names or parts of them');
+            return;
+        }
+        if (logTask) {
+            mod.command.message(`Still busy with a ${logTask}, try again when it has finished`);
+            return;
+        }
+        
+        logTask = 'diff';
+        diffLogFiles(args).catch(error => {
+            mod.log(`Error comparing logs: ${error.message}`);
+            mod.command.message(`Cannot compare the logs: ${error.message}`);
+        }).finally(() => {
+            logTask = null;
+        });
+    }
+    
+    async function diffLogFiles(args) {
+        const [fileA, fileB] = args.slice(0, 2).map(findLogFile);
+        const entriesA = await readLogEntries(fileA, config.diff.maxLogSize);
+        const entriesB = await readLogEntries(fileB, config.diff.maxLogSize);
+        const result = await diffLogsAsync(entriesA, entriesB, {
+            decode: decodeLogEntry,
+            ignore: [...config.diff.ignoreFields, ...args.slice(2)],
+            maxEdits: config.diff.maxEdits
+        });
+        
+        const names = { nameA: path.basename(fileA), nameB: path.basename(fileB) };
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const reportFile = path.join(logsDir, `packet-diff-${timestamp}.txt`);
+        await fs.promises.writeFile(reportFile, formatLogDiff(result, entriesA, entriesB, names).join('\n') + '\n');
+        
+        formatLogDiff(result, entriesA, entriesB, { ...names, maxItems: config.diff.maxLines })
+            .forEach(line => mod.command.message(line));
+        mod.command.message(`Full report written to ${reportFile}`);
+    }
+    
+    // /packetlogger search <query>. Logs are searched oldest first; the first
+    // search.chatHits hits are shown in chat and all of them written to a file.
+    // Runs in the background, one diff or search at a time.
+    function handleSearchCommand(args) {
+        if (args.length === 0) {
+            mod.command.message('Usage: /packetlogger search <packets...> [from:<time>] [to:<time>] [character:<name>] [zone:<id>] [context:<n>] [where <expression>]');
+            return;
+        }
+        if (logTask) {
+            mod.command.message(`Still busy with a ${logTask}, try again when it has finished`);
+            return;
+        }
+        
+        let query;
+        try {
+            query = parseSearchQuery(args.join(' '), config.packetGroups, { context: config.search.context });
+        } catch (error) {
+            mod.command.message(`Cannot search the logs: ${error.message}`);
+            return;
+        }
+        
+        logTask = 'search';
+        searchLogFiles(args, query).catch(error => {
+            mod.log(`Error searching logs: ${error.message}`);
+            mod.command.message(`Cannot search the logs: ${error.message}`);
+        }).finally(() => {
+            logTask = null;
+        });
+    }
+    
+    async function searchLogFiles(args, query) {
+        const files = listLogFiles(logsDir)
+            .map(name => path.join(logsDir, name))
+            .map(file => ({ file, modified: fs.statSync(file).mtimeMs }))
+            .sort((a, b) => a.modified - b.modified || a.file.localeCompare(b.file))
+            .map(entry => entry.file);
+        const readEntries = (file) => readLogEntries(file, config.search.maxLogSize);
+        
+        const { index, errors } = await updateLogIndex(path.join(logsDir, '.search-index.json'), files, readEntries, decodeLogEntry);
+        errors.forEach(error => mod.log(`Error indexing ${error}`));
+        if (errors.length > 0) {
+            mod.command.message(`Skipped ${errors.length} logs that could not be indexed (see the toolbox log); search large logs with search.js`);
+        }
+        const result = await searchLogs(files, index, query, {
+            readEntries,
+            decode: decodeLogEntry,
+            maxHits: config.search.maxHits
+        });
+        
+        if (result.hits.length === 0) {
+            mod.command.message(`No packets found in ${files.length} logs (${result.filesSearched} could contain hits)`);
+            return;
+        }
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const reportFile = path.join(logsDir, `packet-search-${timestamp}.txt`);
+        await fs.promises.writeFile(reportFile, [`Search: ${args.join(' ')}`, ...formatSearchHits(result)].join('\n') + '\n');
+        
+        formatSearchHits(result, { maxHits: config.search.chatHits }).forEach(line => mod.command.message(line));
+        mod.command.message(`All hits written to ${reportFile}`);
+    }
+    
     // Save blacklist to file
     function saveBlacklist() {
+        compileBlacklist();
         try {
             const blacklistPath = path.join(__dirname, 'blacklist.json');
             const blacklistData = {
                 "description": "Packets to ignore by default - high frequency, low value packets",
                 "packets": blacklist
             };
-            fs.writeFileSync(blacklistPath, JSON.stringify(blacklistData, null, 2));
+            loadedTexts.blacklist = JSON.stringify(blacklistData, null, 2);
+            fs.writeFileSync(blacklistPath, loadedTexts.blacklist);
         } catch (error) {
             mod.log(`Error saving blacklist: ${error.message}`);
         }
     }
     
+    // Files that are reloaded when they change, by the name used in /packetlogger reload
+    const RELOADABLE_FILES = {
+        config: 'config.json',
+        blacklist: 'blacklist.json',
+        descriptions: 'packet-descriptions.json',
+        definitions: 'definitions',
+        opcodes: 'opcode maps'
+    };
+    
+    // Reload one of the files above. A file that doesn't load or validate
+    // leaves the current state untouched. Files whose text is the one last
+    // loaded or saved are skipped unless forced.
+    function reloadFile(key, force = false) {
+        const file = RELOADABLE_FILES[key];
+        try {
+            if (key !== 'definitions' && key !== 'opcodes') {
+                const filePath = path.join(__dirname, file);
+                if (!fs.existsSync(filePath)) throw new Error('file not found');
+                if (!force && fs.readFileSync(filePath, 'utf8') === loadedTexts[key]) return;
+            }
+            
+            switch (key) {
+                case 'config': {
+                    const previous = config;
+                    loadConfig(true);
+                    // Whether logging runs is decided by the start/stop commands, not the file
+                    config.enabled = enabled;
+                    applyConfigChanges(previous);
+                    break;
+                }
+                case 'blacklist':
+                    loadBlacklist(true);
+                    break;
+                case 'descriptions':
+                    loadPacketDescriptions(true);
+                    break;
+                case 'definitions':
+                    loadPacketDefinitions(true);
+                    break;
+                case 'opcodes':
+                    loadOpcodeMap();
+                    break;
+            }
+            mod.command.message(`Reloaded ${file}`);
+        } catch (error) {
+            mod.log(`Error reloading ${file}: ${error.message}`);
+            mod.command.message(`<font color="#FF0000">Cannot reload ${file}</font>: ${error.message}. The previous version stays in use.`);
+        }
+    }
+    
+    // Bring the running logger in line with a reloaded config
+    function applyConfigChanges(previous) {
+        const changed = (get) => JSON.stringify(get(previous)) !== JSON.stringify(get(config));
+        
+        if (changed(c => c.opcodes)) {
+            loadOpcodeMap();
+        }
+        loadPacketFilters();
+        compileBlacklist();
+        if (changed(c => [c.latency, c.packetGroups])) {
+            loadLatencyPairs();
+        }
+        // The rate buckets are sized by the window, so the statistics start over
+        if (changed(c => c.stats?.windowSeconds)) {
+            packetStats = createPacketStats(config.stats?.windowSeconds || 10);
+        }
+        
+        if (packetHooks.length > 0 && changed(c => [c.capturePoint, c.captureFake, c.trackModifications])) {
+            installPacketHooks();
+        }
+        // The current file is finished in its old format, as with /packetlogger format
+        if ((logWriter.isOpen() || triggerCapture) && changed(c => [c.output?.format, c.trigger])) {
+            stopLogging();
+            startLogging();
+        }
+        if (config.hotReload === false && fileWatcher) {
+            fileWatcher.close();
+            fileWatcher = null;
+        } else {
+            startFileWatcher();
+        }
+    }
+    
+    // Watch the config, blacklist and descriptions files and the definitions
+    // directory, unless hot reload is turned off
+    function startFileWatcher() {
+        if (fileWatcher || config.hotReload === false) return;
+        
+        const isFile = (name) => (filename) => filename === name;
+        fileWatcher = createFileWatcher([
+            { key: 'config', dir: __dirname, match: isFile(RELOADABLE_FILES.config) },
+            { key: 'blacklist', dir: __dirname, match: isFile(RELOADABLE_FILES.blacklist) },
+            { key: 'descriptions', dir: __dirname, match: isFile(RELOADABLE_FILES.descriptions) },
+            { key: 'definitions', dir: definitionsDir, match: (filename) => filename.endsWith('.def') }
+        ], (key) => reloadFile(key), (dir, error) => {
+            mod.log(`Error watching ${dir}: ${error.message}`);
+        });
+    }
+    
     // Initialize
     loadConfig();
+    packetStats = createPacketStats(config.stats?.windowSeconds || 10);
+    loadPacketFilters();
+    loadLatencyPairs();
     loadOpcodeMap();
     loadBlacklist();
     loadPacketDescriptions();
     loadPacketDefinitions();
     enabled = config.enabled;
+    startFileWatcher();
     
     if (config.autoStart && enabled) {
         startLogging();
@@ -827,6 +2201,9 @@ module.exports = function PacketLogger(mod) {
     
     // Cleanup on module unload
     mod.destructor = () => {
+        if (fileWatcher) fileWatcher.close();
+        uninstallPacketHooks();
+        inspector.stop();
         stopLogging();
     };
     
@@ -0,0 +1,132 @@
+// What the offline tools (replay.js, diff.js, search.js) share: the common
+// options, the module's config, the definitions and decoding saved packets.
+
+const fs = require('fs');
+const path = require('path');
+const { loadDefinitionsDir, getLoadedVersions } = require('./definitions');
+const decoder = require('./decoder');
+const { parseOpcodeMap } = require('./opcodes');
+const { readJsonFile } = require('./json-file');
+const configSchema = require('./config-schema');
+
+// Parse the command line. Every tool takes --defs, --config, --map,
+// --def-version, --out and --help; flags adds its own options as
+// { '--name': (options, args) => ... } and positional(options, arg, args)
+// takes everything else. args has next() for the option's value, count() for
+// a positive number and rest() for all arguments from this one on.
+function parseArgs(argv, { defaults = {}, flags = {}, positional }) {
+    const options = {
+        defs: path.join(__dirname, '../../../data/definitions'),
+        config: path.join(__dirname, '../config.json'),
+        map: null,
+        defVersions: {},
+        out: null,
+        ...defaults
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const args = {
+            next: () => {
+                if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+                return argv[++i];
+            },
+            count: () => {
+                const value = Number(args.next());
+                if (!Number.isInteger(value) || value < 1) throw new Error(`${arg} expects a positive number`);
+                return value;
+            },
+            rest: () => {
+                const rest = argv.slice(i);
+                i = argv.length;
+                return rest;
+            }
+        };
+        
+        if (flags[arg]) {
+            flags[arg](options, args);
+            continue;
+        }
+        switch (arg) {
+            case '--defs': options.defs = args.next(); break;
+            case '--config': options.config = args.next(); break;
+            case '--map': options.map = args.next(); break;
+            case '--def-version': {
+                const [name, version] = args.next().split('=');
+                if (!name || isNaN(version)) throw new Error('--def-version expects <name>=<version>');
+                options.defVersions[name] = parseInt(version);
+                break;
+            }
+            case '--out': options.out = args.next(); break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                positional(options, arg, args);
+                break;
+        }
+    }
+    
+    return options;
+}
+
+// The module's config, for packet groups and the tools' defaults. Invalid
+// settings are reported and replaced by their defaults; unreadable files throw.
+function loadConfig(file) {
+    if (!fs.existsSync(file)) return configSchema.getDefaults();
+    const { config, errors } = configSchema.normalizeConfig(readJsonFile(file).data);
+    errors.forEach(error => console.error(`Invalid setting ${error}; using the default`));
+    return config;
+}
+
+// The definitions in dir, reporting the ones that don't parse
+function loadDefinitions(dir) {
+    if (!fs.existsSync(dir)) {
+        console.error(`Definitions directory not found: ${dir}`);
+        return {};
+    }
+    const result = loadDefinitionsDir(dir);
+    for (const error of result.errors) {
+        console.error(`Skipping definition ${error.file}: ${error.message}`);
+    }
+    return result.definitions;
+}
+
+// The opcode map in file, or null without one
+function loadOpcodeMap(file) {
+    return file ? parseOpcodeMap(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Definition of a packet: the version asked for with --def-version, or the
+// newest loaded. Returns { version, fields }, fields undefined without one.
+function resolveDefinition(definitions, defVersions, name) {
+    const version = defVersions[name] ?? getLoadedVersions(definitions, name)[0];
+    return { version, fields: definitions[name]?.[version] };
+}
+
+// decode(entry) for saved packets: decoded with the definitions when the
+// payload was logged, otherwise the fields a JSONL log stored
+function createEntryDecoder(definitions, defVersions) {
+    return (entry) => {
+        const { fields } = resolveDefinition(definitions, defVersions, entry.name);
+        if (fields && entry.data) {
+            try {
+                return decoder.decodePacket(entry.data, fields);
+            } catch (error) {
+                return null;
+            }
+        }
+        return entry.fields;
+    };
+}
+
+module.exports = {
+    parseArgs,
+    loadConfig,
+    loadDefinitions,
+    loadOpcodeMap,
+    resolveDefinition,
+    createEntryDecoder
+};
@@ -0,0 +1,309 @@
+// The layout of config.json: every setting with its type and default, how
+// older files are migrated, and how values typed in chat are coerced.
+
+// Version written into new and migrated configs
+const CONFIG_VERSION = 2;
+
+// Setting declarations. Anything that isn't one of these is a section.
+const setting = (type, defaultValue, options = {}) => ({ setting: true, type, default: defaultValue, ...options });
+const bool = (defaultValue) => setting('boolean', defaultValue);
+const number = (defaultValue, min = 0, max = Infinity) => setting('number', defaultValue, { min, max });
+const integer = (defaultValue, min = 0, max = Infinity) => setting('integer', defaultValue, { min, max });
+const string = (defaultValue) => setting('string', defaultValue);
+const oneOf = (defaultValue, values) => setting('string', defaultValue, { values });
+const list = (item, defaultValue = []) => setting('list', defaultValue, { item });
+const map = (defaultValue = {}) => setting('map', defaultValue);
+
+const SCHEMA = {
+    version: integer(CONFIG_VERSION, 1),
+    enabled: bool(false),
+    autoStart: bool(false),
+    logToFile: bool(true),
+    logToConsole: bool(false),
+    showOpcodeNames: bool(true),
+    capturePoint: oneOf('pre', ['pre', 'post']),
+    captureFake: bool(false),
+    trackModifications: bool(false),
+    useBlacklist: bool(true),
+    usePacketDescriptions: bool(true),
+    descriptionSet: list('string'),
+    profile: string(''),
+    hotReload: bool(true),
+    packetGroups: map({
+        movement: ['C_PLAYER_LOCATION', 'S_NPC_LOCATION', 'S_USER_LOCATION', 'S_CREATURE_ROTATE'],
+        ping: ['C_REQUEST_GAMESTAT_PING', 'S_RESPONSE_GAMESTAT_PONG'],
+        abnormality: ['S_ABNORMALITY_*'],
+        skills: ['C_START_*SKILL', 'C_CANCEL_SKILL', 'S_ACTION_*', 'S_EACH_SKILL_RESULT'],
+        spawns: ['/^S_(SPAWN|DESPAWN)_/']
+    }),
+    opcodes: {
+        directories: list('string')
+    },
+    filters: {
+        includeOpcode: list('string'),
+        excludeOpcode: list('string'),
+        minPacketSize: integer(0),
+        maxPacketSize: integer(0),
+        where: string('')
+    },
+    output: {
+        includeTimestamp: bool(true),
+        includeDirection: bool(true),
+        includeOpcode: bool(true),
+        includeSize: bool(true),
+        includeHexData: bool(true),
+        includeParsedData: bool(false),
+        format: oneOf('text', ['text', 'jsonl', 'pcapng']),
+        payloadEncoding: oneOf('hex', ['hex', 'base64']),
+        hexStyle: oneOf('full', ['full', 'truncate', 'dump', 'none']),
+        hexBytes: integer(64),
+        packetStyles: map()
+    },
+    rotation: {
+        maxFileSize: integer(10485760),
+        intervalMinutes: number(0),
+        compress: bool(false),
+        maxFiles: integer(0),
+        maxTotalSize: integer(0),
+        maxAgeDays: number(0)
+    },
+    ui: {
+        port: integer(7780, 1, 65535)
+    },
+    stats: {
+        windowSeconds: integer(10, 1, 3600)
+    },
+    latency: {
+        enabled: bool(false),
+        timeoutMs: integer(5000, 1),
+        maxPending: integer(100, 1),
+        samples: integer(1000, 1),
+        pairs: list('object', [
+            { name: 'ping', request: 'C_REQUEST_GAMESTAT_PING', response: 'S_RESPONSE_GAMESTAT_PONG' },
+            { name: 'skill', request: 'C_START_*SKILL', response: 'S_ACTION_STAGE', key: 'skill', selfKey: 'gameId' }
+        ])
+    },
+    trigger: {
+        enabled: bool(false),
+        bufferPackets: integer(2000),
+        bufferSeconds: number(30),
+        postSeconds: number(10),
+        triggers: list('object')
+    },
+    infer: {
+        maxSamples: integer(50, 1)
+    },
+    diff: {
+        ignoreFields: list('string', ['gameId', '*GameId', 'time', 'timestamp']),
+        maxEdits: integer(4000, 1),
+        maxLines: integer(20, 1),
+        maxLogSize: integer(52428800)
+    },
+    search: {
+        context: integer(2, 0),
+        maxHits: integer(500, 1),
+        chatHits: integer(3, 1),
+        maxLogSize: integer(52428800)
+    }
+};
+
+// Steps from one version to the next. Configs without a version are version 1.
+const MIGRATIONS = [
+    {
+        version: 2,
+        // maxFileSize moved into the rotation section with the other limits
+        migrate(config) {
+            if (config.maxFileSize !== undefined) {
+                config.rotation = isObject(config.rotation) ? config.rotation : {};
+                if (config.rotation.maxFileSize === undefined) config.rotation.maxFileSize = config.maxFileSize;
+                delete config.maxFileSize;
+            }
+        }
+    }
+];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The default config
+function getDefaults(schema = SCHEMA) {
+    const defaults = {};
+    for (const [key, entry] of Object.entries(schema)) {
+        defaults[key] = entry.setting ? clone(entry.default) : getDefaults(entry);
+    }
+    return defaults;
+}
+
+// Convert a value to what a setting expects, throwing a message when it can't.
+// Strings (as typed in chat) are accepted for every type: "true", "10",
+// "S_CHAT,S_LOGIN".
+function coerceValue(entry, value) {
+    switch (entry.type) {
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (['true', 'on', 'yes', '1'].includes(String(value).toLowerCase())) return true;
+            if (['false', 'off', 'no', '0'].includes(String(value).toLowerCase())) return false;
+            throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+        
+        case 'number':
+        case 'integer': {
+            const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+                throw new Error(`expected a number, got ${JSON.stringify(value)}`);
+            }
+            if (entry.type === 'integer' && !Number.isInteger(parsed)) {
+                throw new Error(`expected a whole number, got ${JSON.stringify(value)}`);
+            }
+            if (parsed < entry.min || parsed > entry.max) {
+                throw new Error(`expected a number ${entry.max === Infinity ? `of at least ${entry.min}` : `from ${entry.min} to ${entry.max}`}, got ${parsed}`);
+            }
+            return parsed;
+        }
+        
+        case 'string': {
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw new Error(`expected text, got ${JSON.stringify(value)}`);
+            }
+            const text = String(value);
+            if (entry.values && !entry.values.includes(text)) {
+                throw new Error(`expected one of ${entry.values.join(', ')}, got ${JSON.stringify(value)}`);
+            }
+            return text;
+        }
+        
+        case 'list': {
+            let items = value;
+            if (typeof value === 'string') {
+                items = value.trim() === '' ? [] : value.split(',').map(item => item.trim());
+            }
+            if (!Array.isArray(items)) throw new Error(`expected a list, got ${JSON.stringify(value)}`);
+            if (entry.item === 'string') {
+                // Opcode numbers are matched as strings
+                if (items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+                    throw new Error('expected a list of names or numbers');
+                }
+                return items.map(String);
+            }
+            if (items.some(item => !isObject(item))) throw new Error('expected a list of objects');
+            return items;
+        }
+        
+        case 'map':
+            if (!isObject(value)) throw new Error(`expected an object, got ${JSON.stringify(value)}`);
+            return value;
+    }
+    return value;
+}
+
+// Fill in missing settings and check the present ones against the schema.
+// Invalid values fall back to their default and are reported in errors;
+// unknown keys are kept and reported in warnings, both as "path: message".
+function normalizeSection(schema, section, prefix, errors, warnings) {
+    const result = {};
+    for (const [key, entry] of Object.entries(schema)) {
+        const keyPath = prefix + key;
+        const value = section[key];
+        if (entry.setting) {
+            if (value === undefined) {
+                result[key] = clone(entry.default);
+                continue;
+            }
+            try {
+                result[key] = coerceValue(entry, value);
+            } catch (error) {
+                errors.push(`${keyPath}: ${error.message}`);
+                result[key] = clone(entry.default);
+            }
+        } else {
+            if (value !== undefined && !isObject(value)) {
+                errors.push(`${keyPath}: expected a section, got ${JSON.stringify(value)}`);
+            }
+            result[key] = normalizeSection(entry, isObject(value) ? value : {}, `${keyPath}.`, errors, warnings);
+        }
+    }
+    
+    for (const key of Object.keys(section)) {
+        if (!(key in schema)) {
+            warnings.push(`${prefix}${key}: unknown setting, kept as is`);
+            result[key] = section[key];
+        }
+    }
+    return result;
+}
+
+// Migrate and validate a parsed config.json. Returns { config, errors,
+// warnings, migratedFrom } where migratedFrom is the old version when
+// migrations ran. Settings listed in errors were replaced by their defaults.
+function normalizeConfig(raw) {
+    if (!isObject(raw)) throw new Error('expected an object');
+    
+    const migrated = clone(raw);
+    const version = Number.isInteger(migrated.version) ? migrated.version : 1;
+    for (const migration of MIGRATIONS) {
+        if (migration.version > version) {
+            migration.migrate(migrated);
+            migrated.version = migration.version;
+        }
+    }
+    
+    const errors = [];
+    const warnings = [];
+    if (version > CONFIG_VERSION) {
+        warnings.push(`version: ${version} is newer than this module knows (${CONFIG_VERSION})`);
+    }
+    const config = normalizeSection(SCHEMA, migrated, '', errors, warnings);
+    return { config, errors, warnings, migratedFrom: version < CONFIG_VERSION ? version : null };
+}
+
+// The schema entry of a dotted path ("output.format"), or null
+function getSchemaEntry(keyPath) {
+    let entry = SCHEMA;
+    for (const key of keyPath.split('.')) {
+        if (!entry || entry.setting || !Object.prototype.hasOwnProperty.call(entry, key)) return null;
+        entry = entry[key];
+    }
+    return entry;
+}
+
+// Set a setting by dotted path from text typed in chat. Throws a message
+// naming the setting when the path or the value isn't valid. Returns the
+// value that was set.
+function setConfigValue(config, keyPath, text) {
+    const entry = getSchemaEntry(keyPath);
+    if (!entry) throw new Error(`unknown setting ${keyPath}`);
+    if (!entry.setting) {
+        throw new Error(`${keyPath} is a section, set one of ${Object.keys(entry).map(key => `${keyPath}.${key}`).join(', ')}`);
+    }
+    if (entry.type === 'map' || entry.type === 'list' && entry.item === 'object') {
+        throw new Error(`${keyPath} can only be changed in config.json`);
+    }
+    
+    let value;
+    try {
+        value = coerceValue(entry, text);
+    } catch (error) {
+        throw new Error(`${keyPath}: ${error.message}`);
+    }
+    
+    const keys = keyPath.split('.');
+    const section = keys.slice(0, -1).reduce((current, key) => current[key], config);
+    section[keys[keys.length - 1]] = value;
+    return value;
+}
+
+// Read a setting or section by dotted path; undefined when it doesn't exist
+function getConfigValue(config, keyPath) {
+    return keyPath.split('.').reduce((current, key) => isObject(current) ? current[key] : undefined, config);
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    getDefaults,
+    normalizeConfig,
+    getSchemaEntry,
+    setConfigValue,
+    getConfigValue
+};
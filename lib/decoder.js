@@ -0,0 +1,214 @@
+// Packet decoding, shared by the logger and the offline tools
+
+const { PRIMITIVE_SIZES } = require('./definitions');
+
+// Every raw packet starts with its uint16 length and uint16 opcode
+const PACKET_HEADER_SIZE = 4;
+
+// Decode a raw packet (header included) into a tree of values. Throws when
+// the packet doesn't fit the definition.
+// When a ranges array is given, it receives { path, start, end } for every
+// decoded value, with paths like "loc.x" or "buffs[0].id".
+function decodePacket(data, fields, ranges = null) {
+    return readStruct(data, PACKET_HEADER_SIZE, fields, ranges, '').value;
+}
+
+function addRange(ranges, path, start, end) {
+    if (ranges) ranges.push({ path, start, end });
+}
+
+// Decode a packet for its description. The result carries everything
+// formatPacketData needs, plus the byte range of every field; null when
+// the packet doesn't fit the definition.
+// options.templateOptions is passed on to the template renderer and
+// options.onError receives decode errors.
+function parsePacketData(data, description, fields, options = {}) {
+    try {
+        const ranges = [];
+        return {
+            description: description.description,
+            fields: decodePacket(data, fields, ranges),
+            ranges,
+            format: description.format,
+            templateOptions: options.templateOptions
+        };
+    } catch (error) {
+        if (options.onError) options.onError(error);
+        return null;
+    }
+}
+
+// Read a structure (packet body, array element or object) starting at offset.
+// Returns the decoded values and the offset just past the inline part.
+function readStruct(data, offset, fields, ranges, prefix) {
+    const value = {};
+    const headers = {};
+    
+    for (const field of fields) {
+        const fieldPath = prefix ? `${prefix}.${field.name}` : field.name;
+        switch (field.type) {
+            case 'count':
+            case 'offset':
+                checkBounds(data, offset, 2, field);
+                headers[field.name] = headers[field.name] || {};
+                headers[field.name][field.type] = data.readUInt16LE(offset);
+                offset += 2;
+                break;
+            
+            case 'string':
+                value[field.name] = readString(data, headers[field.name]?.offset, field, ranges, fieldPath);
+                break;
+            
+            case 'bytes':
+                value[field.name] = readBytes(data, headers[field.name] || {}, field, ranges, fieldPath);
+                break;
+            
+            case 'array':
+                value[field.name] = readArray(data, headers[field.name] || {}, field, ranges, fieldPath);
+                break;
+            
+            case 'object': {
+                const result = readStruct(data, offset, field.fields, ranges, fieldPath);
+                addRange(ranges, fieldPath, offset, result.offset);
+                value[field.name] = result.value;
+                offset = result.offset;
+                break;
+            }
+            
+            default:
+                checkBounds(data, offset, PRIMITIVE_SIZES[field.type], field);
+                value[field.name] = readFieldValue(data, offset, field);
+                addRange(ranges, fieldPath, offset, offset + PRIMITIVE_SIZES[field.type]);
+                offset += PRIMITIVE_SIZES[field.type];
+                break;
+        }
+    }
+    
+    return { value, offset };
+}
+
+// Arrays are linked lists: every element starts with its own offset ("here")
+// followed by the offset of the next element, or 0 for the last one
+function readArray(data, header, field, ranges, fieldPath) {
+    const elements = [];
+    let offset = header.offset || 0;
+    let remaining = header.count || 0;
+    
+    while (offset && remaining > 0) {
+        checkBounds(data, offset, 4, field);
+        const here = data.readUInt16LE(offset);
+        const next = data.readUInt16LE(offset + 2);
+        if (here !== offset) {
+            throw new Error(`${field.name}: element at ${offset} points to ${here}`);
+        }
+        
+        const elementPath = `${fieldPath}[${elements.length}]`;
+        const result = readStruct(data, offset + 4, field.fields, ranges, elementPath);
+        addRange(ranges, elementPath, offset, result.offset);
+        elements.push(result.value);
+        offset = next;
+        remaining--;
+    }
+    
+    return elements;
+}
+
+// Strings are null-terminated UTF-16LE, stored wherever their offset points
+function readString(data, offset, field, ranges, fieldPath) {
+    if (!offset) return '';
+    
+    let end = offset;
+    while (end + 1 < data.length && data.readUInt16LE(end) !== 0) {
+        end += 2;
+    }
+    checkBounds(data, offset, end - offset, field);
+    // The range includes the terminator, when there is one
+    addRange(ranges, fieldPath, offset, Math.min(end + 2, data.length));
+    return data.toString('utf16le', offset, end);
+}
+
+// Byte blobs are count bytes stored wherever their offset points
+function readBytes(data, header, field, ranges, fieldPath) {
+    const offset = header.offset || 0;
+    const count = header.count || 0;
+    if (!offset || count === 0) return Buffer.alloc(0);
+    
+    checkBounds(data, offset, count, field);
+    addRange(ranges, fieldPath, offset, offset + count);
+    // A copy, since the packet buffer may be reused once the hook returns
+    return Buffer.from(data.subarray(offset, offset + count));
+}
+
+function checkBounds(data, offset, size, field) {
+    if (offset < 0 || offset + size > data.length) {
+        throw new RangeError(`${field.name} (${field.type}) at ${offset} exceeds packet size ${data.length}`);
+    }
+}
+
+// Read a fixed-width field value from the packet data
+function readFieldValue(data, offset, field) {
+    switch (field.type) {
+        case 'int8':
+            return data.readInt8(offset);
+        case 'byte':
+        case 'uint8':
+            return data.readUInt8(offset);
+        case 'int16':
+            return data.readInt16LE(offset);
+        case 'uint16':
+            return data.readUInt16LE(offset);
+        case 'int32':
+            return data.readInt32LE(offset);
+        case 'uint32':
+            return data.readUInt32LE(offset);
+        case 'int64':
+            return data.readBigInt64LE(offset);
+        case 'uint64':
+        case 'customize':
+            return data.readBigUInt64LE(offset);
+        case 'float':
+            return data.readFloatLE(offset);
+        case 'double':
+            return data.readDoubleLE(offset);
+        case 'bool':
+            return data.readUInt8(offset) !== 0;
+        case 'vec3':
+        case 'vec3fa':
+            return {
+                x: data.readFloatLE(offset),
+                y: data.readFloatLE(offset + 4),
+                z: data.readFloatLE(offset + 8)
+            };
+        case 'angle':
+            // Angles are stored as int16 where 0x8000 is half a turn
+            return data.readInt16LE(offset) * Math.PI / 0x8000;
+        case 'skillid32': {
+            const raw = data.readUInt32LE(offset);
+            return {
+                id: raw & 0x3FFFFFF,
+                type: (raw >>> 26) & 0xF,
+                npc: (raw & 0x40000000) !== 0,
+                reserved: raw >>> 31
+            };
+        }
+        case 'skillid': {
+            const low = data.readUInt32LE(offset);
+            const high = data.readUInt32LE(offset + 4);
+            return {
+                id: low & 0xFFFFFFF,
+                type: low >>> 28,
+                huntingZoneId: high & 0xFFFF,
+                npc: (high & 0x10000) !== 0,
+                reserved: high >>> 17
+            };
+        }
+        default:
+            return undefined;
+    }
+}
+
+module.exports = {
+    PACKET_HEADER_SIZE,
+    decodePacket,
+    parsePacketData
+};
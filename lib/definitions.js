@@ -0,0 +1,132 @@
+// Tera .def file parsing, shared by the logger and the offline tools
+
+const fs = require('fs');
+const path = require('path');
+
+// Size in bytes of every fixed-width type in the Tera protocol
+const PRIMITIVE_SIZES = {
+    'bool': 1, 'byte': 1, 'int8': 1, 'uint8': 1,
+    'int16': 2, 'uint16': 2, 'angle': 2,
+    'int32': 4, 'uint32': 4, 'float': 4, 'skillid32': 4,
+    'int64': 8, 'uint64': 8, 'double': 8, 'skillid': 8, 'customize': 8,
+    'vec3': 12, 'vec3fa': 12
+};
+
+// Types that hold nested fields, and the header fields that locate arrays and strings
+const CONTAINER_TYPES = ['array', 'object'];
+const META_TYPES = ['count', 'offset'];
+// Variable-length values stored outside the inline part, found through their headers
+const BLOB_TYPES = ['string', 'bytes'];
+
+// Parse a .def file into a tree of fields.
+// Nesting is expressed with leading dashes ("- uint32 id" belongs to the
+// closest array/object above it). The count/offset headers of arrays and
+// strings are taken from explicit "count"/"offset" lines when present,
+// otherwise they are placed implicitly at the start of the enclosing
+// structure, the way the game lays them out.
+function parseDefinitionFile(content) {
+    const root = { type: 'object', name: '', fields: [] };
+    const stack = [root];
+    const lines = content.split('\n');
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].replace(/#.*$/, '').trim();
+        if (!line) continue;
+        
+        const match = line.match(/^((?:-\s*)*)(\S+)\s+(\S+)$/);
+        if (!match) {
+            throw new Error(`line ${i + 1}: cannot parse "${line}"`);
+        }
+        
+        const depth = (match[1].match(/-/g) || []).length;
+        const type = match[2];
+        const name = match[3];
+        
+        if (depth > stack.length - 1) {
+            throw new Error(`line ${i + 1}: "${name}" is nested deeper than its parent`);
+        }
+        if (!BLOB_TYPES.includes(type) && !CONTAINER_TYPES.includes(type) &&
+            !META_TYPES.includes(type) && PRIMITIVE_SIZES[type] === undefined) {
+            throw new Error(`line ${i + 1}: unknown type "${type}"`);
+        }
+        
+        stack.length = depth + 1;
+        const field = { type: type, name: name };
+        if (CONTAINER_TYPES.includes(type)) {
+            field.fields = [];
+        }
+        stack[depth].fields.push(field);
+        if (field.fields) {
+            stack.push(field);
+        }
+    }
+    
+    addImplicitHeaders(root);
+    return root.fields;
+}
+
+// Insert count/offset headers for arrays and strings that don't declare them
+function addImplicitHeaders(struct) {
+    const declared = new Set(struct.fields
+        .filter(field => META_TYPES.includes(field.type))
+        .map(field => `${field.type}:${field.name}`));
+    const headers = [];
+    
+    for (const field of struct.fields) {
+        if (field.type === 'array') {
+            if (!declared.has(`count:${field.name}`)) headers.push({ type: 'count', name: field.name });
+            if (!declared.has(`offset:${field.name}`)) headers.push({ type: 'offset', name: field.name });
+        } else if (field.type === 'string') {
+            if (!declared.has(`offset:${field.name}`)) headers.push({ type: 'offset', name: field.name });
+        } else if (field.type === 'bytes') {
+            // Byte blobs put the offset before the count, unlike arrays
+            if (!declared.has(`offset:${field.name}`)) headers.push({ type: 'offset', name: field.name });
+            if (!declared.has(`count:${field.name}`)) headers.push({ type: 'count', name: field.name });
+        }
+        if (field.fields) {
+            addImplicitHeaders(field);
+        }
+    }
+    
+    struct.fields.unshift(...headers);
+}
+
+// Load every <name>.<version>.def file in a directory.
+// Files that fail to parse are reported in errors and skipped.
+function loadDefinitionsDir(definitionsDir) {
+    const definitions = {};
+    const errors = [];
+    
+    for (const file of fs.readdirSync(definitionsDir)) {
+        if (!file.endsWith('.def')) continue;
+        
+        const packetName = file.replace(/\.\d+\.def$/, '');
+        const version = parseInt(file.match(/\.(\d+)\.def$/)?.[1] || '1');
+        
+        try {
+            const content = fs.readFileSync(path.join(definitionsDir, file), 'utf8');
+            const definition = parseDefinitionFile(content);
+            
+            if (!definitions[packetName]) {
+                definitions[packetName] = {};
+            }
+            definitions[packetName][version] = definition;
+        } catch (error) {
+            errors.push({ file, message: error.message });
+        }
+    }
+    
+    return { definitions, errors };
+}
+
+// Loaded versions of a packet, highest first
+function getLoadedVersions(definitions, packetName) {
+    return Object.keys(definitions[packetName] || {}).map(v => parseInt(v)).sort((a, b) => b - a);
+}
+
+module.exports = {
+    PRIMITIVE_SIZES,
+    parseDefinitionFile,
+    loadDefinitionsDir,
+    getLoadedVersions
+};
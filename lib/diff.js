@@ -0,0 +1,95 @@
+// Byte-level and field-level differences between two versions of a packet
+
+// Changed byte ranges between two buffers, including a length change at the end.
+// Returns [{ offset, before, after }] with before/after as hex strings.
+function diffBytes(before, after) {
+    const ranges = [];
+    const commonLength = Math.min(before.length, after.length);
+    let start = -1;
+    
+    for (let i = 0; i <= commonLength; i++) {
+        const differs = i < commonLength && before[i] !== after[i];
+        if (differs && start < 0) {
+            start = i;
+        } else if (!differs && start >= 0) {
+            ranges.push({ offset: start, before: before.toString('hex', start, i), after: after.toString('hex', start, i) });
+            start = -1;
+        }
+    }
+    
+    if (before.length !== after.length) {
+        ranges.push({
+            offset: commonLength,
+            before: before.toString('hex', commonLength),
+            after: after.toString('hex', commonLength)
+        });
+    }
+    
+    return ranges;
+}
+
+// Flatten a decoded value tree into { 'loc.x': 1.5, 'buffs[0].id': 7, ... }
+function flattenFields(value, prefix = '', result = {}) {
+    if (Buffer.isBuffer(value)) {
+        result[prefix] = value.toString('hex');
+    } else if (Array.isArray(value)) {
+        if (value.length === 0) result[prefix] = [];
+        value.forEach((element, index) => flattenFields(element, `${prefix}[${index}]`, result));
+    } else if (value !== null && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            flattenFields(child, prefix ? `${prefix}.${key}` : key, result);
+        }
+    } else {
+        result[prefix] = value;
+    }
+    return result;
+}
+
+// Fields whose values differ between two decoded trees.
+// Returns [{ path, before, after }]; a side is undefined when the field is missing there.
+// Paths matching any of the ignore patterns (RegExps) are skipped.
+function diffFields(before, after, ignore = []) {
+    const flatBefore = flattenFields(before);
+    const flatAfter = flattenFields(after);
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+    
+    for (const path of paths) {
+        if (ignore.some(pattern => pattern.test(path))) continue;
+        
+        const a = flatBefore[path];
+        const b = flatAfter[path];
+        const bothEmptyArrays = Array.isArray(a) && Array.isArray(b);
+        if (a !== b && !bothEmptyArrays && !(Number.isNaN(a) && Number.isNaN(b))) {
+            changes.push({ path, before: a, after: b });
+        }
+    }
+    
+    return changes;
+}
+
+function formatFieldValue(value) {
+    if (value === undefined) return '(missing)';
+    if (Array.isArray(value)) return '[]';
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+// Human-readable lines for a { bytes, fields } diff, at most maxLines of each kind
+function formatDiffLines(diff, maxLines = 16) {
+    const lines = [];
+    const limit = (items, format) => {
+        items.slice(0, maxLines).forEach(item => lines.push(format(item)));
+        if (items.length > maxLines) lines.push(`... and ${items.length - maxLines} more`);
+    };
+    
+    limit(diff.fields || [], change => `field ${change.path}: ${formatFieldValue(change.before)} -> ${formatFieldValue(change.after)}`);
+    limit(diff.bytes || [], range => `bytes @${range.offset}: ${range.before || '(none)'} -> ${range.after || '(none)'}`);
+    return lines;
+}
+
+module.exports = {
+    diffBytes,
+    flattenFields,
+    diffFields,
+    formatDiffLines
+};
@@ -0,0 +1,178 @@
+// Entity tracking: remembers who a gameId belongs to, from the spawn, login
+// and party packets, so logs can show names instead of raw 64-bit ids.
+
+// Class names by the class index in a player's templateId
+const CLASS_NAMES = [
+    'warrior', 'lancer', 'slayer', 'berserker', 'sorcerer', 'archer', 'priest',
+    'mystic', 'reaper', 'gunner', 'brawler', 'ninja', 'valkyrie'
+];
+
+// Packets the tracker reads. Any of them may be missing from the loaded definitions.
+const TRACKED_PACKETS = [
+    'S_LOGIN', 'S_SPAWN_ME', 'S_SPAWN_USER', 'S_DESPAWN_USER', 'S_SPAWN_NPC', 'S_DESPAWN_NPC',
+    'S_PARTY_MEMBER_LIST', 'S_LEAVE_PARTY', 'S_LOAD_TOPO', 'S_RETURN_TO_LOBBY'
+];
+
+// Player templateIds are 10000 + race/gender * 100 + class + 1
+function getClassName(templateId) {
+    if (typeof templateId !== 'number' || templateId < 10000) return null;
+    return CLASS_NAMES[(templateId - 10101) % 100] || null;
+}
+
+// gameIds are kept as BigInt; numbers and decimal strings are accepted too
+function toGameId(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+    if (typeof value === 'string' && /^\d+$/.test(value)) return BigInt(value);
+    return null;
+}
+
+// Create a tracker. Entities are { gameId, kind, name, className, templateId,
+// huntingZoneId } with kind being 'me', 'party', 'player' or 'npc'.
+function createEntityTracker() {
+    const entities = new Map();
+    // Party members by "serverId:playerId", since their gameIds change between zones
+    let partyMembers = new Set();
+    let me = null;
+    
+    const playerKey = (fields) => `${fields.serverId}:${fields.playerId}`;
+    
+    function getPlayerKind(fields) {
+        return partyMembers.has(playerKey(fields)) ? 'party' : 'player';
+    }
+    
+    function addPlayer(fields, kind) {
+        const gameId = toGameId(fields.gameId);
+        if (gameId === null) return;
+        
+        entities.set(gameId, {
+            gameId,
+            kind,
+            name: fields.name || null,
+            className: getClassName(fields.templateId),
+            templateId: fields.templateId ?? null,
+            huntingZoneId: null,
+            playerKey: playerKey(fields)
+        });
+    }
+    
+    // Feed one packet. decode() returns its field tree (or null) and is only
+    // called for the packets the tracker reads.
+    function handlePacket(name, decode) {
+        if (!TRACKED_PACKETS.includes(name)) return;
+        
+        const fields = decode();
+        if (!fields) return;
+        
+        switch (name) {
+            case 'S_LOGIN':
+                entities.clear();
+                addPlayer(fields, 'me');
+                me = entities.get(toGameId(fields.gameId)) || null;
+                break;
+            
+            case 'S_SPAWN_ME':
+                // Same character, possibly a new gameId after a zone change
+                if (me && toGameId(fields.gameId) !== null) {
+                    entities.delete(me.gameId);
+                    me.gameId = toGameId(fields.gameId);
+                    entities.set(me.gameId, me);
+                }
+                break;
+            
+            case 'S_SPAWN_USER':
+                addPlayer(fields, getPlayerKind(fields));
+                break;
+            
+            case 'S_SPAWN_NPC': {
+                const gameId = toGameId(fields.gameId);
+                if (gameId === null) break;
+                entities.set(gameId, {
+                    gameId,
+                    kind: 'npc',
+                    name: `npc ${fields.huntingZoneId}:${fields.templateId}`,
+                    className: null,
+                    templateId: fields.templateId ?? null,
+                    huntingZoneId: fields.huntingZoneId ?? null,
+                    playerKey: null
+                });
+                break;
+            }
+            
+            case 'S_DESPAWN_USER':
+            case 'S_DESPAWN_NPC': {
+                const gameId = toGameId(fields.gameId);
+                if (gameId !== null && (!me || gameId !== me.gameId)) entities.delete(gameId);
+                break;
+            }
+            
+            case 'S_PARTY_MEMBER_LIST':
+                partyMembers = new Set((fields.members || []).map(playerKey));
+                for (const entity of entities.values()) {
+                    if (entity.kind === 'player' || entity.kind === 'party') {
+                        entity.kind = partyMembers.has(entity.playerKey) ? 'party' : 'player';
+                    }
+                }
+                break;
+            
+            case 'S_LEAVE_PARTY':
+                partyMembers = new Set();
+                for (const entity of entities.values()) {
+                    if (entity.kind === 'party') entity.kind = 'player';
+                }
+                break;
+            
+            case 'S_LOAD_TOPO':
+                // Everything around us despawns on a zone change
+                for (const gameId of entities.keys()) {
+                    if (!me || gameId !== me.gameId) entities.delete(gameId);
+                }
+                break;
+            
+            case 'S_RETURN_TO_LOBBY':
+                entities.clear();
+                partyMembers = new Set();
+                me = null;
+                break;
+        }
+    }
+    
+    function get(value) {
+        const gameId = toGameId(value);
+        return gameId === null ? null : entities.get(gameId) || null;
+    }
+    
+    // Short description of an entity: "Bob (lancer, party)"
+    function describe(entity) {
+        const details = [entity.className, entity.kind].filter(Boolean).join(', ');
+        return `${entity.name || entity.gameId} (${details})`;
+    }
+    
+    // Template specifiers for descriptions: {gameId:name} shows the name of
+    // a tracked entity, or the id itself when it isn't known
+    const specifiers = {
+        name: (value) => {
+            const entity = get(value);
+            return entity && entity.name ? entity.name : value;
+        }
+    };
+    
+    return {
+        handlePacket,
+        get,
+        describe,
+        specifiers,
+        list: () => [...entities.values()],
+        // The player's own entity, once S_LOGIN was seen
+        getMe: () => me,
+        clear: () => {
+            entities.clear();
+            partyMembers = new Set();
+            me = null;
+        }
+    };
+}
+
+module.exports = {
+    createEntityTracker
+};
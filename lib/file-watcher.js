@@ -0,0 +1,56 @@
+// Watching the module's files for hot reload
+
+const fs = require('fs');
+
+// Watch files and call onChange(key) once writes to them settle down.
+// targets are { key, dir, match(filename) }. Directories are watched rather
+// than the files themselves, since editors often save by writing a temporary
+// file and renaming it over the original, which ends a watch on the file.
+// onError receives watch errors (a directory that was removed, ...).
+function createFileWatcher(targets, onChange, onError, delayMs = 300) {
+    const watchers = [];
+    const timers = new Map();
+    
+    function schedule(key) {
+        clearTimeout(timers.get(key));
+        timers.set(key, setTimeout(() => {
+            timers.delete(key);
+            onChange(key);
+        }, delayMs));
+    }
+    
+    const byDir = new Map();
+    for (const target of targets) {
+        if (!byDir.has(target.dir)) byDir.set(target.dir, []);
+        byDir.get(target.dir).push(target);
+    }
+    
+    for (const [dir, dirTargets] of byDir) {
+        if (!fs.existsSync(dir)) continue;
+        try {
+            const watcher = fs.watch(dir, (eventType, filename) => {
+                for (const target of dirTargets) {
+                    // Some platforms don't report the file name; then any change counts
+                    if (!filename || target.match(String(filename))) schedule(target.key);
+                }
+            });
+            watcher.on('error', (error) => onError(dir, error));
+            watchers.push(watcher);
+        } catch (error) {
+            onError(dir, error);
+        }
+    }
+    
+    return {
+        close() {
+            watchers.forEach(watcher => watcher.close());
+            watchers.length = 0;
+            timers.forEach(timer => clearTimeout(timer));
+            timers.clear();
+        }
+    };
+}
+
+module.exports = {
+    createFileWatcher
+};
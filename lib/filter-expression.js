@@ -0,0 +1,331 @@
+// Filter expressions over decoded packet fields, e.g.
+//
+//   gameId == 1234567890123 && $direction == "RECEIVED"
+//   id in [100801, 100802] or $size > 200
+//   name =~ /^bob/i and not (channel == 0)
+//
+// Bare names are field paths in the decoded packet ("loc.x", "buffs[0].id").
+// Packet properties are $direction, $size, $opcode and $name. Operators:
+// == != < <= > >=, =~ !~ (regex), in / not in [list], && and, || or, ! not,
+// and parentheses. A comparison with a field the packet doesn't have is false.
+
+const { parsePath } = require('./template');
+
+const PACKET_PROPERTIES = ['direction', 'size', 'opcode', 'name'];
+const COMPARISON_OPERATORS = ['==', '!=', '<=', '>=', '<', '>', '=~', '!~'];
+const KEYWORDS = { and: '&&', or: '||', not: '!', in: 'in', true: true, false: false, null: null };
+
+// Split an expression into tokens: { type, value, position }
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < source.length) {
+        const char = source[i];
+        const rest = source.slice(i);
+        let match;
+        
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"' || char === "'") {
+            // Quoted string, with backslash escapes
+            let value = '';
+            let end = i + 1;
+            while (end < source.length && source[end] !== char) {
+                if (source[end] === '\\' && end + 1 < source.length) end++;
+                value += source[end];
+                end++;
+            }
+            if (end >= source.length) throw new Error(`unclosed string at ${i + 1}`);
+            tokens.push({ type: 'literal', value, position: i });
+            i = end + 1;
+        } else if (char === '/' && tokens.length > 0 && ['=~', '!~'].includes(tokens[tokens.length - 1].value)) {
+            // Regex literal, only allowed right after =~ or !~
+            match = rest.match(/^\/((?:\\.|[^\\/])*)\/([a-z]*)/);
+            if (!match) throw new Error(`unclosed regex at ${i + 1}`);
+            let regex;
+            try {
+                regex = new RegExp(match[1], match[2]);
+            } catch (error) {
+                throw new Error(`invalid regex at ${i + 1}: ${error.message}`);
+            }
+            tokens.push({ type: 'literal', value: regex, position: i });
+            i += match[0].length;
+        } else if ((match = rest.match(/^-?(?:0x[0-9a-f]+|\d+(?:\.\d+)?)/i))) {
+            tokens.push({ type: 'literal', value: parseNumber(match[0]), position: i });
+            i += match[0].length;
+        } else if ((match = rest.match(/^(?:==|!=|<=|>=|=~|!~|&&|\|\||[<>!()[\],])/))) {
+            tokens.push({ type: 'operator', value: match[0], position: i });
+            i += match[0].length;
+        } else if ((match = rest.match(/^\$[A-Za-z]+/))) {
+            const property = match[0].slice(1);
+            if (!PACKET_PROPERTIES.includes(property)) {
+                throw new Error(`unknown packet property ${match[0]} at ${i + 1}`);
+            }
+            tokens.push({ type: 'property', value: property, position: i });
+            i += match[0].length;
+        } else if ((match = rest.match(/^[A-Za-z_][\w]*(?:\.[A-Za-z_]\w*|\[-?\d+\])*/))) {
+            const word = match[0];
+            if (Object.prototype.hasOwnProperty.call(KEYWORDS, word.toLowerCase())) {
+                const keyword = KEYWORDS[word.toLowerCase()];
+                tokens.push(typeof keyword === 'string'
+                    ? { type: 'operator', value: keyword, position: i }
+                    : { type: 'literal', value: keyword, position: i });
+            } else {
+                tokens.push({ type: 'field', value: parsePath(word), position: i });
+            }
+            i += word.length;
+        } else {
+            throw new Error(`unexpected "${char}" at ${i + 1}`);
+        }
+    }
+    
+    return tokens;
+}
+
+// Integers outside the safe range become BigInt, so 64-bit ids compare exactly
+function parseNumber(text) {
+    if (/^-?0x/i.test(text)) {
+        const value = BigInt(text.replace('-', ''));
+        return text.startsWith('-') ? -value : value;
+    }
+    if (text.includes('.')) return parseFloat(text);
+    
+    const value = BigInt(text);
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+// Recursive descent parser producing an AST
+function parse(source) {
+    const tokens = tokenize(source);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const isOperator = (value) => peek() && peek().type === 'operator' && peek().value === value;
+    const describe = (token) => token ? `"${source.slice(token.position).split(/\s/)[0]}" at ${token.position + 1}` : 'end of expression';
+    
+    function expect(value) {
+        if (!isOperator(value)) throw new Error(`expected "${value}" but found ${describe(peek())}`);
+        index++;
+    }
+    
+    function parseOr() {
+        let node = parseAnd();
+        while (isOperator('||')) {
+            index++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    
+    function parseAnd() {
+        let node = parseUnary();
+        while (isOperator('&&')) {
+            index++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+    
+    function parseUnary() {
+        if (isOperator('!')) {
+            index++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parseComparison();
+    }
+    
+    function parseComparison() {
+        const left = parsePrimary();
+        const token = peek();
+        
+        if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+            index++;
+            const right = parsePrimary();
+            if ((token.value === '=~' || token.value === '!~') && !(right.type === 'literal' && right.value instanceof RegExp)) {
+                throw new Error(`${token.value} needs a /regex/ at ${token.position + 1}`);
+            }
+            return { type: 'compare', operator: token.value, left, right };
+        }
+        
+        // "in [..]" and "not in [..]"
+        const negated = isOperator('!') && tokens[index + 1] && tokens[index + 1].value === 'in';
+        if (negated || isOperator('in')) {
+            index += negated ? 2 : 1;
+            const list = parsePrimary();
+            if (list.type !== 'list') throw new Error(`"in" needs a [list] at ${token.position + 1}`);
+            const node = { type: 'in', left, list };
+            return negated ? { type: 'not', operand: node } : node;
+        }
+        
+        return { type: 'truthy', operand: left };
+    }
+    
+    function parsePrimary() {
+        const token = peek();
+        if (!token) throw new Error('unexpected end of expression');
+        
+        if (token.type === 'literal' || token.type === 'field' || token.type === 'property') {
+            index++;
+            return { type: token.type, value: token.value };
+        }
+        if (isOperator('(')) {
+            index++;
+            const node = parseOr();
+            expect(')');
+            return node;
+        }
+        if (isOperator('[')) {
+            index++;
+            const items = [];
+            while (!isOperator(']')) {
+                const item = parsePrimary();
+                if (item.type !== 'literal') throw new Error(`lists may only hold values, found ${describe(tokens[index - 1])}`);
+                items.push(item.value);
+                if (!isOperator(']')) expect(',');
+            }
+            index++;
+            return { type: 'list', items };
+        }
+        throw new Error(`unexpected ${describe(token)}`);
+    }
+    
+    if (tokens.length === 0) throw new Error('empty expression');
+    const ast = parseOr();
+    if (index < tokens.length) throw new Error(`unexpected ${describe(peek())}`);
+    return ast;
+}
+
+// Whether an AST reads any packet field, i.e. needs the packet decoded
+function usesFields(node) {
+    switch (node.type) {
+        case 'field': return true;
+        case 'and':
+        case 'or':
+        case 'compare': return usesFields(node.left) || usesFields(node.right);
+        case 'in': return usesFields(node.left);
+        case 'not':
+        case 'truthy': return usesFields(node.operand);
+        default: return false;
+    }
+}
+
+// Follow a parsed path through the field tree; undefined when it doesn't exist
+function resolveField(fields, path) {
+    let value = fields;
+    for (const segment of path) {
+        if (value === null || typeof value !== 'object') return undefined;
+        const key = Array.isArray(value) && /^-\d+$/.test(segment) ? value.length + parseInt(segment) : segment;
+        if (!(key in value)) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+// Values are compared the way they are shown: skill ids by their id, byte blobs as hex
+function normalize(value) {
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    if (value && typeof value === 'object' && 'id' in value && 'npc' in value && 'type' in value) {
+        return value.id;
+    }
+    return value;
+}
+
+// Three-way comparison across numbers, BigInts, strings and booleans.
+// Returns NaN when the values can't be compared.
+function compareValues(a, b) {
+    if (typeof a === 'bigint' || typeof b === 'bigint') {
+        const toBigInt = (value) => {
+            if (typeof value === 'bigint') return value;
+            if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+            if (typeof value === 'string' && /^-?\d+$/.test(value)) return BigInt(value);
+            return null;
+        };
+        const x = toBigInt(a);
+        const y = toBigInt(b);
+        if (x !== null && y !== null) return x < y ? -1 : x > y ? 1 : 0;
+        if (typeof a === 'number' || typeof b === 'number') {
+            return compareValues(Number(a), Number(b));
+        }
+        return NaN;
+    }
+    if (typeof a !== typeof b) return NaN;
+    if (typeof a === 'number' && (Number.isNaN(a) || Number.isNaN(b))) return NaN;
+    if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    return a === b ? 0 : NaN;
+}
+
+function evaluate(node, packet) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+        case 'list':
+            return node.items;
+        case 'property':
+            return packet[node.value];
+        case 'field': {
+            const fields = packet.getFields();
+            return fields ? normalize(resolveField(fields, node.value)) : undefined;
+        }
+        case 'and':
+            return evaluate(node.left, packet) && evaluate(node.right, packet);
+        case 'or':
+            return evaluate(node.left, packet) || evaluate(node.right, packet);
+        case 'not':
+            return !evaluate(node.operand, packet);
+        case 'truthy': {
+            const value = evaluate(node.operand, packet);
+            if (Array.isArray(value)) return value.length > 0;
+            return !!value && value !== 0n;
+        }
+        case 'in': {
+            const value = evaluate(node.left, packet);
+            if (value === undefined) return false;
+            return node.list.items.some(item => compareValues(value, item) === 0);
+        }
+        case 'compare': {
+            const left = evaluate(node.left, packet);
+            const right = evaluate(node.right, packet);
+            if (left === undefined || right === undefined) return false;
+            
+            if (node.operator === '=~' || node.operator === '!~') {
+                right.lastIndex = 0;
+                const matches = right.test(typeof left === 'string' ? left : String(left));
+                return node.operator === '=~' ? matches : !matches;
+            }
+            
+            const order = compareValues(left, right);
+            switch (node.operator) {
+                case '==': return order === 0;
+                case '!=': return !Number.isNaN(order) ? order !== 0 : left !== right;
+                case '<': return order < 0;
+                case '<=': return order <= 0;
+                case '>': return order > 0;
+                case '>=': return order >= 0;
+            }
+            return false;
+        }
+    }
+    return false;
+}
+
+// Compile an expression. Throws with the position of the problem when it
+// doesn't parse. The result's test(packet) takes { direction, size, opcode,
+// name, getFields() }; getFields is only called when the expression reads
+// a field, so cheap filters never decode the packet.
+function compileFilterExpression(source) {
+    const ast = parse(source);
+    return {
+        source,
+        usesFields: usesFields(ast),
+        test: (packet) => !!evaluate(ast, packet)
+    };
+}
+
+module.exports = {
+    compileFilterExpression
+};
@@ -0,0 +1,116 @@
+// Packet filters, shared by the logger and the web inspector
+//
+// Blacklist and filter entries are packet patterns:
+//   S_CHAT, 59350          exact name or opcode number
+//   S_ABNORMALITY_*        glob on the name (* any run of characters, ? one character)
+//   /^S_(SPAWN|DESPAWN)_/  regular expression on the name, flags after the closing slash
+//   @movement              named group from config.packetGroups, itself a list of patterns
+
+const GLOB_CHARACTERS = /[*?]/;
+
+// Escape everything with a meaning in a regular expression except the glob characters
+function escapeGlobPart(text) {
+    return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile one pattern into test(opcodeText, opcodeName). Throws a message
+// for invalid regexes and unknown or self-including groups.
+function compilePattern(pattern, groups, seen) {
+    if (pattern.startsWith('@')) {
+        const name = pattern.slice(1);
+        if (seen.includes(name)) throw new Error(`group @${name} includes itself`);
+        const members = groups[name];
+        if (members === undefined) throw new Error(`unknown group @${name}`);
+        if (!Array.isArray(members)) throw new Error(`group @${name} is not a list of patterns`);
+        const tests = members.map(member => compilePattern(String(member).trim(), groups, [...seen, name]));
+        return (opcodeText, opcodeName) => tests.some(test => test(opcodeText, opcodeName));
+    }
+    
+    const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) {
+        // g and y would make test() depend on the previous match.
+        // An invalid one throws "Invalid regular expression: ...".
+        const expression = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+        return (opcodeText, opcodeName) => expression.test(opcodeName);
+    }
+    
+    if (GLOB_CHARACTERS.test(pattern)) {
+        const source = pattern.split('*').map(part => part.split('?').map(escapeGlobPart).join('.')).join('.*');
+        const expression = new RegExp(`^${source}$`);
+        return (opcodeText, opcodeName) => expression.test(opcodeName);
+    }
+    
+    return (opcodeText, opcodeName) => pattern === opcodeText || pattern === opcodeName;
+}
+
+// Compile a list of patterns into a matcher: { test(opcode, opcodeName),
+// isEmpty, errors }. Invalid entries are skipped and listed in errors as
+// "pattern: message". Results are cached per opcode, so each opcode is
+// matched against the patterns once (again if its name changes).
+function compilePacketPatterns(patterns, groups = {}) {
+    const tests = [];
+    const errors = [];
+    for (const pattern of patterns || []) {
+        try {
+            tests.push(compilePattern(String(pattern).trim(), groups || {}, []));
+        } catch (error) {
+            errors.push(`${pattern}: ${error.message}`);
+        }
+    }
+    
+    const cache = new Map();
+    return {
+        // A list of only broken entries still counts as a list, so an
+        // include list never turns into "everything" because of a typo
+        isEmpty: (patterns || []).length === 0,
+        errors,
+        test(opcode, opcodeName) {
+            const cached = cache.get(opcode);
+            if (cached && cached.name === opcodeName) return cached.result;
+            
+            const opcodeText = String(opcode);
+            const result = tests.some(test => test(opcodeText, opcodeName));
+            cache.set(opcode, { name: opcodeName, result });
+            return result;
+        }
+    };
+}
+
+// Compile filters in the shape of config.filters for matchesPacketFilters.
+// errors lists the invalid include/exclude entries.
+function compilePacketFilters(filters, groups = {}) {
+    const includeOpcode = compilePacketPatterns(filters?.includeOpcode, groups);
+    const excludeOpcode = compilePacketPatterns(filters?.excludeOpcode, groups);
+    return {
+        includeOpcode,
+        excludeOpcode,
+        minPacketSize: filters?.minPacketSize || 0,
+        maxPacketSize: filters?.maxPacketSize || 0,
+        errors: [
+            ...includeOpcode.errors.map(error => `includeOpcode ${error}`),
+            ...excludeOpcode.errors.map(error => `excludeOpcode ${error}`)
+        ]
+    };
+}
+
+// Check a packet against include/exclude opcode patterns and min/max size
+// limits. filters comes from compilePacketFilters.
+function matchesPacketFilters(filters, opcode, opcodeName, size) {
+    if (!filters) return true;
+    
+    // Check size filters
+    if (filters.minPacketSize > 0 && size < filters.minPacketSize) return false;
+    if (filters.maxPacketSize > 0 && size > filters.maxPacketSize) return false;
+    
+    // Check opcode filters (names, numbers and patterns)
+    if (!filters.includeOpcode.isEmpty && !filters.includeOpcode.test(opcode, opcodeName)) return false;
+    if (filters.excludeOpcode.test(opcode, opcodeName)) return false;
+    
+    return true;
+}
+
+module.exports = {
+    compilePacketPatterns,
+    compilePacketFilters,
+    matchesPacketFilters
+};
@@ -0,0 +1,302 @@
+// Structure inference for packets without a definition. Looks at many samples
+// of one opcode and proposes a field layout: constant and varying ranges,
+// count/offset headers of arrays and strings (UTF-16LE), plausible floats,
+// vec3s and 64-bit ids. The result is a starting point for a .def, not a
+// definition to trust blindly.
+
+const { parseDefinitionFile } = require('./definitions');
+const { decodePacket, PACKET_HEADER_SIZE } = require('./decoder');
+
+// Longest string (in characters) accepted as a candidate
+const MAX_STRING_LENGTH = 1024;
+
+// A region of a sample: the packet plus the byte range being analyzed.
+// Offsets in headers are always relative to the start of the packet.
+function createView(data, start, end) {
+    return { data, start, end };
+}
+
+function readUInt16(view, position) {
+    const offset = view.start + position;
+    return offset + 2 <= view.data.length ? view.data.readUInt16LE(offset) : null;
+}
+
+// Null-terminated UTF-16LE text of printable characters at offset, or null
+function readCandidateString(data, offset) {
+    if (offset < PACKET_HEADER_SIZE) return null;
+    
+    let text = '';
+    for (let position = offset; position + 2 <= data.length; position += 2) {
+        const code = data.readUInt16LE(position);
+        if (code === 0) return text;
+        if (code < 0x20 || (code >= 0x7F && code < 0xA0) || text.length >= MAX_STRING_LENGTH) return null;
+        text += String.fromCharCode(code);
+    }
+    return null;
+}
+
+// Offsets of the elements of an array, following the here/next links; null if broken
+function walkArray(data, count, offset) {
+    const offsets = [];
+    while (offsets.length < count) {
+        if (offset < PACKET_HEADER_SIZE || offset + 4 > data.length || data.readUInt16LE(offset) !== offset) return null;
+        offsets.push(offset);
+        const next = data.readUInt16LE(offset + 2);
+        if (offsets.length < count && next <= offset) return null;
+        offset = next;
+    }
+    return offsets;
+}
+
+// A uint16 count followed by a uint16 offset leading to a linked list of elements
+function findArrayHeader(views, position) {
+    let used = false;
+    const elements = [];
+    
+    for (const view of views) {
+        const count = readUInt16(view, position);
+        const offset = readUInt16(view, position + 2);
+        if (count === null || offset === null) return null;
+        if (count === 0) {
+            if (offset !== 0) return null;
+            continue;
+        }
+        if (offset <= view.start + position) return null;
+        
+        const offsets = walkArray(view.data, count, offset);
+        if (!offsets) return null;
+        used = true;
+        offsets.forEach((elementOffset, index) => {
+            const next = index + 1 < offsets.length ? offsets[index + 1] : view.data.length;
+            elements.push(createView(view.data, elementOffset + 4, next));
+        });
+    }
+    
+    return used ? { elements } : null;
+}
+
+// A uint16 offset leading to a readable string in every sample
+function findStringHeader(views, position) {
+    const texts = [];
+    
+    for (const view of views) {
+        const offset = readUInt16(view, position);
+        if (offset === null || offset <= view.start + position + 1) return null;
+        const text = readCandidateString(view.data, offset);
+        if (text === null) return null;
+        texts.push(text);
+    }
+    
+    // Pointers at two zero bytes look like empty strings everywhere; not convincing
+    return texts.some(text => text.length > 0) ? { texts } : null;
+}
+
+// Finite, not denormal and not absurdly large: could be a real float
+function isPlausibleFloat(value) {
+    return Number.isFinite(value) && (value === 0 || (Math.abs(value) >= 1e-4 && Math.abs(value) <= 1e7));
+}
+
+function readAll(views, position, read) {
+    return views.map(view => read(view.data, view.start + position));
+}
+
+function varies(values) {
+    return values.some(value => value !== values[0]);
+}
+
+function looksLikeFloats(views, position, count) {
+    for (let i = 0; i < count; i++) {
+        const values = readAll(views, position + i * 4, (data, offset) => data.readFloatLE(offset));
+        if (!values.every(isPlausibleFloat)) return false;
+        if (!values.some(value => value !== 0 && !Number.isInteger(value))) return false;
+    }
+    return true;
+}
+
+// 64-bit ids have a non-zero high half (or are zero altogether)
+function looksLikeId(views, position) {
+    const low = readAll(views, position, (data, offset) => data.readUInt32LE(offset));
+    const high = readAll(views, position + 4, (data, offset) => data.readUInt32LE(offset));
+    if (!high.some(value => value !== 0)) return false;
+    if (!high.every((value, i) => value !== 0 || low[i] === 0)) return false;
+    // A float in either half means this is more likely two 32-bit fields
+    return !looksLikeFloats(views, position, 1) && !looksLikeFloats(views, position + 4, 1);
+}
+
+// Describe the values of an integer field: "always 0", "0..12", "bool?"
+function describeIntegers(values) {
+    const distinct = [...new Set(values.map(String))];
+    if (distinct.length === 1) return `always ${distinct[0]}`;
+    if (distinct.every(value => value === '0' || value === '1')) return 'bool?';
+    const numbers = values.map(Number);
+    return `${Math.min(...numbers)}..${Math.max(...numbers)}`;
+}
+
+// Guess the fixed-width fields of [position, end)
+function classifyRange(views, position, end) {
+    const fields = [];
+    
+    while (position < end) {
+        const remaining = end - position;
+        let field;
+        
+        if (remaining >= 12 && looksLikeFloats(views, position, 3)) {
+            field = { type: 'vec3', size: 12, note: 'plausible floats' };
+        } else if (remaining >= 8 && looksLikeId(views, position)) {
+            const values = readAll(views, position, (data, offset) => data.readBigUInt64LE(offset));
+            field = { type: 'uint64', size: 8, note: varies(values) ? 'id?' : `always ${values[0]}` };
+        } else if (remaining >= 4 && looksLikeFloats(views, position, 1)) {
+            field = { type: 'float', size: 4, note: 'plausible float' };
+        } else if (remaining >= 4) {
+            const values = readAll(views, position, (data, offset) => data.readInt32LE(offset));
+            field = { type: 'int32', size: 4, note: describeIntegers(values) };
+        } else if (remaining >= 2) {
+            const values = readAll(views, position, (data, offset) => data.readInt16LE(offset));
+            field = { type: 'int16', size: 2, note: describeIntegers(values) };
+        } else {
+            const values = readAll(views, position, (data, offset) => data.readUInt8(offset));
+            const note = describeIntegers(values);
+            field = { type: note === 'bool?' ? 'bool' : 'byte', size: 1, note };
+        }
+        
+        fields.push({ offset: position, name: `unk${position}`, ...field });
+        position += field.size;
+    }
+    
+    return fields;
+}
+
+// Analyze one structure (packet body or array element) across its views.
+// Returns { fields, size, tail } where fields are in byte order and tail is
+// the number of bytes after the fixed part that nothing explains.
+function analyzeStruct(views, depth, namePrefix) {
+    let length = Math.min(...views.map(view => view.end - view.start));
+    const fields = [];
+    const targets = [];
+    let position = 0;
+    
+    // Headers come first: count/offset pairs of arrays and offsets of strings
+    while (position + 2 <= length) {
+        const array = position + 4 <= length && depth < 3 ? findArrayHeader(views, position) : null;
+        if (array) {
+            const name = `${namePrefix}array${position}`;
+            const elementSize = Math.min(...array.elements.map(view => view.end - view.start));
+            const element = analyzeStruct(array.elements.map(view => createView(view.data, view.start, view.start + elementSize)), depth + 1, `${name}_`);
+            fields.push({ offset: position, type: 'count', name, size: 2, note: describeIntegers(readAll(views, position, (data, offset) => data.readUInt16LE(offset))) });
+            fields.push({ offset: position + 2, type: 'offset', name, size: 2 });
+            fields.push({ type: 'array', name, elementFields: element.fields, note: `elements of ${elementSize + 4} bytes?` });
+            array.elements.forEach(view => targets.push({ data: view.data, offset: view.start - 4 }));
+            position += 4;
+            continue;
+        }
+        
+        const string = findStringHeader(views, position);
+        if (string) {
+            const name = `${namePrefix}str${position}`;
+            const examples = [...new Set(string.texts)].slice(0, 3).map(text => JSON.stringify(text)).join(', ');
+            fields.push({ offset: position, type: 'offset', name, size: 2 });
+            fields.push({ type: 'string', name, note: `e.g. ${examples}` });
+            views.forEach(view => targets.push({ data: view.data, offset: view.data.readUInt16LE(view.start + position) }));
+            position += 2;
+            continue;
+        }
+        break;
+    }
+    
+    // The fixed part ends where the first array element or string starts
+    for (const view of views) {
+        for (const target of targets) {
+            if (target.data === view.data && target.offset >= view.start) {
+                length = Math.min(length, target.offset - view.start);
+            }
+        }
+    }
+    
+    const fixedFields = classifyRange(views, position, Math.max(position, length));
+    const tail = Math.max(...views.map(view => view.end - view.start)) - Math.max(position, length);
+    return { fields: [...fields, ...fixedFields].sort(compareFields), size: length, tail };
+}
+
+// Byte order, with array/string declarations (no inline bytes) last
+function compareFields(a, b) {
+    const aOffset = a.offset === undefined ? Infinity : a.offset;
+    const bOffset = b.offset === undefined ? Infinity : b.offset;
+    return aOffset - bOffset;
+}
+
+// Analyze raw samples of one opcode (header included).
+// Returns { samples, minSize, maxSize, fields, tail }.
+function inferStructure(samples) {
+    const views = samples.map(data => createView(data, PACKET_HEADER_SIZE, data.length));
+    const result = analyzeStruct(views, 0, '');
+    const sizes = samples.map(data => data.length);
+    // Bytes behind the fixed part are expected when strings or arrays live there
+    const hasDynamic = result.fields.some(field => field.type === 'array' || field.type === 'string');
+    return {
+        samples: samples.length,
+        minSize: Math.min(...sizes),
+        maxSize: Math.max(...sizes),
+        fields: result.fields,
+        tail: hasDynamic ? 0 : result.tail
+    };
+}
+
+// Human-readable layout, one line per field
+function formatLayout(fields, depth = 0) {
+    const lines = [];
+    const indent = '  '.repeat(depth);
+    
+    for (const field of fields) {
+        const offset = field.offset === undefined ? '' : `@${field.offset} `;
+        lines.push(`${indent}${offset}${field.type} ${field.name}${field.note ? ` (${field.note})` : ''}`);
+        if (field.elementFields) {
+            lines.push(...formatLayout(field.elementFields, depth + 1));
+        }
+    }
+    return lines;
+}
+
+// Draft .def text. Headers are written as explicit count/offset lines at
+// the position they were found, so the draft keeps the observed layout.
+function formatDefinition(name, inference, date = new Date()) {
+    const lines = [
+        `# Draft definition for ${name}, inferred from ${inference.samples} samples (${inference.minSize}-${inference.maxSize} bytes)`,
+        `# on ${date.toISOString()}. Names and types are guesses: check every field before using it.`
+    ];
+    if (inference.tail > 0) {
+        lines.push(`# Up to ${inference.tail} bytes after the fixed part are not explained`);
+    }
+    
+    const write = (fields, depth) => {
+        for (const field of fields) {
+            const comment = field.note ? ` # ${field.note}` : '';
+            lines.push(`${'- '.repeat(depth)}${field.type} ${field.name}${comment}`);
+            if (field.elementFields) write(field.elementFields, depth + 1);
+        }
+    };
+    write(inference.fields, 0);
+    
+    return lines.join('\n') + '\n';
+}
+
+// How many samples a draft definition decodes without errors
+function checkDefinition(content, samples) {
+    const fields = parseDefinitionFile(content);
+    let decoded = 0;
+    for (const data of samples) {
+        try {
+            decodePacket(data, fields);
+            decoded++;
+        } catch (error) {
+            // Counted as a failure
+        }
+    }
+    return decoded;
+}
+
+module.exports = {
+    inferStructure,
+    formatLayout,
+    formatDefinition,
+    checkDefinition
+};
@@ -0,0 +1,169 @@
+// Local web server for the live packet inspector. Serves the page from ui/
+// and streams logged packets to it over a WebSocket. Binds to 127.0.0.1 only.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+const { toJsonLine } = require('./output');
+
+const PAGE_FILE = path.join(__dirname, '..', 'ui', 'inspector.html');
+const HOST = '127.0.0.1';
+// A client with this much unsent data (a stalled tab) misses packets until it catches up
+const MAX_BUFFERED_BYTES = 4 * 1024 * 1024;
+
+// Create the inspector server. Nothing listens until start() is called.
+// compileFilter(filters) turns a page's filter boxes, in the shape of
+// config.filters, into { test(packet), errors } with the logger's rules.
+// onError(error) reports server errors once it listens.
+function createInspectorServer({ compileFilter, onError = () => {} }) {
+    const clients = new Set();
+    let server = null;
+    let url = null;
+    let listenPort = null;
+    
+    // Only accept requests addressed to this machine, so other web pages
+    // can't reach the server through DNS rebinding
+    function isLocalHost(request) {
+        const host = (request.headers.host || '').replace(/:\d+$/, '');
+        return host === HOST || host === 'localhost';
+    }
+    
+    // WebSocket connections may only come from the inspector page itself
+    function isOwnOrigin(origin) {
+        return !origin || origin === `http://${HOST}:${listenPort}` || origin === `http://localhost:${listenPort}`;
+    }
+    
+    function handleRequest(request, response) {
+        if (!isLocalHost(request)) {
+            response.writeHead(403);
+            response.end('Forbidden');
+            return;
+        }
+        if (request.method !== 'GET' || (request.url !== '/' && request.url !== '/index.html')) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        
+        fs.readFile(PAGE_FILE, (error, page) => {
+            if (error) {
+                response.writeHead(500);
+                response.end(`Cannot read inspector page: ${error.message}`);
+                return;
+            }
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            response.end(page);
+        });
+    }
+    
+    function handleUpgrade(request, socket) {
+        if (request.url !== '/packets' || !isLocalHost(request) || !isOwnOrigin(request.headers.origin)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        
+        const client = { filter: null, connection: null };
+        client.connection = acceptWebSocket(request, socket, {
+            onMessage: (text) => handleClientMessage(client, text),
+            onClose: () => clients.delete(client)
+        });
+        if (client.connection) clients.add(client);
+    }
+    
+    // The page sends its filter boxes as { type: 'filters', filters: { includeOpcode, ... } }
+    // and is answered with { type: 'filters', errors } for the ones that were ignored
+    function handleClientMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'filters' && message.filters && typeof message.filters === 'object') {
+            const filters = message.filters;
+            const { test, errors } = compileFilter({
+                includeOpcode: Array.isArray(filters.includeOpcode) ? filters.includeOpcode.map(String) : [],
+                excludeOpcode: Array.isArray(filters.excludeOpcode) ? filters.excludeOpcode.map(String) : [],
+                minPacketSize: Number(filters.minPacketSize) || 0,
+                maxPacketSize: Number(filters.maxPacketSize) || 0,
+                where: typeof filters.where === 'string' ? filters.where.trim() : ''
+            });
+            client.filter = test;
+            client.connection.send(toJsonLine({ type: 'filters', errors }));
+        }
+    }
+    
+    // Start listening; callback(error, url)
+    function start(port, callback) {
+        if (server) {
+            callback(null, url);
+            return;
+        }
+        
+        const httpServer = http.createServer(handleRequest);
+        httpServer.on('upgrade', handleUpgrade);
+        // Stays attached for the server's lifetime: an unhandled error would
+        // take the whole proxy down
+        let listening = false;
+        httpServer.on('error', (error) => {
+            if (listening) {
+                onError(error);
+            } else {
+                callback(error);
+            }
+        });
+        httpServer.listen(port, HOST, () => {
+            listening = true;
+            server = httpServer;
+            listenPort = httpServer.address().port;
+            url = `http://${HOST}:${listenPort}/`;
+            callback(null, url);
+        });
+    }
+    
+    // Disconnect all pages and stop listening
+    function stop() {
+        for (const client of clients) {
+            client.connection.close(1001);
+        }
+        clients.clear();
+        if (server) {
+            server.close();
+            // Drop idle keep-alive connections from the page as well (newer Node versions)
+            if (server.closeAllConnections) server.closeAllConnections();
+            server = null;
+            url = null;
+            listenPort = null;
+        }
+    }
+    
+    // Send a packet to every page whose filters it passes. packet is what the
+    // filters test ({ direction, opcode, name, size, getFields }); buildPacket
+    // is only called when some page wants the packet.
+    function broadcast(packet, buildPacket) {
+        let message = null;
+        
+        for (const client of clients) {
+            if (client.filter && !client.filter(packet)) continue;
+            if (client.connection.bufferedAmount() > MAX_BUFFERED_BYTES) continue;
+            
+            message = message || toJsonLine({ type: 'packet', ...buildPacket() });
+            client.connection.send(message);
+        }
+    }
+    
+    return {
+        start,
+        stop,
+        broadcast,
+        isRunning: () => server !== null,
+        getUrl: () => url,
+        getClientCount: () => clients.size
+    };
+}
+
+module.exports = {
+    createInspectorServer
+};
@@ -0,0 +1,66 @@
+// Reading the module's JSON files with errors that point at the problem
+
+const fs = require('fs');
+
+// Errors JSON.parse gives for text that is fine so far but cut short
+const INCOMPLETE_ERRORS = /Unexpected end|Unterminated|No number after|Exponent part is missing/;
+
+// Where parsing failed: from the error message when it says, otherwise the
+// end of the longest prefix that is only incomplete rather than wrong
+function findErrorPosition(text, error) {
+    const match = error.message.match(/at position (\d+)/);
+    if (match) return parseInt(match[1]);
+    
+    const isIncomplete = (prefix) => {
+        try {
+            JSON.parse(prefix);
+            return true;
+        } catch (prefixError) {
+            // Newer V8 versions report a cut short prefix as an error at its end
+            const at = prefixError.message.match(/at position (\d+)/);
+            return INCOMPLETE_ERRORS.test(prefixError.message) || (at !== null && parseInt(at[1]) === prefix.length);
+        }
+    };
+    
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (isIncomplete(text.slice(0, middle + 1))) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+    return low;
+}
+
+// 1-based line and column of a character position
+function getLineColumn(text, position) {
+    const before = text.slice(0, position).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// Parse JSON text. Syntax errors are rethrown as "line L, column C: message".
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        const { line, column } = getLineColumn(text, findErrorPosition(text, error));
+        // Drop V8's own position and text excerpt, the line and column replace them
+        const message = error.message.replace(/,? (\.\.\.)?".*"(\.\.\.)? is not valid JSON$/s, '').replace(/( in JSON)? at position \d+.*$/s, '');
+        throw new SyntaxError(`line ${line}, column ${column}: ${message}`);
+    }
+}
+
+// Read and parse a JSON file. Returns { data, text } so callers can tell
+// whether the content actually changed.
+function readJsonFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    return { data: parseJson(text), text };
+}
+
+module.exports = {
+    parseJson,
+    readJsonFile
+};
@@ -0,0 +1,223 @@
+// Request/response latency: pairs a client packet with the server packet that
+// answers it (C_REQUEST_GAMESTAT_PING -> S_RESPONSE_GAMESTAT_PONG), measures
+// the round trip and keeps percentiles per pair. Requests without an answer
+// within the timeout are reported.
+
+const { compilePacketPatterns } = require('./filters');
+const { parsePath } = require('./template');
+
+// Percentiles shown by summaries
+const PERCENTILES = [50, 90, 99];
+
+// Follow a parsed path through a field tree; undefined when it doesn't exist
+function resolveField(fields, path) {
+    let value = fields;
+    for (const segment of path) {
+        if (value === null || typeof value !== 'object' || !(segment in value)) return undefined;
+        value = value[segment];
+    }
+    return value;
+}
+
+// A key value as a string, so 64-bit ids, numbers and skills compare alike
+function toKey(value) {
+    if (value === undefined || value === null) return null;
+    if (Buffer.isBuffer(value)) return value.toString('hex');
+    if (typeof value === 'object') {
+        if ('id' in value) return String(value.id);
+        return JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item);
+    }
+    return String(value);
+}
+
+// Compile the pair rules from config.latency.pairs. Each is { name, request,
+// response, key, responseKey, selfKey, timeoutMs }: request and response are
+// packet patterns (a pattern or a list of them), key a field path both packets
+// must agree on, responseKey the path in the response when it is named
+// differently there, and selfKey a path in the response that must hold the
+// player's own gameId, for answers broadcast about everyone (S_ACTION_STAGE).
+// Returns { pairs, errors } where invalid rules are left out.
+function compilePairs(definitions, groups = {}) {
+    const pairs = [];
+    const errors = [];
+    
+    (definitions || []).forEach((definition, index) => {
+        const name = definition.name || `pair ${index + 1}`;
+        try {
+            const compile = (patterns, label) => {
+                const list = patterns === undefined ? [] : [].concat(patterns).map(String);
+                if (list.length === 0) throw new Error(`needs a ${label} packet`);
+                const matcher = compilePacketPatterns(list, groups);
+                if (matcher.errors.length > 0) throw new Error(`${label} ${matcher.errors.join('; ')}`);
+                return matcher;
+            };
+            const requestKey = definition.key ? parsePath(String(definition.key)) : null;
+            const responseKey = definition.responseKey ? parsePath(String(definition.responseKey)) : requestKey;
+            const selfKey = definition.selfKey ? parsePath(String(definition.selfKey)) : null;
+            if (definition.responseKey && !requestKey) throw new Error('responseKey needs a key');
+            if (definition.timeoutMs !== undefined && !(Number(definition.timeoutMs) > 0)) {
+                throw new Error('timeoutMs must be a positive number of milliseconds');
+            }
+            
+            pairs.push({
+                name,
+                request: compile(definition.request, 'request'),
+                response: compile(definition.response, 'response'),
+                requestKey,
+                responseKey,
+                selfKey,
+                timeoutMs: definition.timeoutMs !== undefined ? Number(definition.timeoutMs) : null
+            });
+        } catch (error) {
+            errors.push({ name, message: error.message });
+        }
+    });
+    
+    return { pairs, errors };
+}
+
+// Create a tracker for compiled pairs. Times are monotonic milliseconds.
+// timeoutMs applies to pairs without their own, maxPending bounds the open
+// requests per pair (the oldest ones are given up as timed out) and samples
+// the round trips kept per pair for percentiles. getSelfId() returns the
+// player's own gameId for pairs with a selfKey, or null while it isn't known.
+function createLatencyTracker(pairs, { timeoutMs = 5000, maxPending = 100, samples = 1000, getSelfId = () => null } = {}) {
+    const states = pairs.map(pair => ({
+        pair,
+        timeoutMs: pair.timeoutMs || timeoutMs,
+        // Open requests, oldest first: { key, name, time }
+        pending: [],
+        count: 0,
+        timeouts: 0,
+        total: 0,
+        min: Infinity,
+        max: 0,
+        // The last round trips, as a ring
+        samples: [],
+        next: 0
+    }));
+    
+    function recordSample(state, rttMs) {
+        state.count++;
+        state.total += rttMs;
+        state.min = Math.min(state.min, rttMs);
+        state.max = Math.max(state.max, rttMs);
+        if (state.samples.length < samples) {
+            state.samples.push(rttMs);
+        } else {
+            state.samples[state.next] = rttMs;
+            state.next = (state.next + 1) % samples;
+        }
+    }
+    
+    // Whether a response is about the player, for pairs with a selfKey
+    function isAboutSelf(pair, getKey) {
+        if (!pair.selfKey) return true;
+        const selfId = getSelfId();
+        return selfId !== null && selfId !== undefined && getKey(pair.selfKey) === toKey(selfId);
+    }
+    
+    // Feed one packet. Requests are sent packets and responses received ones.
+    // decode() returns its field tree (or null) and is only called for packets
+    // of a pair with a key. Returns { latency, timedOut }: latency is
+    // { pair, rttMs } when the packet answers a request, timedOut the requests
+    // given up on by now as [{ pair, name, waitedMs }].
+    function handlePacket(direction, opcode, name, now, decode) {
+        const timedOut = [];
+        let latency = null;
+        let fields;
+        const getKey = (path) => {
+            if (!path) return '';
+            if (fields === undefined) fields = decode() || null;
+            return fields ? toKey(resolveField(fields, path)) : null;
+        };
+        
+        for (const state of states) {
+            const { pair, pending } = state;
+            while (pending.length > 0 && now - pending[0].time > state.timeoutMs) {
+                const request = pending.shift();
+                state.timeouts++;
+                timedOut.push({ pair: pair.name, name: request.name, waitedMs: now - request.time });
+            }
+            
+            if (!latency && direction === 'RECEIVED' && pair.response.test(opcode, name) && isAboutSelf(pair, getKey)) {
+                const key = getKey(pair.responseKey);
+                const index = key === null ? -1 : pending.findIndex(request => request.key === key);
+                if (index >= 0) {
+                    const [request] = pending.splice(index, 1);
+                    latency = { pair: pair.name, rttMs: now - request.time };
+                    recordSample(state, latency.rttMs);
+                }
+            }
+            if (direction === 'SENT' && pair.request.test(opcode, name)) {
+                // Without its key field a request could never be answered
+                const key = getKey(pair.requestKey);
+                if (key === null) continue;
+                pending.push({ key, name, time: now });
+                if (pending.length > maxPending) {
+                    const request = pending.shift();
+                    state.timeouts++;
+                    timedOut.push({ pair: pair.name, name: request.name, waitedMs: now - request.time });
+                }
+            }
+        }
+        
+        return { latency, timedOut };
+    }
+    
+    // Summary per pair: { name, count, timeouts, pending, min, avg, max, p50, p90, p99 },
+    // with null times when nothing was measured yet
+    function list() {
+        return states.map(state => {
+            const sorted = [...state.samples].sort((a, b) => a - b);
+            const summary = {
+                name: state.pair.name,
+                count: state.count,
+                timeouts: state.timeouts,
+                pending: state.pending.length,
+                min: state.count > 0 ? state.min : null,
+                avg: state.count > 0 ? state.total / state.count : null,
+                max: state.count > 0 ? state.max : null
+            };
+            for (const percentile of PERCENTILES) {
+                summary[`p${percentile}`] = sorted.length > 0
+                    ? sorted[Math.min(sorted.length - 1, Math.ceil(percentile / 100 * sorted.length) - 1)]
+                    : null;
+            }
+            return summary;
+        });
+    }
+    
+    // Forget the measurements; open requests are dropped too
+    function reset() {
+        for (const state of states) {
+            Object.assign(state, { pending: [], count: 0, timeouts: 0, total: 0, min: Infinity, max: 0, samples: [], next: 0 });
+        }
+    }
+    
+    return {
+        handlePacket,
+        list,
+        reset,
+        getPendingCount: () => states.reduce((total, state) => total + state.pending.length, 0)
+    };
+}
+
+// "ping: 120 answered, p50 41.2 ms, p90 48.0 ms, p99 95.3 ms (min 38.9, max 102.4), 2 timed out"
+function formatLatencySummary(summary) {
+    const ms = (value) => value.toFixed(1);
+    let text = `${summary.name}: ${summary.count} answered`;
+    if (summary.count > 0) {
+        text += ', ' + PERCENTILES.map(percentile => `p${percentile} ${ms(summary[`p${percentile}`])} ms`).join(', ');
+        text += ` (min ${ms(summary.min)}, avg ${ms(summary.avg)}, max ${ms(summary.max)})`;
+    }
+    if (summary.timeouts > 0) text += `, ${summary.timeouts} timed out`;
+    if (summary.pending > 0) text += `, ${summary.pending} waiting`;
+    return text;
+}
+
+module.exports = {
+    compilePairs,
+    createLatencyTracker,
+    formatLatencySummary
+};
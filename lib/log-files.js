@@ -0,0 +1,171 @@
+// Log files on disk: a log written across size- or time-rotated segments,
+// gzipping finished segments and deleting old logs to stay within the
+// retention limits.
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+
+// Logs the module writes: sessions and trigger captures, their segments, gzipped or not
+const LOG_FILE_PATTERN = /^packet-(log|trigger)-.+\.(log|jsonl|pcapng)(\.gz)?$/;
+
+// Names of the logs in dir
+function listLogFiles(dir) {
+    return fs.readdirSync(dir).filter(name => LOG_FILE_PATTERN.test(name));
+}
+
+// Segment index encoded in a log file name (the first segment has none)
+function getSegmentNumber(file) {
+    const match = path.basename(file).match(/\.(\d+)\.(?:log|jsonl|pcapng)/);
+    return match ? parseInt(match[1]) : 1;
+}
+
+// Writes one log at a time, split into segments.
+// getRotation() returns { maxFileSize, intervalMinutes } (0 for no limit) and
+// is read for every entry, so changed settings apply right away.
+// onOpen(previousFile) writes a new segment's header with write(); previousFile
+// is the segment it continues, null for the first. onClosed(file) runs once a
+// finished segment is flushed to disk.
+function createSegmentWriter({ getRotation, onOpen, onClosed = () => {}, now = Date.now }) {
+    let getPath = null;
+    let file = null;
+    let output = null;
+    let index = 0;
+    let bytes = 0;
+    let entries = 0;
+    let started = 0;
+    
+    function open(previousFile) {
+        file = getPath(index);
+        output = fs.createWriteStream(file, { flags: 'a' });
+        bytes = 0;
+        entries = 0;
+        started = now();
+        onOpen(previousFile);
+    }
+    
+    function close() {
+        const segmentStream = output;
+        const closedFile = file;
+        output = null;
+        segmentStream.end(() => onClosed(closedFile));
+    }
+    
+    // Finish the current segment and continue in the next one
+    function rotate() {
+        const previousFile = file;
+        close();
+        index++;
+        open(previousFile);
+    }
+    
+    // Whether the next entry should go to a new segment. Segments without any
+    // entries are never rotated, so a single oversized entry can't loop.
+    function shouldRotate(entrySize) {
+        if (entries === 0) return false;
+        const rotation = getRotation() || {};
+        if (rotation.maxFileSize > 0 && bytes + entrySize > rotation.maxFileSize) return true;
+        return rotation.intervalMinutes > 0 && now() - started >= rotation.intervalMinutes * 60000;
+    }
+    
+    function write(data) {
+        output.write(data);
+        bytes += Buffer.byteLength(data);
+    }
+    
+    return {
+        // Start a log, closing the current one. segmentPath(index) names the
+        // segment with that index, counting from 1.
+        start(segmentPath) {
+            if (output) close();
+            getPath = segmentPath;
+            index = 1;
+            open(null);
+        },
+        
+        // Write to the current segment, for headers, footers and markers
+        write,
+        
+        // Write an entry, rotating first if the segment is full or too old
+        writeEntry(data) {
+            if (shouldRotate(Buffer.byteLength(data))) rotate();
+            write(data);
+            entries++;
+        },
+        
+        close() {
+            if (output) close();
+        },
+        
+        isOpen: () => output !== null,
+        // The current segment, or the last one once closed
+        getFile: () => file,
+        getIndex: () => index,
+        getSize: () => bytes
+    };
+}
+
+// Replace a finished log with a gzipped copy. callback(error) runs when done.
+function compressLogFile(file, callback) {
+    stream.pipeline(
+        fs.createReadStream(file),
+        zlib.createGzip(),
+        fs.createWriteStream(`${file}.gz`),
+        (error) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            fs.unlink(file, callback);
+        }
+    );
+}
+
+// Delete the oldest logs in dir until the retention limits are met.
+// limits is { maxFiles, maxTotalSize, maxAgeDays } (0 for no limit). The
+// active segment ({ file, size }, or null) counts towards the limits but is
+// never deleted. Returns the deleted files.
+function pruneLogs(dir, limits, active = null, now = Date.now()) {
+    const maxFiles = limits.maxFiles || 0;
+    const maxTotalSize = limits.maxTotalSize || 0;
+    const maxAgeDays = limits.maxAgeDays || 0;
+    if (maxFiles <= 0 && maxTotalSize <= 0 && maxAgeDays <= 0) return [];
+    
+    const files = listLogFiles(dir)
+        .map(name => path.join(dir, name))
+        .filter(file => !active || file !== active.file)
+        .map(file => {
+            const stats = fs.statSync(file);
+            return { file, size: stats.size, modified: stats.mtimeMs };
+        })
+        .sort((a, b) => b.modified - a.modified || getSegmentNumber(b.file) - getSegmentNumber(a.file));
+    
+    let keptFiles = active ? 1 : 0;
+    let keptSize = active ? active.size : 0;
+    const oldestAllowed = now - maxAgeDays * 86400000;
+    const deleted = [];
+    
+    for (const entry of files) {
+        const tooMany = maxFiles > 0 && keptFiles + 1 > maxFiles;
+        const tooLarge = maxTotalSize > 0 && keptSize + entry.size > maxTotalSize;
+        const tooOld = maxAgeDays > 0 && entry.modified < oldestAllowed;
+        
+        if (tooMany || tooLarge || tooOld) {
+            fs.unlinkSync(entry.file);
+            deleted.push(entry.file);
+        } else {
+            keptFiles++;
+            keptSize += entry.size;
+        }
+    }
+    return deleted;
+}
+
+module.exports = {
+    listLogFiles,
+    getSegmentNumber,
+    createSegmentWriter,
+    compressLogFile,
+    pruneLogs
+};
@@ -0,0 +1,257 @@
+// Saved log parsing for the offline tools. Reads text, JSONL and PCAP-NG logs
+// (optionally gzipped) back into packet entries shaped like the ones the
+// logger formats: { line, time, monotonicMs, direction, opcode, name, size, data, flags, description, fields }.
+// fields is the decoded tree stored in JSONL logs, null elsewhere.
+// Diff lines under modified packets are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+
+const PCAPNG_SECTION_HEADER = 0x0A0D0D0A;
+const PCAPNG_ENHANCED_PACKET = 0x00000006;
+
+// Read a whole log file, detecting its format from the content
+function readLogFile(file) {
+    let content = fs.readFileSync(file);
+    if (file.endsWith('.gz')) {
+        content = zlib.gunzipSync(content);
+    }
+    
+    if (isPcapng(content)) {
+        return { format: 'pcapng', entries: readPcapng(content) };
+    }
+    
+    const lines = content.toString('utf8').split('\n');
+    const isJson = isJsonStart(lines[0]);
+    const entries = [];
+    parseLines(lines, 1, isJson, entries);
+    return { format: isJson ? 'jsonl' : 'text', entries };
+}
+
+// readLogFile for the game process: the file is streamed and parsed a chunk
+// at a time, so other work keeps running. Rejects when the (uncompressed)
+// content is larger than maxBytes (0 for no limit).
+async function readLogFileAsync(file, { maxBytes = 0 } = {}) {
+    const source = fs.createReadStream(file);
+    const input = file.endsWith('.gz') ? stream.pipeline(source, zlib.createGunzip(), () => {}) : source;
+    const textDecoder = new StringDecoder('utf8');
+    const chunks = [];
+    const entries = [];
+    let format = null;
+    let size = 0;
+    let partial = '';
+    let lineNumber = 1;
+    
+    try {
+        for await (const chunk of input) {
+            size += chunk.length;
+            if (maxBytes > 0 && size > maxBytes) {
+                throw new Error(`${path.basename(file)} is larger than ${maxBytes} bytes`);
+            }
+            
+            if (format === null) {
+                format = isPcapng(chunk) ? 'pcapng' : isJsonStart(chunk.toString('utf8').split('\n')[0]) ? 'jsonl' : 'text';
+            }
+            if (format === 'pcapng') {
+                chunks.push(chunk);
+                continue;
+            }
+            
+            // Complete lines are parsed right away, the last one waits for the rest
+            const lines = (partial + textDecoder.write(chunk)).split('\n');
+            partial = lines.pop();
+            lineNumber = parseLines(lines, lineNumber, format === 'jsonl', entries);
+        }
+    } finally {
+        input.destroy();
+    }
+    
+    if (format === 'pcapng') {
+        return { format, entries: readPcapng(Buffer.concat(chunks)) };
+    }
+    parseLines([partial + textDecoder.end()], lineNumber, format === 'jsonl', entries);
+    return { format: format || 'text', entries };
+}
+
+function isPcapng(content) {
+    return content.length >= 4 && content.readUInt32LE(0) === PCAPNG_SECTION_HEADER;
+}
+
+// JSONL logs start with their header record
+function isJsonStart(firstLine) {
+    return firstLine.trim().startsWith('{');
+}
+
+// Parse log lines numbered from firstLine into entries. Returns the number of the next line.
+function parseLines(lines, firstLine, isJson, entries) {
+    lines.forEach((line, index) => {
+        const entry = isJson ? parseJsonLine(line) : parseTextLine(line);
+        if (entry) {
+            entry.line = firstLine + index;
+            entries.push(entry);
+        }
+    });
+    return firstLine + lines.length;
+}
+
+function createEntry() {
+    return {
+        line: null,
+        time: null,
+        monotonicMs: null,
+        direction: null,
+        opcode: null,
+        name: null,
+        size: null,
+        data: null,
+        flags: {},
+        description: null,
+        fields: null
+    };
+}
+
+// Parse a "[Timestamp] [Direction] [Opcode] [Size] [Data] | Parsed Info" line.
+// Any of the bracketed parts may be missing, depending on the output settings
+// the log was written with.
+function parseTextLine(line) {
+    if (!line.startsWith('[')) return null;
+    
+    const entry = createEntry();
+    let rest = line.trimEnd();
+    let match;
+    
+    while ((match = rest.match(/^\[([^\]]*)\]\s*/))) {
+        const value = match[1];
+        rest = rest.slice(match[0].length);
+        
+        let opcodeMatch;
+        if (/^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            entry.time = value;
+        } else if (value === 'SENT' || value === 'RECEIVED') {
+            entry.direction = value;
+        } else if (value === 'FAKE' || value === 'MODIFIED' || value === 'BLOCKED') {
+            entry.flags[value.toLowerCase()] = true;
+        } else if (/^\d+ bytes$/.test(value)) {
+            entry.size = parseInt(value);
+        } else if ((opcodeMatch = value.match(/^(\S+) \((\d+)\)$/))) {
+            entry.name = opcodeMatch[1];
+            entry.opcode = parseInt(opcodeMatch[2]);
+        } else if (/^\d+$/.test(value) && entry.opcode === null && entry.size === null) {
+            // Opcode logged without its name
+            entry.opcode = parseInt(value);
+        } else if (/^(?:[0-9a-f]{2})*$/.test(value)) {
+            entry.data = Buffer.from(value, 'hex');
+        }
+    }
+    
+    if (rest.startsWith('| ')) {
+        entry.description = rest.slice(2);
+    }
+    
+    return entry.opcode !== null ? entry : null;
+}
+
+// Parse a JSONL packet record; header and footer records are skipped
+function parseJsonLine(line) {
+    if (!line.trim()) return null;
+    
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch (error) {
+        return null;
+    }
+    if (record.type !== 'packet') return null;
+    
+    const entry = createEntry();
+    entry.time = record.time;
+    entry.monotonicMs = record.monotonicMs;
+    entry.direction = record.direction;
+    entry.opcode = record.opcode;
+    entry.name = record.name;
+    entry.size = record.size;
+    entry.flags = { fake: !!record.fake, modified: !!record.modified, blocked: !!record.blocked };
+    entry.description = record.description || null;
+    entry.fields = record.fields || null;
+    if (record.payload !== undefined) {
+        entry.data = Buffer.from(record.payload, record.encoding === 'base64' ? 'base64' : 'hex');
+    }
+    return entry;
+}
+
+// Walk the blocks of a PCAP-NG capture written by the logger
+function readPcapng(content) {
+    const entries = [];
+    let offset = 0;
+    let captureStartMs = null;
+    
+    while (offset + 12 <= content.length) {
+        const type = content.readUInt32LE(offset);
+        const length = content.readUInt32LE(offset + 4);
+        if (length < 12 || offset + length > content.length) break;
+        
+        if (type === PCAPNG_ENHANCED_PACKET) {
+            const timestampUs = (BigInt(content.readUInt32LE(offset + 12)) << 32n) | BigInt(content.readUInt32LE(offset + 16));
+            const capturedLength = content.readUInt32LE(offset + 20);
+            const dataStart = offset + 28;
+            const data = Buffer.from(content.slice(dataStart, dataStart + capturedLength));
+            const options = readPcapngOptions(content, dataStart + ((capturedLength + 3) & ~3), offset + length - 4);
+            const timeMs = Number(timestampUs / 1000n);
+            if (captureStartMs === null) captureStartMs = timeMs;
+            
+            const entry = createEntry();
+            entry.line = entries.length + 1;
+            entry.time = new Date(timeMs).toISOString();
+            entry.monotonicMs = timeMs - captureStartMs;
+            entry.opcode = data.length >= 4 ? data.readUInt16LE(2) : null;
+            entry.size = data.length;
+            entry.data = data;
+            entry.direction = (options.flags & 3) === 1 ? 'RECEIVED' : 'SENT';
+            
+            // The first comment line describes the packet, any further lines are its diff
+            const comment = (options.comment || '').split('\n')[0];
+            const nameMatch = comment.match(/^(\S+) \(\d+\)/);
+            entry.name = nameMatch ? nameMatch[1] : null;
+            entry.flags = {
+                fake: comment.includes('[FAKE]'),
+                modified: comment.includes('[MODIFIED]'),
+                blocked: comment.includes('[BLOCKED]')
+            };
+            const descriptionStart = comment.indexOf(' | ');
+            entry.description = descriptionStart >= 0 ? comment.slice(descriptionStart + 3) : null;
+            entries.push(entry);
+        }
+        
+        offset += length;
+    }
+    
+    return entries;
+}
+
+// Read the epb_flags and comment options of a packet block
+function readPcapngOptions(content, offset, end) {
+    const options = { flags: 0, comment: null };
+    
+    while (offset + 4 <= end) {
+        const code = content.readUInt16LE(offset);
+        const length = content.readUInt16LE(offset + 2);
+        if (code === 0) break;
+        
+        const value = content.slice(offset + 4, offset + 4 + length);
+        if (code === 1) options.comment = value.toString('utf8');
+        if (code === 2 && length >= 4) options.flags = value.readUInt32LE(0);
+        offset += 4 + ((length + 3) & ~3);
+    }
+    
+    return options;
+}
+
+module.exports = {
+    readLogFile,
+    readLogFileAsync,
+    parseTextLine,
+    parseJsonLine
+};
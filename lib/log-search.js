@@ -0,0 +1,311 @@
+// Searching saved logs. Every log gets a small index (packet counts by opcode,
+// time range, zones and characters) kept in logs/.search-index.json and
+// rebuilt when the file changes, so a search only reads the logs that can
+// contain hits.
+//
+// A query is a list of terms, optionally followed by "where <expression>":
+//   S_INVEN_CHANGEDSLOT @skills   packet patterns (any of them)
+//   from:2026-10-19T14:00         packets at or after a time (UTC, like the logs)
+//   to:2026-10-19                 packets before the end of a time
+//   character:Bob                 packets while this character was logged in
+//   zone:7001                     packets while in this zone
+//   context:5                     packets shown around each hit
+//   where slot == 40              filter expression over the decoded fields
+
+const fs = require('fs');
+const path = require('path');
+const { compilePacketPatterns } = require('./filters');
+const { compileFilterExpression } = require('./filter-expression');
+
+// Bumped when the shape of a file's index changes, to rebuild old ones
+const INDEX_VERSION = 1;
+
+// Packets that tell where and who a session is
+const ZONE_PACKET = 'S_LOAD_TOPO';
+const CHARACTER_PACKET = 'S_LOGIN';
+
+// Parse "2026-10-19", "2026-10-19T14:05" or a full ISO time into a range
+// [start, end) in ms. Times without a zone are UTC. The end is the start of
+// the next day, minute or second, depending on what was written.
+function parseTimeRange(text) {
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?(Z|[+-]\d{2}:\d{2})?$/);
+    if (!match) throw new Error(`"${text}" is not a time, expected e.g. 2026-10-19 or 2026-10-19T14:05`);
+    
+    const start = Date.parse(match[2] === undefined ? `${match[1]}T00:00:00Z` : match[5] ? text : `${text}Z`);
+    if (isNaN(start)) throw new Error(`"${text}" is not a valid time`);
+    const step = match[2] === undefined ? 86400000 : match[4] === undefined ? 60000 : 1000;
+    return { start, end: text.includes('.') ? start + 1 : start + step };
+}
+
+// Parse a query (see the top of the file). groups are config.packetGroups.
+// Throws a message for invalid terms, patterns or expressions.
+function parseSearchQuery(text, groups = {}, defaults = {}) {
+    const query = {
+        packets: null,
+        from: null,
+        to: null,
+        character: null,
+        zone: null,
+        where: null,
+        context: defaults.context ?? 2
+    };
+    
+    const whereMatch = text.match(/(^|\s)where(?:\s+(.*))?$/);
+    const terms = (whereMatch ? text.slice(0, whereMatch.index) : text).split(/\s+/).filter(Boolean);
+    if (whereMatch) {
+        if (!whereMatch[2]) throw new Error('where: needs an expression');
+        try {
+            query.where = compileFilterExpression(whereMatch[2]);
+        } catch (error) {
+            throw new Error(`where: ${error.message}`);
+        }
+    }
+    
+    const patterns = [];
+    for (const term of terms) {
+        const option = term.match(/^(from|to|character|char|zone|context):(.*)$/);
+        if (!option) {
+            patterns.push(term);
+            continue;
+        }
+        
+        const [, key, value] = option;
+        if (!value) throw new Error(`${key}: needs a value`);
+        switch (key) {
+            case 'from': query.from = parseTimeRange(value).start; break;
+            case 'to': query.to = parseTimeRange(value).end; break;
+            case 'char':
+            case 'character': query.character = value.toLowerCase(); break;
+            case 'zone':
+                if (!/^\d+$/.test(value)) throw new Error(`zone: expects a zone number, got "${value}"`);
+                query.zone = parseInt(value);
+                break;
+            case 'context':
+                if (!/^\d+$/.test(value)) throw new Error(`context: expects a number of packets, got "${value}"`);
+                query.context = parseInt(value);
+                break;
+        }
+    }
+    
+    if (patterns.length > 0) {
+        query.packets = compilePacketPatterns(patterns, groups);
+        if (query.packets.errors.length > 0) throw new Error(query.packets.errors.join('; '));
+    }
+    if (!query.packets && !query.where && query.from === null && query.to === null && query.character === null && query.zone === null) {
+        throw new Error('nothing to search for');
+    }
+    return query;
+}
+
+// Follows the zone and character through a log's packets.
+// decode(entry) returns the decoded fields of an entry, or null.
+function createSessionTracker(decode) {
+    const session = { zone: null, character: null };
+    return {
+        session,
+        update(entry) {
+            if (entry.name !== ZONE_PACKET && entry.name !== CHARACTER_PACKET) return;
+            const fields = decode(entry);
+            if (!fields) return;
+            if (entry.name === ZONE_PACKET && fields.zone !== undefined) session.zone = Number(fields.zone);
+            if (entry.name === CHARACTER_PACKET && fields.name !== undefined) session.character = String(fields.name);
+        }
+    };
+}
+
+// Index of one log's entries (from readLogFile, with names filled in)
+function indexLogEntries(entries, decode) {
+    const opcodes = {};
+    const zones = new Set();
+    const characters = new Set();
+    const tracker = createSessionTracker(decode);
+    let firstTime = null;
+    let lastTime = null;
+    
+    for (const entry of entries) {
+        const counted = opcodes[entry.opcode] || (opcodes[entry.opcode] = { name: entry.name, count: 0 });
+        counted.count++;
+        
+        const time = entry.time ? Date.parse(entry.time) : NaN;
+        if (!isNaN(time)) {
+            if (firstTime === null || time < firstTime) firstTime = time;
+            if (lastTime === null || time > lastTime) lastTime = time;
+        }
+        
+        tracker.update(entry);
+        if (tracker.session.zone !== null) zones.add(tracker.session.zone);
+        if (tracker.session.character !== null) characters.add(tracker.session.character);
+    }
+    
+    return {
+        packets: entries.length,
+        opcodes,
+        firstTime,
+        lastTime,
+        zones: [...zones],
+        characters: [...characters]
+    };
+}
+
+// Bring the index in indexFile up to date with files: logs that are new or
+// changed since they were indexed are read again, deleted ones dropped.
+// readEntries(file) returns a log's named entries, or a promise of them.
+// Resolves to { index, errors } where index maps file names to their index;
+// the updated index is saved.
+async function updateLogIndex(indexFile, files, readEntries, decode) {
+    let saved = {};
+    try {
+        if (fs.existsSync(indexFile)) {
+            const data = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+            if (data.version === INDEX_VERSION) saved = data.files || {};
+        }
+    } catch (error) {
+        // A broken index is rebuilt
+    }
+    
+    const index = {};
+    const errors = [];
+    let changed = Object.keys(saved).length !== files.length;
+    for (const file of files) {
+        const name = path.basename(file);
+        try {
+            const stats = fs.statSync(file);
+            const cached = saved[name];
+            if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+                index[name] = cached;
+                continue;
+            }
+            index[name] = { size: stats.size, mtimeMs: stats.mtimeMs, ...indexLogEntries(await readEntries(file), decode) };
+            changed = true;
+        } catch (error) {
+            errors.push(`${name}: ${error.message}`);
+        }
+    }
+    
+    if (changed) {
+        try {
+            fs.writeFileSync(indexFile, JSON.stringify({ version: INDEX_VERSION, files: index }));
+        } catch (error) {
+            errors.push(`cannot save the index: ${error.message}`);
+        }
+    }
+    return { index, errors };
+}
+
+// Whether a log's index allows hits for the query
+function mayContainHits(fileIndex, query) {
+    if (query.packets && !Object.entries(fileIndex.opcodes).some(([opcode, { name }]) => query.packets.test(parseInt(opcode), name))) {
+        return false;
+    }
+    if (query.from !== null || query.to !== null) {
+        if (fileIndex.firstTime === null) return false;
+        if (query.from !== null && fileIndex.lastTime < query.from) return false;
+        if (query.to !== null && fileIndex.firstTime >= query.to) return false;
+    }
+    if (query.zone !== null && !fileIndex.zones.includes(query.zone)) return false;
+    if (query.character !== null && !fileIndex.characters.some(name => name.toLowerCase() === query.character)) return false;
+    return true;
+}
+
+// Search the logs, in the order given. Resolves to { hits, filesSearched, truncated }
+// where each hit is { file, index, entry, zone, character, before, after }:
+// index is the entry's position in its log, before and after the context entries.
+// Stops after maxHits hits.
+async function searchLogs(files, index, query, { readEntries, decode, maxHits = Infinity }) {
+    const hits = [];
+    let filesSearched = 0;
+    
+    for (const file of files) {
+        const fileIndex = index[path.basename(file)];
+        if (!fileIndex || !mayContainHits(fileIndex, query)) continue;
+        
+        const entries = await readEntries(file);
+        const tracker = createSessionTracker(decode);
+        filesSearched++;
+        
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            tracker.update(entry);
+            if (!matchesEntry(entry, tracker.session, query, decode)) continue;
+            
+            if (hits.length >= maxHits) {
+                return { hits, filesSearched, truncated: true };
+            }
+            hits.push({
+                file,
+                index: i,
+                entry,
+                zone: tracker.session.zone,
+                character: tracker.session.character,
+                before: entries.slice(Math.max(0, i - query.context), i),
+                after: entries.slice(i + 1, i + 1 + query.context)
+            });
+        }
+    }
+    
+    return { hits, filesSearched, truncated: false };
+}
+
+function matchesEntry(entry, session, query, decode) {
+    if (query.packets && !query.packets.test(entry.opcode, entry.name)) return false;
+    if (query.from !== null || query.to !== null) {
+        const time = entry.time ? Date.parse(entry.time) : NaN;
+        if (isNaN(time)) return false;
+        if (query.from !== null && time < query.from) return false;
+        if (query.to !== null && time >= query.to) return false;
+    }
+    if (query.zone !== null && session.zone !== query.zone) return false;
+    if (query.character !== null && (session.character || '').toLowerCase() !== query.character) return false;
+    
+    if (query.where) {
+        let fields;
+        return query.where.test({
+            direction: entry.direction,
+            size: entry.size,
+            opcode: entry.opcode,
+            name: entry.name,
+            getFields: () => fields !== undefined ? fields : (fields = decode(entry))
+        });
+    }
+    return true;
+}
+
+// "40 2026-10-19T14:05:01.123Z RECEIVED S_CHAT (100) 34 bytes | description"
+function describeEntry(entry, index) {
+    const parts = [entry.line ?? index + 1];
+    if (entry.time) parts.push(entry.time);
+    if (entry.direction) parts.push(entry.direction);
+    parts.push(`${entry.name} (${entry.opcode})`);
+    if (entry.size !== null) parts.push(`${entry.size} bytes`);
+    return parts.join(' ') + (entry.description ? ` | ${entry.description}` : '');
+}
+
+// Lines for a search result: a "file:line" heading per hit, then its context
+// with the hit marked by ">". maxHits limits the hits listed.
+function formatSearchHits(result, { maxHits = Infinity } = {}) {
+    const { hits, filesSearched, truncated } = result;
+    const lines = [`${hits.length}${truncated ? '+' : ''} hits, ${filesSearched} logs searched`];
+    
+    for (const hit of hits.slice(0, maxHits)) {
+        const session = [
+            hit.character ? `character ${hit.character}` : null,
+            hit.zone !== null ? `zone ${hit.zone}` : null
+        ].filter(Boolean).join(', ');
+        lines.push(`${path.basename(hit.file)}:${hit.entry.line ?? hit.index + 1}${session ? ` (${session})` : ''}`);
+        hit.before.forEach((entry, i) => lines.push(`    ${describeEntry(entry, hit.index - hit.before.length + i)}`));
+        lines.push(`  > ${describeEntry(hit.entry, hit.index)}`);
+        hit.after.forEach((entry, i) => lines.push(`    ${describeEntry(entry, hit.index + 1 + i)}`));
+    }
+    if (hits.length > maxHits) {
+        lines.push(`... and ${hits.length - maxHits} more hits`);
+    }
+    return lines;
+}
+
+module.exports = {
+    parseSearchQuery,
+    indexLogEntries,
+    updateLogIndex,
+    searchLogs,
+    formatSearchHits
+};
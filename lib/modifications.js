@@ -0,0 +1,60 @@
+// Modification tracking: a first hook keeps a copy of each packet before any
+// other module sees it, a last hook compares it with what is left after all of
+// them. Blocked packets skip the regular last hook, so a second last hook that
+// only sees silenced packets reports them, in the order they were dispatched.
+
+// onCapture(packet, finalData) is called once per packet with
+// packet = { code, fromServer, fake, data } and the final data, or null when
+// the packet was blocked
+function createModificationTracker(onCapture) {
+    // Packets between the first and a last hook, innermost last: a module
+    // can send a packet from its hook while another one is in flight
+    let pending = [];
+    
+    // Packets sent from inside this one's hooks have finished by now, so this
+    // is the innermost pending packet of its kind
+    function take(code, fromServer) {
+        for (let i = pending.length - 1; i >= 0; i--) {
+            const packet = pending[i];
+            if (packet.code === code && packet.fromServer === fromServer) {
+                pending.splice(i, 1);
+                return packet;
+            }
+        }
+        return null;
+    }
+    
+    return {
+        // First hook: keep a copy of the packet as it arrived
+        first(code, data, fromServer, fake) {
+            pending.push({ code, fromServer, fake, data: Buffer.from(data) });
+        },
+        
+        // Last hook for packets that got through. Returns false for packets
+        // the first hook never saw.
+        last(code, data, fromServer) {
+            const packet = take(code, fromServer);
+            if (!packet) return false;
+            onCapture(packet, data);
+            return true;
+        },
+        
+        // Last hook for packets another module blocked
+        blocked(code, fromServer) {
+            const packet = take(code, fromServer);
+            if (!packet) return false;
+            onCapture(packet, null);
+            return true;
+        },
+        
+        getPendingCount: () => pending.length,
+        
+        clear() {
+            pending = [];
+        }
+    };
+}
+
+module.exports = {
+    createModificationTracker
+};
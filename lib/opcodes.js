@@ -0,0 +1,82 @@
+// Opcode map parsing, shared by the logger and the offline tools
+
+const fs = require('fs');
+const path = require('path');
+
+// Parse a protocol.<version>.map or sysmsg.<version>.map file ("NAME number" per line) into { number: name }
+function parseOpcodeMap(content) {
+    const opcodeMap = {};
+    
+    for (const line of content.split('\n')) {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length >= 2) {
+            const opcodeName = parts[0];
+            const opcodeNumber = parseInt(parts[1]);
+            if (!isNaN(opcodeNumber)) {
+                opcodeMap[opcodeNumber] = opcodeName;
+            }
+        }
+    }
+    
+    return opcodeMap;
+}
+
+// Versions of the <kind>.<version>.map files in a directory
+function listMapVersions(dir, kind) {
+    if (!fs.existsSync(dir)) return [];
+    const pattern = new RegExp(`^${kind}\\.(\\d+)\\.map$`);
+    return fs.readdirSync(dir)
+        .map(name => name.match(pattern))
+        .filter(Boolean)
+        .map(match => parseInt(match[1]));
+}
+
+// Map files of a kind ("protocol" or "sysmsg") for a protocol version, in the
+// order of the directories. Without a version, the newest one found anywhere.
+function findMapFiles(dirs, kind, version = null) {
+    if (version === null) {
+        const versions = dirs.flatMap(dir => listMapVersions(dir, kind));
+        if (versions.length === 0) return [];
+        version = Math.max(...versions);
+    }
+    return dirs
+        .map(dir => path.join(dir, `${kind}.${version}.map`))
+        .filter(file => fs.existsSync(file));
+}
+
+// A map from the dispatch (a Map or an object of number -> name) as { number: name }
+function fromDispatchMap(map) {
+    if (!map) return {};
+    const entries = map instanceof Map ? [...map.entries()] : Object.entries(map);
+    const opcodeMap = {};
+    for (const [number, name] of entries) {
+        if (typeof name === 'string' && !isNaN(parseInt(number))) {
+            opcodeMap[parseInt(number)] = name;
+        }
+    }
+    return opcodeMap;
+}
+
+// Combine maps in order of priority: the first one naming a number wins, later
+// ones only fill in numbers it doesn't have. layers are [{ source, map }].
+// Returns { map, sources } where sources[number] is the source of its name.
+function mergeOpcodeMaps(layers) {
+    const map = {};
+    const sources = {};
+    for (const layer of layers) {
+        for (const [number, name] of Object.entries(layer.map)) {
+            if (map[number] === undefined) {
+                map[number] = name;
+                sources[number] = layer.source;
+            }
+        }
+    }
+    return { map, sources };
+}
+
+module.exports = {
+    parseOpcodeMap,
+    findMapFiles,
+    fromDispatchMap,
+    mergeOpcodeMaps
+};
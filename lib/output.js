@@ -0,0 +1,207 @@
+// Text and JSONL log entry formatting, shared by the logger and the offline tools.
+//
+// A packet entry is { time, monotonicMs, direction, opcode, name, data, flags, diff, latency, parsedData, decoded }
+// and options are { output, showOpcodeNames, debug } with output being the
+// "output" section of config.json. decoded is the { fields, ranges } of the
+// packet when its style needs them (see needsDecodedFields), otherwise null.
+// latency is the { pair, rttMs } of a packet answering a request, otherwise null.
+
+const { formatValue, formatPacketData } = require('./template');
+const { formatDiffLines, flattenFields } = require('./diff');
+
+// Tags shown after the direction for packets other modules touched
+const FLAG_TAGS = { fake: 'FAKE', modified: 'MODIFIED', blocked: 'BLOCKED' };
+
+// How the payload is shown: the whole hex string, its first hexBytes bytes,
+// a multi-line offset/hex/ASCII dump, or not at all
+const HEX_STYLES = ['full', 'truncate', 'dump', 'none'];
+const DEFAULT_HEX_BYTES = 64;
+
+// The output settings for one packet: output.packetStyles can override
+// hexStyle, hexBytes and includeParsedData per packet name or opcode.
+// includeHexData: false hides the payload unless the packet sets its own
+// hexStyle. Older configs without hexStyle show the full payload.
+function getPacketStyle(output, entry) {
+    const styles = output.packetStyles || {};
+    const own = styles[entry.name] || styles[String(entry.opcode)] || {};
+    const style = { ...output, ...own };
+    if (!HEX_STYLES.includes(style.hexStyle)) style.hexStyle = 'full';
+    if (!style.includeHexData && own.hexStyle === undefined) style.hexStyle = 'none';
+    if (!(style.hexBytes >= 0)) style.hexBytes = DEFAULT_HEX_BYTES;
+    return style;
+}
+
+// Whether a packet's style shows its decoded fields (a field dump, or field
+// boundaries in a hex dump)
+function needsDecodedFields(output, entry) {
+    const style = getPacketStyle(output, entry);
+    return !!style.includeParsedData || style.hexStyle === 'dump';
+}
+
+// Paths of the innermost ranges, i.e. the values rather than the arrays and
+// objects holding them
+function getLeafRanges(ranges) {
+    return ranges.filter(range => !ranges.some(other =>
+        other.path.startsWith(`${range.path}.`) || other.path.startsWith(`${range.path}[`)
+    ));
+}
+
+// Classic 16 bytes per line dump. When ranges are given, a "|" marks where a
+// field starts and each line lists the fields starting on it.
+function formatHexDump(data, ranges = []) {
+    const leaves = getLeafRanges(ranges);
+    const starts = new Set(leaves.map(range => range.start));
+    const lines = [];
+    
+    for (let row = 0; row < data.length; row += 16) {
+        let hex = '';
+        let ascii = '';
+        for (let i = row; i < row + 16; i++) {
+            const separator = i === row ? '' : starts.has(i) ? '|' : ' ';
+            if (i < data.length) {
+                hex += separator + data.toString('hex', i, i + 1);
+                ascii += data[i] >= 0x20 && data[i] < 0x7F ? String.fromCharCode(data[i]) : '.';
+            } else {
+                hex += separator + '  ';
+            }
+        }
+        
+        const names = leaves.filter(range => range.start >= row && range.start < row + 16).map(range => range.path);
+        lines.push(`${row.toString(16).padStart(4, '0')}  ${hex}  ${ascii.padEnd(16)}${names.length > 0 ? `  ${names.join(', ')}` : ''}`.trimEnd());
+    }
+    return lines;
+}
+
+// One "path = value" line per decoded value
+function formatFieldLines(fields) {
+    return Object.entries(flattenFields(fields)).map(([fieldPath, value]) => `${fieldPath} = ${formatValue(value)}`);
+}
+
+// Serialize a log record as a single JSON line (64-bit values become strings,
+// byte blobs hex strings)
+function toJsonLine(record) {
+    return JSON.stringify(record, function (key, value) {
+        // Buffers are already turned into { type, data } by their toJSON here
+        if (Buffer.isBuffer(this[key])) return this[key].toString('hex');
+        return typeof value === 'bigint' ? value.toString() : value;
+    }) + '\n';
+}
+
+// Build a bracketed text log line
+function formatTextEntry(entry, options) {
+    const output = getPacketStyle(options.output, entry);
+    let hexData = null;
+    if (output.hexStyle === 'full') {
+        hexData = entry.data ? entry.data.toString('hex') : '';
+    } else if (output.hexStyle === 'truncate') {
+        const data = entry.data || Buffer.alloc(0);
+        const shown = Math.min(output.hexBytes, data.length);
+        hexData = data.toString('hex', 0, shown) + (shown < data.length ? `... (+${data.length - shown} bytes)` : '');
+    }
+    
+    // Format opcode display
+    let opcodeDisplay = entry.opcode.toString();
+    if (options.showOpcodeNames) {
+        opcodeDisplay = `${entry.name} (${entry.opcode})`;
+    }
+    
+    let parsedInfo = '';
+    if (entry.parsedData) {
+        const formatted = formatPacketData(entry.parsedData);
+        if (formatted) {
+            parsedInfo = ` | ${formatted}`;
+        } else if (options.debug) {
+            // Fallback: show raw field values for debugging
+            const rawFields = Object.entries(entry.parsedData.fields).map(([k, v]) => `${k}:${formatValue(v)}`).join(' ');
+            parsedInfo = ` | RAW: ${rawFields}`;
+        }
+    }
+    
+    let logEntry = '';
+    if (output.includeTimestamp) logEntry += `[${entry.time}] `;
+    if (output.includeDirection) logEntry += `[${entry.direction}] `;
+    for (const [flag, tag] of Object.entries(FLAG_TAGS)) {
+        if (entry.flags && entry.flags[flag]) logEntry += `[${tag}] `;
+    }
+    if (output.includeOpcode) logEntry += `[${opcodeDisplay}] `;
+    if (output.includeSize) logEntry += `[${entry.size} bytes] `;
+    if (entry.latency) logEntry += `[RTT ${entry.latency.rttMs.toFixed(1)} ms] `;
+    if (hexData !== null) logEntry += `[${hexData}]`;
+    if (parsedInfo) logEntry += parsedInfo;
+    
+    // Multi-line parts, indented below the packet line
+    const details = [];
+    if (entry.data && output.hexStyle === 'dump') {
+        details.push(...formatHexDump(entry.data, entry.decoded ? entry.decoded.ranges : []));
+    }
+    if (output.includeParsedData && entry.decoded) {
+        details.push(...formatFieldLines(entry.decoded.fields));
+    }
+    logEntry += details.map(line => `\n    ${line}`).join('');
+    
+    // What other modules changed, one indented line per difference
+    if (entry.diff) {
+        logEntry += formatDiffLines(entry.diff).map(line => `\n    ${line}`).join('');
+    }
+    
+    return logEntry + '\n';
+}
+
+// Build a JSON log line. Every record carries the full packet metadata;
+// the include* switches only control the payload.
+function formatJsonEntry(entry, options) {
+    const flags = entry.flags || {};
+    const output = getPacketStyle(options.output, entry);
+    const record = {
+        type: 'packet',
+        time: entry.time,
+        monotonicMs: entry.monotonicMs,
+        direction: entry.direction,
+        opcode: entry.opcode,
+        name: entry.name,
+        size: entry.size,
+        fake: !!flags.fake,
+        modified: !!flags.modified,
+        blocked: !!flags.blocked
+    };
+    
+    // A dump is a text presentation; JSON gets the full payload for it
+    if (output.hexStyle !== 'none' && entry.data) {
+        const encoding = output.payloadEncoding === 'base64' ? 'base64' : 'hex';
+        const truncated = output.hexStyle === 'truncate' && output.hexBytes < entry.data.length;
+        record.encoding = encoding;
+        record.payload = truncated ? entry.data.subarray(0, output.hexBytes).toString(encoding) : entry.data.toString(encoding);
+        if (truncated) record.truncated = true;
+    }
+    
+    if (entry.parsedData) {
+        record.description = formatPacketData(entry.parsedData);
+    }
+    const decoded = entry.parsedData || (output.includeParsedData ? entry.decoded : null);
+    if (decoded) {
+        record.fields = decoded.fields;
+        // Where each field was read from, as offsets into the raw packet
+        if (decoded.ranges) {
+            record.ranges = decoded.ranges;
+        }
+    }
+    
+    if (entry.diff) {
+        record.diff = entry.diff;
+    }
+    if (entry.latency) {
+        record.latency = { pair: entry.latency.pair, rttMs: Math.round(entry.latency.rttMs * 1000) / 1000 };
+    }
+    
+    return toJsonLine(record);
+}
+
+module.exports = {
+    HEX_STYLES,
+    getPacketStyle,
+    needsDecodedFields,
+    formatHexDump,
+    toJsonLine,
+    formatTextEntry,
+    formatJsonEntry
+};
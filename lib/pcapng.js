@@ -0,0 +1,121 @@
+// Minimal PCAP-NG block writer for exporting game traffic to Wireshark.
+// Frames use the USER0 link type and contain the raw Tera packet
+// (uint16 length, uint16 opcode, payload), ready for a custom Lua dissector.
+
+const LINKTYPE_USER0 = 147;
+
+const BLOCK_SECTION_HEADER = 0x0A0D0D0A;
+const BLOCK_INTERFACE_DESCRIPTION = 0x00000001;
+const BLOCK_ENHANCED_PACKET = 0x00000006;
+
+const OPT_END = 0;
+const OPT_COMMENT = 1;
+const OPT_SHB_USERAPPL = 4;
+const OPT_IF_NAME = 2;
+const OPT_IF_TSRESOL = 9;
+const OPT_EPB_FLAGS = 2;
+
+// Option lengths are uint16. Longer comments are cut short and end with the marker.
+const MAX_OPTION_LENGTH = 0xFFFF;
+const TRUNCATED_MARKER = Buffer.from('\n[comment truncated]');
+
+// epb_flags direction bits
+const DIRECTION_INBOUND = 1;
+const DIRECTION_OUTBOUND = 2;
+
+function padLength(length) {
+    return (length + 3) & ~3;
+}
+
+// Encode a list of [code, Buffer] options, terminated by opt_endofopt
+function encodeOptions(options) {
+    const parts = [];
+    for (const [code, value] of options) {
+        const header = Buffer.alloc(4);
+        header.writeUInt16LE(code, 0);
+        header.writeUInt16LE(value.length, 2);
+        parts.push(header, value, Buffer.alloc(padLength(value.length) - value.length));
+    }
+    parts.push(Buffer.alloc(4)); // opt_endofopt: code 0, length 0
+    return Buffer.concat(parts);
+}
+
+// A comment option value that fits an option, cut at a character boundary
+function encodeComment(comment) {
+    const value = Buffer.from(comment);
+    if (value.length <= MAX_OPTION_LENGTH) return value;
+    
+    let end = MAX_OPTION_LENGTH - TRUNCATED_MARKER.length;
+    // Back up to the start of a UTF-8 character
+    while (end > 0 && (value[end] & 0xC0) === 0x80) end--;
+    return Buffer.concat([value.subarray(0, end), TRUNCATED_MARKER]);
+}
+
+// Wrap a block body with its type and the leading/trailing total length
+function encodeBlock(type, body) {
+    const totalLength = 12 + body.length;
+    const block = Buffer.alloc(totalLength);
+    block.writeUInt32LE(type, 0);
+    block.writeUInt32LE(totalLength, 4);
+    body.copy(block, 8);
+    block.writeUInt32LE(totalLength, totalLength - 4);
+    return block;
+}
+
+// Section Header Block, optionally carrying a comment (used for continuation headers)
+function createSectionHeader(comment) {
+    const fixed = Buffer.alloc(16);
+    fixed.writeUInt32LE(0x1A2B3C4D, 0); // byte-order magic
+    fixed.writeUInt16LE(1, 4); // major version
+    fixed.writeUInt16LE(0, 6); // minor version
+    fixed.writeInt32LE(-1, 8); // section length unknown (64-bit -1)
+    fixed.writeInt32LE(-1, 12);
+    
+    const options = [[OPT_SHB_USERAPPL, Buffer.from('packet-logger')]];
+    if (comment) {
+        options.push([OPT_COMMENT, encodeComment(comment)]);
+    }
+    return encodeBlock(BLOCK_SECTION_HEADER, Buffer.concat([fixed, encodeOptions(options)]));
+}
+
+// Interface Description Block for the synthetic game connection, with microsecond timestamps
+function createInterfaceDescription(name) {
+    const fixed = Buffer.alloc(8);
+    fixed.writeUInt16LE(LINKTYPE_USER0, 0);
+    fixed.writeUInt16LE(0, 2); // reserved
+    fixed.writeUInt32LE(0, 4); // no snapshot length limit
+    
+    const options = [
+        [OPT_IF_NAME, Buffer.from(name)],
+        [OPT_IF_TSRESOL, Buffer.from([6])]
+    ];
+    return encodeBlock(BLOCK_INTERFACE_DESCRIPTION, Buffer.concat([fixed, encodeOptions(options)]));
+}
+
+// Enhanced Packet Block for one game packet.
+// timestampUs is a BigInt of microseconds since the Unix epoch.
+function createEnhancedPacket(data, timestampUs, inbound, comment) {
+    const fixed = Buffer.alloc(20);
+    fixed.writeUInt32LE(0, 0); // interface id
+    fixed.writeUInt32LE(Number(timestampUs >> 32n), 4);
+    fixed.writeUInt32LE(Number(timestampUs & 0xFFFFFFFFn), 8);
+    fixed.writeUInt32LE(data.length, 12); // captured length
+    fixed.writeUInt32LE(data.length, 16); // original length
+    
+    const flags = Buffer.alloc(4);
+    flags.writeUInt32LE(inbound ? DIRECTION_INBOUND : DIRECTION_OUTBOUND, 0);
+    const options = [[OPT_EPB_FLAGS, flags]];
+    if (comment) {
+        options.push([OPT_COMMENT, encodeComment(comment)]);
+    }
+    
+    const padding = Buffer.alloc(padLength(data.length) - data.length);
+    return encodeBlock(BLOCK_ENHANCED_PACKET, Buffer.concat([fixed, data, padding, encodeOptions(options)]));
+}
+
+module.exports = {
+    LINKTYPE_USER0,
+    createSectionHeader,
+    createInterfaceDescription,
+    createEnhancedPacket
+};
@@ -0,0 +1,109 @@
+// Named capture profiles: bundles of blacklist, filters, description set and
+// output settings stored in profiles.json, switched with /packetlogger profile
+
+const fs = require('fs');
+const configSchema = require('./config-schema');
+const { readJsonFile } = require('./json-file');
+
+// What a profile can set
+const PROFILE_KEYS = ['description', 'blacklist', 'useBlacklist', 'filters', 'descriptionSet', 'output'];
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Read the profiles by name. A missing file has no profiles; an unreadable
+// one throws.
+function readProfiles(file) {
+    if (!fs.existsSync(file)) return {};
+    
+    const { data } = readJsonFile(file);
+    const profiles = isObject(data) ? data.profiles : undefined;
+    if (profiles === undefined) return {};
+    if (!isObject(profiles)) throw new Error('"profiles" must be an object of profiles by name');
+    return profiles;
+}
+
+function writeProfiles(file, profiles) {
+    const data = {
+        "description": "Capture profiles, used with /packetlogger profile use <name>",
+        "profiles": profiles
+    };
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// The current settings as a profile
+function captureProfile(config, blacklist, description = '') {
+    const profile = description ? { description } : {};
+    return {
+        ...profile,
+        blacklist: [...blacklist],
+        useBlacklist: config.useBlacklist,
+        filters: clone(config.filters),
+        descriptionSet: clone(config.descriptionSet || []),
+        output: clone(config.output)
+    };
+}
+
+// Settings after switching to a profile. The profile's filters and output
+// sections replace the current ones, with defaults for what they leave out,
+// so nothing carries over from the previous profile. A profile without a
+// blacklist keeps the current one. Returns { config, blacklist, warnings };
+// throws a message listing every invalid setting.
+function applyProfile(config, blacklist, profile) {
+    if (!isObject(profile)) throw new Error('expected an object');
+    
+    const errors = [];
+    const warnings = [];
+    Object.keys(profile)
+        .filter(key => !PROFILE_KEYS.includes(key))
+        .forEach(key => warnings.push(`${key}: unknown profile setting, ignored`));
+    if (profile.blacklist !== undefined && !isStringList(profile.blacklist)) {
+        errors.push('blacklist: expected a list of packet names or opcodes (as strings)');
+    }
+
+    const candidate = clone(config);
+    candidate.useBlacklist = profile.useBlacklist;
+    candidate.descriptionSet = profile.descriptionSet;
+    candidate.filters = profile.filters === undefined ? {} : profile.filters;
+    candidate.output = profile.output === undefined ? {} : profile.output;
+    
+    // Only the parts taken from the profile can be at fault
+    const result = configSchema.normalizeConfig(candidate);
+    const fromProfile = (message) => /^(useBlacklist|descriptionSet|filters|output)\b/.test(message);
+    errors.push(...result.errors.filter(fromProfile));
+    warnings.push(...result.warnings.filter(fromProfile));
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    
+    return {
+        config: result.config,
+        blacklist: profile.blacklist === undefined ? [...blacklist] : [...profile.blacklist],
+        warnings
+    };
+}
+
+// One-line summary for chat: "jsonl, 5 included, 3 blacklisted"
+function describeProfile(profile) {
+    const parts = [profile.output?.format || 'text'];
+    const count = (list, label) => {
+        if (Array.isArray(list) && list.length > 0) parts.push(`${list.length} ${label}`);
+    };
+    count(profile.filters?.includeOpcode, 'included');
+    count(profile.filters?.excludeOpcode, 'excluded');
+    if (profile.filters?.where) parts.push(`where ${profile.filters.where}`);
+    if (profile.useBlacklist !== false) count(profile.blacklist, 'blacklisted');
+    count(profile.descriptionSet, 'described');
+    return parts.join(', ');
+}
+
+module.exports = {
+    readProfiles,
+    writeProfiles,
+    captureProfile,
+    applyProfile,
+    describeProfile
+};
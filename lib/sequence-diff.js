@@ -0,0 +1,265 @@
+// Comparing two saved packet logs: the packet streams are aligned by their
+// sequence of packet kinds (direction and name), like lines in a text diff,
+// and matched packets are compared field by field.
+
+const { diffFields, formatDiffLines } = require('./diff');
+const { toJsonLine } = require('./output');
+
+// Edit distance allowed before giving up. Alignment memory grows with its square.
+const DEFAULT_MAX_EDITS = 4000;
+
+// Alignment steps, and aligned packets compared, between chances for other
+// work to run in diffLogsAsync
+const STEP_WORK = 100000;
+const STEP_COMPARES = 500;
+
+// What is aligned: the same packet in the same direction. Names rather than
+// opcodes, so logs from before and after an opcode reshuffle still line up.
+function getPacketKey(entry) {
+    return `${entry.direction}:${entry.name || entry.opcode}`;
+}
+
+// Shortest edit script between two sequences of numbers (Myers' algorithm).
+// Returns [{ type: 'match'|'delete'|'insert', a, b }] in order, where a and b
+// are indexes into the sequences. Throws when more than maxEdits packets differ.
+function alignSequences(a, b, maxEdits = DEFAULT_MAX_EDITS) {
+    return runSteps(alignSteps(a, b, maxEdits));
+}
+
+// alignSequences as steps: yields whenever it has done STEP_WORK work
+function* alignSteps(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const limit = Math.min(n + m, maxEdits);
+    const offset = limit + 1;
+    const v = new Int32Array(2 * limit + 3);
+    // Furthest reaching x per diagonal after each round, for the way back
+    const trace = [];
+    let edits = -1;
+    let work = 0;
+    
+    for (let d = 0; d <= limit && edits < 0; d++) {
+        if (work >= STEP_WORK) {
+            work = 0;
+            yield;
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            work++;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+                work++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                edits = d;
+                break;
+            }
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    if (edits < 0) {
+        throw new Error(`the logs differ in more than ${maxEdits} packets`);
+    }
+    
+    const operations = [];
+    let x = n;
+    let y = m;
+    for (let d = edits; d > 0; d--) {
+        const previous = trace[d - 1];
+        const at = (k) => previous[k + d - 1];
+        const k = x - y;
+        const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+        const previousK = down ? k + 1 : k - 1;
+        const previousX = at(previousK);
+        const previousY = previousX - previousK;
+        
+        while (x > previousX && y > previousY) {
+            operations.push({ type: 'match', a: --x, b: --y });
+        }
+        operations.push(down ? { type: 'insert', b: --y } : { type: 'delete', a: --x });
+    }
+    while (x > 0 && y > 0) {
+        operations.push({ type: 'match', a: --x, b: --y });
+    }
+    return operations.reverse();
+}
+
+// Run steps from a generator to the end and return its result
+function runSteps(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        step = steps.next();
+    }
+    return step.value;
+}
+
+// runSteps, giving other work a turn between steps
+async function runStepsAsync(steps) {
+    let step = steps.next();
+    while (!step.done) {
+        await new Promise(resolve => setImmediate(resolve));
+        step = steps.next();
+    }
+    return step.value;
+}
+
+// Turn field ignore patterns into RegExps for diffFields. A plain name
+// ("gameId", "*Time") matches that field at any depth, along with everything
+// below it; a pattern with dots or brackets ("target.loc", "members[*].id")
+// is a path from the top. * matches within one name or index.
+function compileIgnorePatterns(patterns) {
+    return (patterns || []).filter(Boolean).map(pattern => {
+        const source = pattern.split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^.\\[\\]]*');
+        return /[.[]/.test(pattern)
+            ? new RegExp(`^${source}($|[.[])`)
+            : new RegExp(`(^|[.\\]])${source}($|[.[])`);
+    });
+}
+
+// Decoded fields in the form JSONL logs store them (64-bit values as
+// strings, blobs as hex), so decoded and logged trees compare alike
+function toPlainFields(fields) {
+    return JSON.parse(toJsonLine(fields));
+}
+
+// Compare two logs' packet entries (from readLogFile).
+// decode(entry) returns the decoded field tree of an entry, or null.
+// Returns { counts, items } where items are the differences in log order:
+//   { type: 'missing', a }             in the first log only
+//   { type: 'inserted', b }            in the second log only
+//   { type: 'moved', a, b, fields }    in both, at a different place in the sequence
+//   { type: 'changed', a, b, fields }  matched, with field differences
+// a and b are indexes into the entry lists. A missing and an inserted packet
+// of the same kind count as one moved packet.
+function diffLogs(entriesA, entriesB, options) {
+    return runSteps(diffSteps(entriesA, entriesB, options));
+}
+
+// diffLogs for the game process: resolves to the same result, letting other
+// work run between steps so the game doesn't freeze on large logs
+function diffLogsAsync(entriesA, entriesB, options) {
+    return runStepsAsync(diffSteps(entriesA, entriesB, options));
+}
+
+function* diffSteps(entriesA, entriesB, { decode = () => null, ignore = [], maxEdits = DEFAULT_MAX_EDITS } = {}) {
+    const keys = new Map();
+    const toNumbers = (entries) => entries.map(entry => {
+        const key = getPacketKey(entry);
+        if (!keys.has(key)) keys.set(key, keys.size);
+        return keys.get(key);
+    });
+    const operations = yield* alignSteps(toNumbers(entriesA), toNumbers(entriesB), maxEdits);
+    
+    // Pair each missing packet with the first unpaired inserted packet of its kind
+    const inserted = new Map();
+    for (const operation of operations) {
+        if (operation.type !== 'insert') continue;
+        const key = getPacketKey(entriesB[operation.b]);
+        if (!inserted.has(key)) inserted.set(key, []);
+        inserted.get(key).push(operation);
+    }
+    const movedTo = new Map();
+    const movedFrom = new Set();
+    for (const operation of operations) {
+        if (operation.type !== 'delete') continue;
+        const candidates = inserted.get(getPacketKey(entriesA[operation.a]));
+        if (candidates && candidates.length > 0) {
+            const target = candidates.shift();
+            movedTo.set(operation, target);
+            movedFrom.add(target);
+        }
+    }
+    
+    const ignorePatterns = compileIgnorePatterns(ignore);
+    const counts = { packetsA: entriesA.length, packetsB: entriesB.length, matched: 0, missing: 0, inserted: 0, moved: 0, changed: 0, undecoded: 0 };
+    // Field differences of a pair, or null when either side can't be decoded
+    const compare = (a, b) => {
+        const before = decode(entriesA[a]);
+        const after = decode(entriesB[b]);
+        if (!before || !after) {
+            counts.undecoded++;
+            return null;
+        }
+        return diffFields(toPlainFields(before), toPlainFields(after), ignorePatterns);
+    };
+    
+    const items = [];
+    for (let i = 0; i < operations.length; i++) {
+        if (i > 0 && i % STEP_COMPARES === 0) yield;
+        const operation = operations[i];
+        if (operation.type === 'match') {
+            counts.matched++;
+            const fields = compare(operation.a, operation.b);
+            if (fields && fields.length > 0) {
+                counts.changed++;
+                items.push({ type: 'changed', a: operation.a, b: operation.b, fields });
+            }
+        } else if (operation.type === 'delete') {
+            const target = movedTo.get(operation);
+            if (target) {
+                counts.moved++;
+                items.push({ type: 'moved', a: operation.a, b: target.b, fields: compare(operation.a, target.b) || [] });
+            } else {
+                counts.missing++;
+                items.push({ type: 'missing', a: operation.a });
+            }
+        } else if (!movedFrom.has(operation)) {
+            counts.inserted++;
+            items.push({ type: 'inserted', b: operation.b });
+        }
+    }
+    
+    return { counts, items };
+}
+
+// "#12 RECEIVED S_CHAT (line 40)"
+function describeEntry(entry, index) {
+    const line = entry.line !== null && entry.line !== undefined ? ` (line ${entry.line})` : '';
+    return `#${index + 1} ${entry.direction || '?'} ${entry.name || entry.opcode}${line}`;
+}
+
+// Human-readable report. Every difference gets a line starting with
+// - (missing), + (inserted), ~ (moved) or * (changed), followed by its field
+// differences. maxItems limits the differences listed.
+function formatLogDiff(result, entriesA, entriesB, { nameA = 'A', nameB = 'B', maxItems = Infinity } = {}) {
+    const { counts, items } = result;
+    const lines = [
+        `Comparing ${nameA} (${counts.packetsA} packets) with ${nameB} (${counts.packetsB} packets)`,
+        `${counts.matched} matched, ${counts.missing} missing, ${counts.inserted} inserted, ${counts.moved} moved, ${counts.changed} with different fields` +
+            (counts.undecoded > 0 ? `, ${counts.undecoded} pairs not compared (no definition or payload)` : '')
+    ];
+    
+    for (const item of items.slice(0, maxItems)) {
+        const a = item.a !== undefined ? describeEntry(entriesA[item.a], item.a) : null;
+        const b = item.b !== undefined ? describeEntry(entriesB[item.b], item.b) : null;
+        switch (item.type) {
+            case 'missing': lines.push(`- ${a} missing from ${nameB}`); break;
+            case 'inserted': lines.push(`+ ${b} not in ${nameA}`); break;
+            case 'moved': lines.push(`~ ${a} moved to ${b}`); break;
+            case 'changed': lines.push(`* ${a} = ${b}`); break;
+        }
+        if (item.fields) {
+            formatDiffLines({ fields: item.fields }).forEach(line => lines.push(`    ${line}`));
+        }
+    }
+    if (items.length > maxItems) {
+        lines.push(`... and ${items.length - maxItems} more differences`);
+    }
+    return lines;
+}
+
+module.exports = {
+    DEFAULT_MAX_EDITS,
+    alignSequences,
+    compileIgnorePatterns,
+    diffLogs,
+    diffLogsAsync,
+    formatLogDiff
+};
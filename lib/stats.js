@@ -0,0 +1,133 @@
+// Per-opcode packet statistics: counts, sizes and rates for each opcode and
+// direction, to see which packets are worth blacklisting and to spot storms.
+
+// Sort keys for rankings, each returning the value to sort by (highest first)
+const SORT_KEYS = {
+    count: (stat) => stat.count,
+    bytes: (stat) => stat.bytes,
+    rate: (stat) => stat.rate,
+    peak: (stat) => stat.peakRate,
+    avg: (stat) => stat.avgSize,
+    max: (stat) => stat.maxSize
+};
+
+const CSV_COLUMNS = [
+    'name', 'opcode', 'direction', 'count', 'bytes', 'minSize', 'avgSize', 'maxSize',
+    'rate', 'peakRate', 'firstSeen', 'lastSeen'
+];
+
+// Create a statistics collector. Rates are packets per second averaged over
+// the last windowSeconds; peakRate is the busiest single second seen.
+function createPacketStats(windowSeconds = 10) {
+    let entries = new Map();
+    let since = Date.now();
+    
+    // Count one packet. now is a Date.now() timestamp.
+    function record(direction, opcode, name, size, now = Date.now()) {
+        const key = `${direction}:${opcode}`;
+        let entry = entries.get(key);
+        if (!entry) {
+            entry = {
+                direction,
+                opcode,
+                name,
+                count: 0,
+                bytes: 0,
+                minSize: size,
+                maxSize: size,
+                firstSeen: now,
+                lastSeen: now,
+                peakRate: 0,
+                // Packets per second for the last windowSeconds seconds, as a ring
+                buckets: new Array(windowSeconds).fill(0),
+                bucketSeconds: new Array(windowSeconds).fill(-1)
+            };
+            entries.set(key, entry);
+        }
+        
+        entry.name = name;
+        entry.count++;
+        entry.bytes += size;
+        entry.minSize = Math.min(entry.minSize, size);
+        entry.maxSize = Math.max(entry.maxSize, size);
+        entry.lastSeen = now;
+        
+        const second = Math.floor(now / 1000);
+        const index = second % windowSeconds;
+        if (entry.bucketSeconds[index] !== second) {
+            entry.bucketSeconds[index] = second;
+            entry.buckets[index] = 0;
+        }
+        entry.buckets[index]++;
+        entry.peakRate = Math.max(entry.peakRate, entry.buckets[index]);
+    }
+    
+    function getRate(entry, now) {
+        const second = Math.floor(now / 1000);
+        let total = 0;
+        for (let i = 0; i < windowSeconds; i++) {
+            if (entry.bucketSeconds[i] > second - windowSeconds) total += entry.buckets[i];
+        }
+        return total / windowSeconds;
+    }
+    
+    // Current statistics, ranked by sortBy (see SORT_KEYS)
+    function list(sortBy = 'count', now = Date.now()) {
+        const sortKey = SORT_KEYS[sortBy] || SORT_KEYS.count;
+        return [...entries.values()]
+            .map(entry => ({
+                name: entry.name,
+                opcode: entry.opcode,
+                direction: entry.direction,
+                count: entry.count,
+                bytes: entry.bytes,
+                minSize: entry.minSize,
+                avgSize: entry.bytes / entry.count,
+                maxSize: entry.maxSize,
+                rate: getRate(entry, now),
+                peakRate: entry.peakRate,
+                firstSeen: new Date(entry.firstSeen).toISOString(),
+                lastSeen: new Date(entry.lastSeen).toISOString()
+            }))
+            .sort((a, b) => sortKey(b) - sortKey(a) || a.name.localeCompare(b.name));
+    }
+    
+    // Snapshot for export, as 'json' or 'csv' text
+    function exportSnapshot(format, sortBy = 'count') {
+        const stats = list(sortBy);
+        if (format === 'csv') {
+            const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+            const rows = stats.map(stat => CSV_COLUMNS.map(column => {
+                const value = stat[column];
+                return escape(typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value);
+            }).join(','));
+            return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+        }
+        
+        return JSON.stringify({
+            since: new Date(since).toISOString(),
+            exported: new Date().toISOString(),
+            windowSeconds,
+            packets: stats
+        }, null, 2) + '\n';
+    }
+    
+    function reset() {
+        entries = new Map();
+        since = Date.now();
+    }
+    
+    return {
+        record,
+        list,
+        exportSnapshot,
+        reset,
+        getSince: () => since,
+        size: () => entries.size
+    };
+}
+
+module.exports = {
+    SORT_KEYS,
+    createPacketStats
+};
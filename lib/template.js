@@ -0,0 +1,317 @@
+// Template language for the "format" strings in packet-descriptions.json.
+//
+//   {name}                   value of a field, formatted for reading
+//   {loc.x} {buffs[0].id}    dotted paths and array indexes
+//   {id:hex} {loc:.1f}       format specifiers, chainable ({w:deg:.0f})
+//   {channel:@chatChannels}  value looked up in a table from the "maps" section
+//   {#if target}..{#else}..{/if}, {#if !target}..{/if}
+//   {#each buffs ", "}{id}{/each}, with {this} and {@index} inside the loop
+//   {{ and }}                literal braces
+//
+// Placeholders whose field doesn't exist are left as they are, so typos in
+// field names stay visible in the output.
+
+const compiledTemplates = new Map();
+
+// Turn a decoded value into a short human-readable string
+function formatValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return value.toString('hex');
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+        if ('x' in value && 'y' in value && 'z' in value) {
+            return `(${value.x.toFixed(2)}, ${value.y.toFixed(2)}, ${value.z.toFixed(2)})`;
+        }
+        if ('id' in value && 'npc' in value && 'type' in value) {
+            return String(value.id);
+        }
+        return `{${Object.entries(value).map(([k, v]) => `${k}: ${formatValue(v)}`).join(', ')}}`;
+    }
+    return String(value);
+}
+
+// Built-in format specifiers. Each takes the value and returns a new value;
+// the final value is turned into text with formatValue.
+const SPECIFIERS = {
+    // Hexadecimal, exact for 64-bit values
+    hex: (value) => {
+        if (typeof value === 'bigint') return `0x${BigInt.asUintN(64, value).toString(16)}`;
+        if (typeof value === 'number') return `0x${(value >>> 0).toString(16)}`;
+        return value;
+    },
+    // Plain decimal, exact for 64-bit values
+    dec: (value) => typeof value === 'bigint' || typeof value === 'number' ? value.toString() : value,
+    // Radians (angle fields) to degrees
+    deg: (value) => typeof value === 'number' ? value * 180 / Math.PI : value,
+    json: (value) => JSON.stringify(value, (key, v) => typeof v === 'bigint' ? v.toString() : v)
+};
+
+// Fixed decimals: .2f
+function fixedSpecifier(digits) {
+    return (value) => {
+        if (typeof value === 'number') return value.toFixed(digits);
+        if (value && typeof value === 'object' && 'x' in value && 'y' in value && 'z' in value) {
+            return `(${value.x.toFixed(digits)}, ${value.y.toFixed(digits)}, ${value.z.toFixed(digits)})`;
+        }
+        return value;
+    };
+}
+
+// Split "a.b[0].c" into ['a', 'b', '0', 'c']
+function parsePath(source) {
+    const segments = [];
+    const pattern = /([^.[\]]+)|\[(-?\d+)\]/g;
+    let match;
+    while ((match = pattern.exec(source))) {
+        segments.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    if (segments.length === 0 || source.replace(pattern, '').replace(/\./g, '') !== '') {
+        throw new Error(`invalid field path "${source}"`);
+    }
+    return segments;
+}
+
+// Build the specifier chain of a placeholder ("hex", ".2f", "@table", ...).
+// Names registered through options.specifiers are accepted as well.
+function parseSpecifiers(names, extraSpecifiers) {
+    return names.map((name) => {
+        if (name.startsWith('@')) {
+            const table = name.slice(1);
+            return (value, context) => {
+                const map = context.maps?.[table];
+                if (!map) return value;
+                const key = String(value);
+                return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : value;
+            };
+        }
+        
+        const fixed = name.match(/^\.(\d+)f$/);
+        if (fixed) return fixedSpecifier(parseInt(fixed[1]));
+        
+        if (SPECIFIERS[name]) return SPECIFIERS[name];
+        if (extraSpecifiers.includes(name)) {
+            return (value, context) => context.specifiers[name](value, context);
+        }
+        throw new Error(`unknown format specifier "${name}"`);
+    });
+}
+
+// Split a template into literal text and {tag} tokens
+function tokenize(template) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
+    
+    while (i < template.length) {
+        const char = template[i];
+        if ((char === '{' || char === '}') && template[i + 1] === char) {
+            text += char;
+            i += 2;
+            continue;
+        }
+        if (char !== '{') {
+            text += char;
+            i++;
+            continue;
+        }
+        
+        // Find the closing brace, skipping over quoted strings
+        let end = i + 1;
+        let quote = null;
+        while (end < template.length && (quote || template[end] !== '}')) {
+            if (template[end] === '"') quote = quote ? null : '"';
+            end++;
+        }
+        if (end >= template.length) {
+            throw new Error(`unclosed "{" at position ${i}`);
+        }
+        
+        if (text) tokens.push({ type: 'text', value: text });
+        text = '';
+        tokens.push({ type: 'tag', value: template.slice(i + 1, end).trim(), source: template.slice(i, end + 1) });
+        i = end + 1;
+    }
+    
+    if (text) tokens.push({ type: 'text', value: text });
+    return tokens;
+}
+
+// Compile a template string into a tree of nodes
+function compileTemplate(template, extraSpecifiers = []) {
+    const root = { type: 'root', body: [] };
+    // Open blocks, each with the node list new nodes currently go into
+    const stack = [{ node: root, target: root.body }];
+    const top = () => stack[stack.length - 1];
+    
+    for (const token of tokenize(template)) {
+        if (token.type === 'text') {
+            top().target.push(token);
+            continue;
+        }
+        
+        const tag = token.value;
+        let match;
+        if ((match = tag.match(/^#each\s+(\S+)(?:\s+"([^"]*)")?$/))) {
+            const node = { type: 'each', path: parsePath(match[1]), separator: match[2] || '', body: [] };
+            top().target.push(node);
+            stack.push({ node, target: node.body });
+        } else if ((match = tag.match(/^#if\s+(!?)(\S+)$/))) {
+            const node = { type: 'if', negate: match[1] === '!', path: parsePath(match[2]), body: [], elseBody: [] };
+            top().target.push(node);
+            stack.push({ node, target: node.body });
+        } else if (tag === '#else') {
+            const frame = top();
+            if (frame.node.type !== 'if' || frame.target === frame.node.elseBody) {
+                throw new Error('{#else} without {#if}');
+            }
+            frame.target = frame.node.elseBody;
+        } else if (tag === '/if' || tag === '/each') {
+            if (top().node.type !== tag.slice(1)) {
+                throw new Error(`{${tag}} without {#${tag.slice(1)}}`);
+            }
+            stack.pop();
+        } else if (tag.startsWith('#') || tag.startsWith('/')) {
+            throw new Error(`unknown block ${token.source}`);
+        } else {
+            const [pathSource, ...specifiers] = tag.split(':');
+            top().target.push({
+                type: 'value',
+                source: token.source,
+                path: parsePath(pathSource),
+                specifiers: parseSpecifiers(specifiers, extraSpecifiers)
+            });
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`unclosed {#${top().node.type}}`);
+    }
+    return root.body;
+}
+
+// Compiled templates are cached by their source text
+function getCompiledTemplate(template, extraSpecifiers) {
+    const key = `${extraSpecifiers.join(',')}\u0000${template}`;
+    if (!compiledTemplates.has(key)) {
+        compiledTemplates.set(key, compileTemplate(template, extraSpecifiers));
+    }
+    return compiledTemplates.get(key);
+}
+
+// Forget the compiled templates, for when the formats are reloaded and the
+// old ones are no longer used
+function clearTemplateCache() {
+    compiledTemplates.clear();
+}
+
+// Look a path up through the scope chain, innermost loop first.
+// Returns { found, value }.
+function resolvePath(path, scopes) {
+    const [first, ...rest] = path;
+    let value;
+    let found = false;
+    
+    for (let i = scopes.length - 1; i >= 0 && !found; i--) {
+        const scope = scopes[i];
+        if (first === 'this' && 'this' in scope) {
+            value = scope.this;
+            found = true;
+        } else if (first === '@index' && '@index' in scope) {
+            value = scope['@index'];
+            found = true;
+        } else if (scope.values && typeof scope.values === 'object' && first in scope.values) {
+            value = scope.values[first];
+            found = true;
+        }
+    }
+    if (!found) return { found: false };
+    
+    for (const segment of rest) {
+        if (value === null || typeof value !== 'object') return { found: false };
+        const key = Array.isArray(value) && /^-\d+$/.test(segment) ? value.length + parseInt(segment) : segment;
+        if (!(key in value)) return { found: false };
+        value = value[key];
+    }
+    return { found: true, value };
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value && value !== 0n;
+}
+
+function renderNodes(nodes, scopes, context) {
+    let result = '';
+    
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                result += node.value;
+                break;
+            
+            case 'value': {
+                const resolved = resolvePath(node.path, scopes);
+                if (!resolved.found) {
+                    result += node.source;
+                    break;
+                }
+                let value = resolved.value;
+                for (const specifier of node.specifiers) {
+                    value = specifier(value, context);
+                }
+                result += formatValue(value);
+                break;
+            }
+            
+            case 'if': {
+                const resolved = resolvePath(node.path, scopes);
+                const truthy = resolved.found && isTruthy(resolved.value);
+                result += renderNodes(truthy !== node.negate ? node.body : node.elseBody, scopes, context);
+                break;
+            }
+            
+            case 'each': {
+                const resolved = resolvePath(node.path, scopes);
+                if (!resolved.found || !Array.isArray(resolved.value)) break;
+                result += resolved.value.map((element, index) =>
+                    renderNodes(node.body, [...scopes, { values: element, this: element, '@index': index }], context)
+                ).join(node.separator);
+                break;
+            }
+        }
+    }
+    
+    return result;
+}
+
+// Render a template against a tree of decoded values.
+// options.maps holds the value-mapping tables, options.specifiers extra
+// specifier functions (value, context) => value.
+function renderTemplate(template, values, options = {}) {
+    const specifiers = options.specifiers || {};
+    const nodes = getCompiledTemplate(template, Object.keys(specifiers));
+    return renderNodes(nodes, [{ values }], { maps: options.maps || {}, specifiers });
+}
+
+// Format packet data using custom descriptions
+function formatPacketData(parsedData) {
+    if (!parsedData || typeof parsedData.format !== 'string') return null;
+    
+    try {
+        return renderTemplate(parsedData.format, parsedData.fields, parsedData.templateOptions);
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    formatValue,
+    parsePath,
+    compileTemplate,
+    renderTemplate,
+    formatPacketData,
+    clearTemplateCache
+};
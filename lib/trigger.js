@@ -0,0 +1,90 @@
+// Trigger-based capture: packets are kept in memory until a trigger fires,
+// then the buffer and a post-trigger window are written to a file.
+
+const { compileFilterExpression } = require('./filter-expression');
+
+// In-memory buffer of the last maxPackets packets, further limited to the
+// last maxSeconds seconds (0 disables a limit). Entries need a monotonicMs.
+function createRingBuffer(maxPackets, maxSeconds) {
+    let entries = [];
+    let start = 0;
+    
+    function prune(nowMs) {
+        if (maxPackets > 0 && entries.length - start > maxPackets) {
+            start = entries.length - maxPackets;
+        }
+        if (maxSeconds > 0) {
+            while (start < entries.length && nowMs - entries[start].monotonicMs > maxSeconds * 1000) {
+                start++;
+            }
+        }
+        // Compact now and then instead of shifting on every packet
+        if (start > 1024 && start * 2 > entries.length) {
+            entries = entries.slice(start);
+            start = 0;
+        }
+    }
+    
+    return {
+        push(entry) {
+            entries.push(entry);
+            prune(entry.monotonicMs);
+        },
+        // Remove and return everything still in the window, oldest first
+        drain(nowMs) {
+            prune(nowMs);
+            const drained = entries.slice(start);
+            entries = [];
+            start = 0;
+            return drained;
+        },
+        size: () => entries.length - start,
+        clear() {
+            entries = [];
+            start = 0;
+        }
+    };
+}
+
+// Compile the trigger definitions from config.trigger.triggers. Each is
+// { name, opcode, direction, where }: opcode is a name, number or a list
+// of them, where a filter expression; every given condition must match.
+// Returns { triggers, errors } where invalid definitions are left out.
+function compileTriggers(definitions) {
+    const triggers = [];
+    const errors = [];
+    
+    (definitions || []).forEach((definition, index) => {
+        const name = definition.name || `trigger ${index + 1}`;
+        try {
+            const opcodes = definition.opcode === undefined ? [] : [].concat(definition.opcode).map(String);
+            const direction = definition.direction ? String(definition.direction).toUpperCase() : null;
+            if (direction && direction !== 'SENT' && direction !== 'RECEIVED') {
+                throw new Error(`unknown direction ${definition.direction}`);
+            }
+            const expression = definition.where ? compileFilterExpression(definition.where) : null;
+            if (opcodes.length === 0 && !expression) {
+                throw new Error('needs an opcode or a where expression');
+            }
+            
+            triggers.push({
+                name,
+                // packet is { direction, size, opcode, name, getFields() }, as for filter expressions
+                test: (packet) => {
+                    if (direction && packet.direction !== direction) return false;
+                    if (opcodes.length > 0 && !opcodes.some(opcode => opcode === String(packet.opcode) || opcode === packet.name)) return false;
+                    return !expression || expression.test(packet);
+                }
+            });
+        } catch (error) {
+            errors.push({ name, message: error.message });
+        }
+    });
+    
+    return { triggers, errors };
+}
+
+module.exports = {
+    createRingBuffer,
+    compileTriggers
+};
@@ -0,0 +1,177 @@
+// Minimal server side of the WebSocket protocol (RFC 6455), enough for the
+// web inspector: text messages both ways, ping/pong and close. No extensions.
+
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const FRAME_OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+// Messages from the browser are small (filter settings), anything bigger is refused
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+// Answer an HTTP upgrade request and wrap the socket in a connection.
+// handlers are { onMessage(text), onClose() }. Returns null (after refusing
+// the request) when it isn't a WebSocket handshake.
+function acceptWebSocket(request, socket, handlers = {}) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    return createConnection(socket, handlers);
+}
+
+// Build an unmasked, unfragmented frame (servers never mask)
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Read one frame from the start of buffer.
+// Returns null until the whole frame has arrived.
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(Number.MAX_SAFE_INTEGER) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    
+    const mask = masked ? buffer.slice(offset, offset + 4) : null;
+    if (masked) offset += 4;
+    if (length > MAX_MESSAGE_SIZE) return { fin, opcode, masked, tooLarge: true };
+    if (buffer.length < offset + length) return null;
+    
+    const payload = Buffer.from(buffer.slice(offset, offset + length));
+    if (mask) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+    }
+    return { fin, opcode, masked, payload, size: offset + length };
+}
+
+// Wrap an upgraded socket. Returns { send(text), close(code), bufferedAmount() }.
+function createConnection(socket, handlers) {
+    let pending = Buffer.alloc(0);
+    let fragments = null;
+    let closed = false;
+    
+    function send(text) {
+        if (closed) return;
+        socket.write(encodeFrame(FRAME_OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+    
+    function close(code = 1000) {
+        if (closed) return;
+        closed = true;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        socket.end(encodeFrame(FRAME_OPCODES.close, payload));
+    }
+    
+    // Bytes queued on the socket but not sent yet
+    function bufferedAmount() {
+        return socket.writableLength;
+    }
+    
+    function handleFrame(frame) {
+        // Browsers must mask everything they send
+        if (!frame.masked) return close(1002);
+        if (frame.tooLarge) return close(1009);
+        
+        switch (frame.opcode) {
+            case FRAME_OPCODES.text:
+            case FRAME_OPCODES.binary:
+                fragments = { text: frame.opcode === FRAME_OPCODES.text, chunks: [] };
+                // falls through
+            case FRAME_OPCODES.continuation: {
+                if (!fragments) return close(1002);
+                fragments.chunks.push(frame.payload);
+                const message = Buffer.concat(fragments.chunks);
+                if (message.length > MAX_MESSAGE_SIZE) return close(1009);
+                if (!frame.fin) break;
+                
+                const isText = fragments.text;
+                fragments = null;
+                if (isText && handlers.onMessage) handlers.onMessage(message.toString('utf8'));
+                break;
+            }
+            
+            case FRAME_OPCODES.ping:
+                if (!closed) socket.write(encodeFrame(FRAME_OPCODES.pong, frame.payload));
+                break;
+            
+            case FRAME_OPCODES.close:
+                close();
+                break;
+            
+            case FRAME_OPCODES.pong:
+                break;
+            
+            default:
+                close(1002);
+                break;
+        }
+    }
+    
+    socket.on('data', (chunk) => {
+        pending = Buffer.concat([pending, chunk]);
+        let frame;
+        while (!closed && (frame = decodeFrame(pending))) {
+            if (frame.tooLarge) {
+                handleFrame(frame);
+                break;
+            }
+            pending = pending.slice(frame.size);
+            handleFrame(frame);
+        }
+    });
+    
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => {
+        closed = true;
+        if (handlers.onClose) handlers.onClose();
+    });
+    
+    return { send, close, bufferedAmount };
+}
+
+module.exports = {
+    acceptWebSocket
+};
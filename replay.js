@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// Offline replay: re-decode a saved packet log with the current definitions and
+// descriptions, then print, filter and re-format it.
+//
+// Usage: node replay.js [options] <log file...>
+
+const fs = require('fs');
+const path = require('path');
+const decoder = require('./lib/decoder');
+const output = require('./lib/output');
+const { readLogFile } = require('./lib/log-reader');
+const { createEntityTracker } = require('./lib/entities');
+const { compilePacketPatterns } = require('./lib/filters');
+const { readJsonFile } = require('./lib/json-file');
+const cli = require('./lib/cli');
+
+const USAGE = `Usage: node replay.js [options] <log file...>
+
+Options:
+  --defs <dir>             Definitions directory (default: ../../data/definitions)
+  --descriptions <file>    Packet descriptions (default: packet-descriptions.json)
+  --config <file>          Config with packetGroups (default: config.json)
+  --map <file>             Opcode map used to name packets (default: names from the log)
+  --def-version <name=ver> Decode a packet with a specific definition version (repeatable)
+  --include <patterns>     Only packets matching these names, numbers or patterns (comma separated)
+  --exclude <patterns>     Skip packets matching these names, numbers or patterns (comma separated)
+  --direction <dir>        Only SENT or RECEIVED packets
+  --format <text|jsonl>    Output format (default: text)
+  --no-hex                 Leave the payload out of the output
+  --out <file>             Write to a file instead of stdout`;
+
+function parseArgs(argv) {
+    const options = cli.parseArgs(argv, {
+        defaults: {
+            descriptions: path.join(__dirname, 'packet-descriptions.json'),
+            include: [],
+            exclude: [],
+            direction: null,
+            format: 'text',
+            hex: true,
+            files: []
+        },
+        flags: {
+            '--descriptions': (options, args) => { options.descriptions = args.next(); },
+            '--include': (options, args) => { options.include.push(...args.next().split(',')); },
+            '--exclude': (options, args) => { options.exclude.push(...args.next().split(',')); },
+            '--direction': (options, args) => { options.direction = args.next().toUpperCase(); },
+            '--format': (options, args) => { options.format = args.next(); },
+            '--no-hex': (options) => { options.hex = false; }
+        },
+        positional: (options, arg) => options.files.push(arg)
+    });
+    
+    if (!['text', 'jsonl'].includes(options.format)) {
+        throw new Error(`Unknown format ${options.format}`);
+    }
+    if (options.direction && !['SENT', 'RECEIVED'].includes(options.direction)) {
+        throw new Error(`Unknown direction ${options.direction}`);
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+    
+    let config;
+    try {
+        config = cli.loadConfig(options.config);
+    } catch (error) {
+        console.error(`Cannot read ${options.config}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    const definitions = cli.loadDefinitions(options.defs);
+    let descriptionsData = {};
+    let opcodeMap = null;
+    try {
+        if (fs.existsSync(options.descriptions)) descriptionsData = readJsonFile(options.descriptions).data;
+    } catch (error) {
+        console.error(`Cannot read ${options.descriptions}: ${error.message}`);
+        process.exit(1);
+    }
+    try {
+        opcodeMap = cli.loadOpcodeMap(options.map);
+    } catch (error) {
+        console.error(`Cannot read ${options.map}: ${error.message}`);
+        process.exit(1);
+    }
+    const descriptions = descriptionsData.packets || {};
+    const descriptionMaps = descriptionsData.maps || {};
+    // Same patterns and groups as the logger's include/exclude filters
+    const include = compilePacketPatterns(options.include, config.packetGroups);
+    const exclude = compilePacketPatterns(options.exclude, config.packetGroups);
+    for (const error of [...include.errors, ...exclude.errors]) {
+        console.error(`Skipping pattern ${error}`);
+    }
+    
+    const outputOptions = {
+        output: {
+            includeTimestamp: true,
+            includeDirection: true,
+            includeOpcode: true,
+            includeSize: true,
+            includeHexData: options.hex,
+            payloadEncoding: 'hex'
+        },
+        showOpcodeNames: true,
+        debug: false
+    };
+    // Names for {gameId:name}, rebuilt from the spawn packets in the log itself
+    const entityTracker = createEntityTracker();
+    const out = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    const stats = { read: 0, written: 0, decoded: 0, failed: 0 };
+    
+    for (const file of options.files) {
+        let log;
+        try {
+            log = readLogFile(file);
+        } catch (error) {
+            console.error(`Cannot read ${file}: ${error.message}`);
+            process.exit(1);
+        }
+        
+        for (const entry of log.entries) {
+            stats.read++;
+            if (opcodeMap && opcodeMap[entry.opcode]) {
+                entry.name = opcodeMap[entry.opcode];
+            }
+            entry.name = entry.name || `UNKNOWN_${entry.opcode}`;
+            if (entry.size === null && entry.data) entry.size = entry.data.length;
+            
+            const { version, fields } = cli.resolveDefinition(definitions, options.defVersions, entry.name);
+            if (fields && entry.data) {
+                entityTracker.handlePacket(entry.name, () => {
+                    try {
+                        return decoder.decodePacket(entry.data, fields);
+                    } catch (error) {
+                        return null;
+                    }
+                });
+            }
+            
+            if (options.direction && entry.direction !== options.direction) continue;
+            if (!include.isEmpty && !include.test(entry.opcode, entry.name)) continue;
+            if (exclude.test(entry.opcode, entry.name)) continue;
+            
+            // Re-run the logger's decode with the current descriptions and definitions
+            const description = descriptions[entry.name];
+            if (description && fields && entry.data) {
+                entry.parsedData = decoder.parsePacketData(entry.data, description, fields, {
+                    templateOptions: { maps: descriptionMaps, specifiers: entityTracker.specifiers },
+                    onError: (error) => {
+                        console.error(`${file}:${entry.line}: cannot decode ${entry.name}.${version}: ${error.message}`);
+                    }
+                });
+                stats[entry.parsedData ? 'decoded' : 'failed']++;
+            }
+            
+            out.write(options.format === 'jsonl'
+                ? output.formatJsonEntry(entry, outputOptions)
+                : output.formatTextEntry(entry, outputOptions));
+            stats.written++;
+        }
+    }
+    
+    if (out !== process.stdout) out.end();
+    console.error(`${stats.read} packets read, ${stats.written} written, ${stats.decoded} decoded, ${stats.failed} failed to decode`);
+}
+
+main();
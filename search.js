@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Offline log search: find packets across the saved logs by packet, time,
+// character, zone and field values, and show them with the packets around
+// them. Uses and updates the same index as /packetlogger search.
+//
+// Usage: node search.js [options] <query...>
+
+const fs = require('fs');
+const path = require('path');
+const { readLogFile } = require('./lib/log-reader');
+const cli = require('./lib/cli');
+const { parseSearchQuery, updateLogIndex, searchLogs, formatSearchHits } = require('./lib/log-search');
+
+const USAGE = `Usage: node search.js [options] <query...>
+
+Query terms (all must match):
+  <packets>                Names, numbers or patterns (e.g. S_CHAT, S_ABNORMALITY_*, @skills); any of them
+  from:<time>              Packets at or after a UTC time (2026-10-19, 2026-10-19T14:05)
+  to:<time>                Packets up to the end of a UTC time
+  character:<name>         Packets while this character was logged in (from S_LOGIN)
+  zone:<id>                Packets while in this zone (from S_LOAD_TOPO)
+  context:<n>              Packets shown before and after each hit (default: search.context)
+  where <expression>       Filter expression over the decoded fields, to the end of the query
+
+Options:
+  --logs <dir>             Logs directory (default: logs)
+  --defs <dir>             Definitions directory (default: ../../data/definitions)
+  --config <file>          Config with packetGroups and search settings (default: config.json)
+  --map <file>             Opcode map used to name packets (default: names from the logs)
+  --def-version <name=ver> Decode a packet with a specific definition version (repeatable)
+  --limit <n>              Stop after this many hits (default: search.maxHits)
+  --out <file>             Write to a file instead of stdout`;
+
+function parseArgs(argv) {
+    return cli.parseArgs(argv, {
+        defaults: {
+            logs: path.join(__dirname, 'logs'),
+            limit: null,
+            query: []
+        },
+        flags: {
+            '--logs': (options, args) => { options.logs = args.next(); },
+            '--limit': (options, args) => { options.limit = args.count(); }
+        },
+        // Options end where the query starts, so "where" expressions can use anything
+        positional: (options, arg, args) => { options.query = args.rest(); }
+    });
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help || options.query.length === 0) {
+        console.log(USAGE);
+        process.exit(options.help ? 0 : 2);
+    }
+    
+    let config;
+    let opcodeMap;
+    try {
+        config = cli.loadConfig(options.config);
+    } catch (error) {
+        console.error(`Cannot read ${options.config}: ${error.message}`);
+        process.exit(2);
+    }
+    try {
+        opcodeMap = cli.loadOpcodeMap(options.map);
+    } catch (error) {
+        console.error(`Cannot read ${options.map}: ${error.message}`);
+        process.exit(2);
+    }
+    
+    let query;
+    try {
+        query = parseSearchQuery(options.query.join(' '), config.packetGroups, { context: config.search.context });
+    } catch (error) {
+        console.error(`Invalid query: ${error.message}`);
+        process.exit(2);
+    }
+    
+    const definitions = cli.loadDefinitions(options.defs);
+    const readEntries = (file) => readLogFile(file).entries.map(entry => {
+        if (opcodeMap && opcodeMap[entry.opcode]) {
+            entry.name = opcodeMap[entry.opcode];
+        }
+        entry.name = entry.name || `UNKNOWN_${entry.opcode}`;
+        return entry;
+    });
+    
+    const decode = cli.createEntryDecoder(definitions, options.defVersions);
+    
+    let result;
+    try {
+        // Oldest first, like the in-game search
+        const files = fs.readdirSync(options.logs)
+            .filter(name => /^packet-(log|trigger)-.+\.(log|jsonl|pcapng)(\.gz)?$/.test(name))
+            .map(name => path.join(options.logs, name))
+            .map(file => ({ file, modified: fs.statSync(file).mtimeMs }))
+            .sort((a, b) => a.modified - b.modified || a.file.localeCompare(b.file))
+            .map(entry => entry.file);
+        
+        const { index, errors } = await updateLogIndex(path.join(options.logs, '.search-index.json'), files, readEntries, decode);
+        errors.forEach(error => console.error(`Skipping ${error}`));
+        result = await searchLogs(files, index, query, { readEntries, decode, maxHits: options.limit || config.search.maxHits });
+    } catch (error) {
+        console.error(`Cannot search the logs: ${error.message}`);
+        process.exit(2);
+    }
+    
+    const lines = formatSearchHits(result);
+    const report = lines.join('\n') + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, report);
+        console.error(lines[0]);
+    } else {
+        process.stdout.write(report);
+    }
+    // Like grep(1): 0 with hits, 1 without, 2 for errors
+    process.exitCode = result.hits.length > 0 ? 0 : 1;
+}
+
+main();
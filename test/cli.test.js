@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cli = require('../lib/cli');
+const { parseDefinitionFile } = require('../lib/definitions');
+const { getDefaults } = require('../lib/config-schema');
+
+// A tool with one option of its own and files as arguments
+const parse = (argv) => cli.parseArgs(argv, {
+    defaults: { limit: null, files: [] },
+    flags: { '--limit': (options, args) => { options.limit = args.count(); } },
+    positional: (options, arg) => options.files.push(arg)
+});
+
+test('parses the common options, the tool\'s own and its arguments', () => {
+    const options = parse(['--defs', 'defs', '--def-version', 'S_CHAT=3', 'a.log', '--limit', '5', '--out', 'x.txt', 'b.log']);
+    assert.equal(options.defs, 'defs');
+    assert.deepEqual(options.defVersions, { S_CHAT: 3 });
+    assert.equal(options.limit, 5);
+    assert.equal(options.out, 'x.txt');
+    assert.deepEqual(options.files, ['a.log', 'b.log']);
+    assert.equal(options.map, null);
+    assert.equal(path.basename(options.config), 'config.json');
+    assert.equal(parse(['-h']).help, true);
+});
+
+test('rejects unknown options and missing or invalid values', () => {
+    assert.throws(() => parse(['--nope']), /Unknown option --nope/);
+    assert.throws(() => parse(['--defs']), /--defs needs a value/);
+    assert.throws(() => parse(['--def-version', 'S_CHAT']), /--def-version expects <name>=<version>/);
+    assert.throws(() => parse(['--limit', '0']), /--limit expects a positive number/);
+});
+
+test('rest() ends the options at a query', () => {
+    const options = cli.parseArgs(['--out', 'x.txt', 'S_CHAT', 'where', 'a', '--b'], {
+        defaults: { query: [] },
+        positional: (options, arg, args) => { options.query = args.rest(); }
+    });
+    assert.deepEqual(options.query, ['S_CHAT', 'where', 'a', '--b']);
+});
+
+test('loads the config with defaults for invalid settings and no file', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 2, diff: { maxEdits: -1, maxLines: 5 } }));
+    
+    const errors = [];
+    t.mock.method(console, 'error', (message) => errors.push(message));
+    const config = cli.loadConfig(file);
+    assert.equal(config.diff.maxEdits, 4000);
+    assert.equal(config.diff.maxLines, 5);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /diff\.maxEdits/);
+    assert.deepEqual(cli.loadConfig(path.join(dir, 'missing.json')), getDefaults());
+    
+    fs.writeFileSync(file, '{');
+    assert.throws(() => cli.loadConfig(file), /line 1, column 2/);
+});
+
+test('decodes saved packets with the definitions, or uses their stored fields', () => {
+    const definitions = { S_TEST: { 1: parseDefinitionFile('uint16 value'), 2: parseDefinitionFile('uint32 value') } };
+    const data = Buffer.from('0600010007000000', 'hex');
+    assert.equal(cli.resolveDefinition(definitions, {}, 'S_TEST').version, 2);
+    assert.equal(cli.resolveDefinition(definitions, { S_TEST: 1 }, 'S_TEST').version, 1);
+    assert.equal(cli.resolveDefinition(definitions, {}, 'S_OTHER').fields, undefined);
+    
+    const decode = cli.createEntryDecoder(definitions, { S_TEST: 1 });
+    assert.deepEqual(decode({ name: 'S_TEST', data, fields: null }), { value: 7 });
+    assert.deepEqual(decode({ name: 'S_OTHER', data, fields: { value: 'stored' } }), { value: 'stored' });
+    assert.equal(decode({ name: 'S_TEST', data: Buffer.from('0400', 'hex'), fields: null }), null);
+});
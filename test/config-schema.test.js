@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const configSchema = require('../lib/config-schema');
+
+test('the shipped config.json matches the schema', () => {
+    const raw = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+    const { errors, warnings, migratedFrom } = configSchema.normalizeConfig(raw);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, []);
+    assert.equal(migratedFrom, null);
+});
+
+test('fills in missing settings with their defaults', () => {
+    const { config, errors } = configSchema.normalizeConfig({ version: configSchema.CONFIG_VERSION, output: { format: 'jsonl' } });
+    assert.deepEqual(errors, []);
+    assert.equal(config.output.format, 'jsonl');
+    assert.equal(config.output.includeHexData, true);
+    assert.deepEqual(config.filters, configSchema.getDefaults().filters);
+});
+
+test('migrates version 1 configs and keeps the original untouched', () => {
+    const raw = { maxFileSize: 1024, logToFile: false };
+    const { config, errors, migratedFrom } = configSchema.normalizeConfig(raw);
+    assert.deepEqual(errors, []);
+    assert.equal(migratedFrom, 1);
+    assert.equal(config.version, configSchema.CONFIG_VERSION);
+    assert.equal(config.rotation.maxFileSize, 1024);
+    assert.equal('maxFileSize' in config, false);
+    assert.equal(config.logToFile, false);
+    assert.deepEqual(raw, { maxFileSize: 1024, logToFile: false });
+});
+
+test('a rotation.maxFileSize already present wins over the old top-level one', () => {
+    const { config } = configSchema.normalizeConfig({ maxFileSize: 1024, rotation: { maxFileSize: 2048 } });
+    assert.equal(config.rotation.maxFileSize, 2048);
+});
+
+test('replaces invalid values by their defaults and reports them', () => {
+    const { config, errors } = configSchema.normalizeConfig({
+        version: 2,
+        enabled: 'sometimes',
+        output: { format: 'csv', hexBytes: 1.5 },
+        ui: { port: 70000 },
+        filters: 'none',
+        rotation: { maxFileSize: '2048' }
+    });
+    assert.deepEqual(errors, [
+        'enabled: expected true or false, got "sometimes"',
+        'filters: expected a section, got "none"',
+        'output.format: expected one of text, jsonl, pcapng, got "csv"',
+        'output.hexBytes: expected a whole number, got 1.5',
+        'ui.port: expected a number from 1 to 65535, got 70000'
+    ]);
+    assert.equal(config.enabled, false);
+    assert.equal(config.output.format, 'text');
+    assert.equal(config.ui.port, 7780);
+    assert.equal(config.rotation.maxFileSize, 2048);
+});
+
+test('keeps unknown keys and warns about them and about newer versions', () => {
+    const { config, warnings } = configSchema.normalizeConfig({ version: 99, extra: 1, output: { colour: 'red' } });
+    assert.deepEqual(warnings, [
+        `version: 99 is newer than this module knows (${configSchema.CONFIG_VERSION})`,
+        'output.colour: unknown setting, kept as is',
+        'extra: unknown setting, kept as is'
+    ]);
+    assert.equal(config.extra, 1);
+    assert.equal(config.output.colour, 'red');
+});
+
+test('rejects configs that are not objects', () => {
+    assert.throws(() => configSchema.normalizeConfig([]), /expected an object/);
+    assert.throws(() => configSchema.normalizeConfig(null), /expected an object/);
+});
+
+test('coerces text typed in chat per setting', () => {
+    const config = configSchema.getDefaults();
+    assert.equal(configSchema.setConfigValue(config, 'output.includeHexData', 'off'), false);
+    assert.equal(configSchema.setConfigValue(config, 'rotation.intervalMinutes', '1.5'), 1.5);
+    assert.equal(configSchema.setConfigValue(config, 'filters.minPacketSize', '100'), 100);
+    assert.deepEqual(configSchema.setConfigValue(config, 'filters.includeOpcode', 'S_CHAT, 101'), ['S_CHAT', '101']);
+    assert.deepEqual(configSchema.setConfigValue(config, 'filters.excludeOpcode', ''), []);
+    assert.equal(configSchema.setConfigValue(config, 'output.format', 'pcapng'), 'pcapng');
+    
+    assert.equal(config.output.includeHexData, false);
+    assert.equal(config.filters.minPacketSize, 100);
+    assert.deepEqual(config.filters.includeOpcode, ['S_CHAT', '101']);
+    assert.equal(configSchema.getConfigValue(config, 'output.format'), 'pcapng');
+    assert.equal(configSchema.getConfigValue(config, 'output.nope.deeper'), undefined);
+});
+
+test('refuses invalid values, sections and settings only editable in the file', () => {
+    const config = configSchema.getDefaults();
+    const before = JSON.stringify(config);
+    assert.throws(() => configSchema.setConfigValue(config, 'filters.minPacketSize', 'abc'), /^Error: filters.minPacketSize: expected a number, got "abc"$/);
+    assert.throws(() => configSchema.setConfigValue(config, 'filters.maxPacketSize', '-5'), /expected a number of at least 0, got -5/);
+    assert.throws(() => configSchema.setConfigValue(config, 'output.hexStyle', 'pretty'), /expected one of full, truncate, dump, none/);
+    assert.throws(() => configSchema.setConfigValue(config, 'output', 'x'), /output is a section, set one of output.includeTimestamp/);
+    assert.throws(() => configSchema.setConfigValue(config, 'output.packetStyles', '{}'), /output.packetStyles can only be changed in config.json/);
+    assert.throws(() => configSchema.setConfigValue(config, 'trigger.triggers', ''), /trigger.triggers can only be changed in config.json/);
+    assert.throws(() => configSchema.setConfigValue(config, 'packetGroups', '{}'), /packetGroups can only be changed in config.json/);
+    assert.throws(() => configSchema.setConfigValue(config, 'latency.pairs', ''), /latency.pairs can only be changed in config.json/);
+    assert.throws(() => configSchema.setConfigValue(config, 'nope', '1'), /unknown setting nope/);
+    assert.throws(() => configSchema.setConfigValue(config, 'output.format.deeper', '1'), /unknown setting output.format.deeper/);
+    assert.equal(JSON.stringify(config), before);
+});
+
+test('getSchemaEntry finds settings and sections by path', () => {
+    assert.equal(configSchema.getSchemaEntry('filters.minPacketSize').type, 'integer');
+    assert.equal(configSchema.getSchemaEntry('filters').setting, undefined);
+    assert.equal(configSchema.getSchemaEntry('filters.nope'), null);
+    assert.equal(configSchema.getSchemaEntry('toString'), null);
+});
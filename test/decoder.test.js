@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDefinitionFile } = require('../lib/definitions');
+const { decodePacket, parsePacketData } = require('../lib/decoder');
+const { toJsonLine } = require('../lib/output');
+
+// A raw packet: the uint16 length and opcode header followed by the body
+function packet(body) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16LE(body.length + 4, 0);
+    header.writeUInt16LE(100, 2);
+    return Buffer.concat([header, body]);
+}
+
+test('decodes fixed-width fields in order', () => {
+    const body = Buffer.alloc(31);
+    body.writeInt8(-2, 0);
+    body.writeUInt16LE(513, 1);
+    body.writeInt32LE(-70000, 3);
+    body.writeBigUInt64LE(2n ** 63n, 7);
+    body.writeFloatLE(1.5, 15);
+    body.writeUInt8(1, 19);
+    body.writeFloatLE(1, 20);
+    body.writeFloatLE(2, 24);
+    body.writeInt16LE(0x4000, 28);
+    body.writeUInt8(0, 30);
+    
+    const fields = parseDefinitionFile('int8 a\nuint16 b\nint32 c\nuint64 d\nfloat e\nbool f\nvec3 g\nangle h\nbool i');
+    // vec3 needs 12 bytes, so the packet is too short for everything after it
+    assert.throws(() => decodePacket(packet(body), fields), RangeError);
+    
+    const full = Buffer.concat([body.subarray(0, 28), Buffer.alloc(4), body.subarray(28)]);
+    full.writeFloatLE(3, 28);
+    const value = decodePacket(packet(full), fields);
+    assert.equal(value.a, -2);
+    assert.equal(value.b, 513);
+    assert.equal(value.c, -70000);
+    assert.equal(value.d, 2n ** 63n);
+    assert.equal(value.e, 1.5);
+    assert.equal(value.f, true);
+    assert.deepEqual(value.g, { x: 1, y: 2, z: 3 });
+    assert.equal(value.h, Math.PI / 2);
+    assert.equal(value.i, false);
+});
+
+test('splits skill ids into their parts', () => {
+    const body = Buffer.alloc(12);
+    body.writeUInt32LE((1 << 26) | 67120, 0);
+    body.writeUInt32LE((1 << 28) | 1234, 4);
+    body.writeUInt32LE(0x10000 | 7, 8);
+    
+    const value = decodePacket(packet(body), parseDefinitionFile('skillid32 short\nskillid long'));
+    assert.deepEqual(value.short, { id: 67120, type: 1, npc: false, reserved: 0 });
+    assert.deepEqual(value.long, { id: 1234, type: 1, huntingZoneId: 7, npc: true, reserved: 0 });
+});
+
+test('follows the linked elements of nested arrays', () => {
+    const fields = parseDefinitionFile('array members\n- uint32 id\n- array buffs\n- - uint16 buff');
+    // Packet layout (offsets include the 4 byte header):
+    //  4 count members, 6 offset members
+    //  8 member 0: here, next, count buffs, offset buffs, id
+    // 20 member 1: here, next, count buffs, offset buffs, id
+    // 32 buff 0 of member 0: here, next, buff
+    // 38 buff 1 of member 0: here, next, buff
+    const body = Buffer.alloc(40);
+    const write = (offset, ...values) => values.forEach((value, i) => body.writeUInt16LE(value, offset - 4 + i * 2));
+    write(4, 2, 8);
+    write(8, 8, 20, 2, 32);
+    body.writeUInt32LE(11, 12);
+    write(20, 20, 0, 0, 0);
+    body.writeUInt32LE(22, 24);
+    write(32, 32, 38, 500);
+    write(38, 38, 0, 501);
+    
+    const ranges = [];
+    const value = decodePacket(packet(body), fields, ranges);
+    assert.deepEqual(value, {
+        members: [
+            { id: 11, buffs: [{ buff: 500 }, { buff: 501 }] },
+            { id: 22, buffs: [] }
+        ]
+    });
+    assert.deepEqual(ranges.find(range => range.path === 'members[0].buffs[1].buff'), { path: 'members[0].buffs[1].buff', start: 42, end: 44 });
+    assert.deepEqual(ranges.find(range => range.path === 'members[1]'), { path: 'members[1]', start: 20, end: 32 });
+});
+
+test('rejects array elements that point elsewhere', () => {
+    const fields = parseDefinitionFile('array items\n- uint16 value');
+    const body = Buffer.alloc(10);
+    body.writeUInt16LE(1, 0);
+    body.writeUInt16LE(8, 2);
+    body.writeUInt16LE(12, 4);
+    assert.throws(() => decodePacket(packet(body), fields), /items: element at 8 points to 12/);
+});
+
+test('reads bytes from their offset and count', () => {
+    const fields = parseDefinitionFile('bytes data\nbytes empty');
+    const body = Buffer.alloc(11);
+    body.writeUInt16LE(12, 0);
+    body.writeUInt16LE(3, 2);
+    body.set([1, 2, 3], 8);
+    
+    const value = decodePacket(packet(body), fields);
+    assert.deepEqual([...value.data], [1, 2, 3]);
+    assert.equal(value.empty.length, 0);
+});
+
+test('parsePacketData returns null and reports the error when the packet is too short', () => {
+    const errors = [];
+    const fields = parseDefinitionFile('uint32 id');
+    const result = parsePacketData(packet(Buffer.alloc(2)), { format: '{id}' }, fields, { onError: error => errors.push(error) });
+    assert.equal(result, null);
+    assert.match(errors[0].message, /id \(uint32\) at 4 exceeds packet size 6/);
+    
+    const parsed = parsePacketData(packet(Buffer.from([7, 0, 0, 0])), { description: 'Test', format: '{id}' }, fields);
+    assert.equal(parsed.fields.id, 7);
+    assert.equal(parsed.description, 'Test');
+    assert.deepEqual(parsed.ranges, [{ path: 'id', start: 4, end: 8 }]);
+});
+
+test('reads null-terminated UTF-16LE strings from their offset', () => {
+    const fields = parseDefinitionFile('string name\nstring missing\nuint32 id');
+    const text = Buffer.from('Añé 名前\0', 'utf16le');
+    const body = Buffer.concat([Buffer.alloc(8), text]);
+    body.writeUInt16LE(12, 0);
+    body.writeUInt32LE(5, 4);
+    
+    const ranges = [];
+    const value = decodePacket(packet(body), fields, ranges);
+    assert.deepEqual(value, { name: 'Añé 名前', missing: '', id: 5 });
+    // The range covers the terminator
+    assert.deepEqual(ranges.find(range => range.path === 'name'), { path: 'name', start: 12, end: 12 + text.length });
+});
+
+test('reads a string that runs to the end of the packet without a terminator', () => {
+    const body = Buffer.concat([Buffer.alloc(2), Buffer.from('abc', 'utf16le')]);
+    body.writeUInt16LE(6, 0);
+    assert.equal(decodePacket(packet(body), parseDefinitionFile('string name')).name, 'abc');
+});
+
+test('serializes byte blobs as hex and 64-bit values as text in JSON lines', () => {
+    const line = toJsonLine({ fields: { data: Buffer.from([0xde, 0xad]), id: 2n ** 64n - 1n, list: [Buffer.from([1])] } });
+    assert.equal(line, '{"fields":{"data":"dead","id":"18446744073709551615","list":["01"]}}\n');
+});
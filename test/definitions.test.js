@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDefinitionFile, loadDefinitionsDir, getLoadedVersions } = require('../lib/definitions');
+
+test('parses flat fields and ignores comments and blank lines', () => {
+    const fields = parseDefinitionFile('# header\nuint32 id\n\nfloat speed # per second\n');
+    assert.deepEqual(fields, [
+        { type: 'uint32', name: 'id' },
+        { type: 'float', name: 'speed' }
+    ]);
+});
+
+test('puts implicit headers at the start of the structure', () => {
+    const fields = parseDefinitionFile('array buffs\n- uint32 id\nstring name\nbytes data\nuint32 id');
+    assert.deepEqual(fields.map(field => `${field.type} ${field.name}`), [
+        'count buffs',
+        'offset buffs',
+        'offset name',
+        'offset data',
+        'count data',
+        'array buffs',
+        'string name',
+        'bytes data',
+        'uint32 id'
+    ]);
+});
+
+test('keeps explicit headers where they are declared', () => {
+    const fields = parseDefinitionFile('uint32 before\ncount items\noffset items\narray items\n- uint16 value');
+    assert.deepEqual(fields.map(field => `${field.type} ${field.name}`), [
+        'uint32 before',
+        'count items',
+        'offset items',
+        'array items'
+    ]);
+});
+
+test('nests arrays and objects by their dashes', () => {
+    const fields = parseDefinitionFile([
+        'object loc',
+        '- float x',
+        '- float y',
+        'array members',
+        '- string name',
+        '- array buffs',
+        '- - uint32 id',
+        'uint32 after'
+    ].join('\n'));
+    
+    const loc = fields.find(field => field.name === 'loc');
+    assert.deepEqual(loc.fields.map(field => field.name), ['x', 'y']);
+    
+    const members = fields.find(field => field.type === 'array');
+    assert.deepEqual(members.fields.map(field => `${field.type} ${field.name}`), [
+        'offset name',
+        'count buffs',
+        'offset buffs',
+        'string name',
+        'array buffs'
+    ]);
+    assert.deepEqual(members.fields[4].fields, [{ type: 'uint32', name: 'id' }]);
+    assert.equal(fields[fields.length - 1].name, 'after');
+});
+
+test('rejects unknown types, bad lines and orphaned nesting with the line number', () => {
+    assert.throws(() => parseDefinitionFile('uint32 id\nuint33 bad'), /line 2: unknown type "uint33"/);
+    assert.throws(() => parseDefinitionFile('uint32'), /line 1: cannot parse "uint32"/);
+    assert.throws(() => parseDefinitionFile('uint32 id\n- - uint32 deep'), /line 2: "deep" is nested deeper than its parent/);
+});
+
+test('loads every version in a directory and reports broken files', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-defs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'S_CHAT.2.def'), 'uint32 channel');
+    fs.writeFileSync(path.join(dir, 'S_CHAT.10.def'), 'uint32 channel\nstring message');
+    fs.writeFileSync(path.join(dir, 'S_BROKEN.1.def'), 'what is this');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a definition');
+    
+    const { definitions, errors } = loadDefinitionsDir(dir);
+    assert.deepEqual(Object.keys(definitions), ['S_CHAT']);
+    assert.deepEqual(getLoadedVersions(definitions, 'S_CHAT'), [10, 2]);
+    assert.deepEqual(getLoadedVersions(definitions, 'S_MISSING'), []);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].file, 'S_BROKEN.1.def');
+});
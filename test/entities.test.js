@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEntityTracker } = require('../lib/entities');
+
+// Feed a packet with its decoded fields
+const feed = (tracker, name, fields) => tracker.handlePacket(name, () => fields);
+
+// A lancer (templateId 10102) and a priest (10107)
+const me = { gameId: 1n, serverId: 1, playerId: 10, name: 'Bob', templateId: 10102 };
+const alice = { gameId: 2n, serverId: 1, playerId: 20, name: 'Alice', templateId: 10107 };
+
+test('resolves players, the own character and NPCs by gameId', () => {
+    const tracker = createEntityTracker();
+    feed(tracker, 'S_LOGIN', me);
+    feed(tracker, 'S_SPAWN_USER', alice);
+    feed(tracker, 'S_SPAWN_NPC', { gameId: 3n, huntingZoneId: 13, templateId: 1000 });
+    
+    assert.equal(tracker.describe(tracker.get(1n)), 'Bob (lancer, me)');
+    assert.equal(tracker.getMe(), tracker.get(1n));
+    assert.equal(tracker.describe(tracker.get('2')), 'Alice (priest, player)');
+    assert.equal(tracker.describe(tracker.get(3)), 'npc 13:1000 (npc)');
+    assert.equal(tracker.get(4n), null);
+    assert.equal(tracker.get('not an id'), null);
+});
+
+test('names gameIds in descriptions, falling back to the id', () => {
+    const tracker = createEntityTracker();
+    feed(tracker, 'S_SPAWN_USER', alice);
+    assert.equal(tracker.specifiers.name(2n), 'Alice');
+    assert.equal(tracker.specifiers.name(9n), 9n);
+});
+
+test('follows party membership by server and player id', () => {
+    const tracker = createEntityTracker();
+    feed(tracker, 'S_SPAWN_USER', alice);
+    feed(tracker, 'S_PARTY_MEMBER_LIST', { members: [{ serverId: 1, playerId: 20 }] });
+    assert.equal(tracker.get(2n).kind, 'party');
+    
+    // Party members keep their kind with the new gameId after a zone change
+    feed(tracker, 'S_SPAWN_USER', { ...alice, gameId: 12n });
+    assert.equal(tracker.get(12n).kind, 'party');
+    
+    feed(tracker, 'S_LEAVE_PARTY', {});
+    assert.equal(tracker.get(12n).kind, 'player');
+});
+
+test('forgets despawned entities and everything but the player on zone changes', () => {
+    const tracker = createEntityTracker();
+    feed(tracker, 'S_LOGIN', me);
+    feed(tracker, 'S_SPAWN_USER', alice);
+    feed(tracker, 'S_SPAWN_NPC', { gameId: 3n, huntingZoneId: 13, templateId: 1000 });
+    
+    feed(tracker, 'S_DESPAWN_NPC', { gameId: 3n });
+    feed(tracker, 'S_DESPAWN_USER', { gameId: 1n });
+    assert.equal(tracker.get(3n), null);
+    assert.notEqual(tracker.get(1n), null);
+    
+    feed(tracker, 'S_LOAD_TOPO', {});
+    assert.deepEqual(tracker.list().map(entity => entity.name), ['Bob']);
+    
+    // The player can come back with a new gameId
+    feed(tracker, 'S_SPAWN_ME', { gameId: 7n });
+    assert.equal(tracker.get(1n), null);
+    assert.equal(tracker.get(7n).name, 'Bob');
+    
+    assert.equal(tracker.getMe().gameId, 7n);
+    
+    feed(tracker, 'S_RETURN_TO_LOBBY', {});
+    assert.deepEqual(tracker.list(), []);
+    assert.equal(tracker.getMe(), null);
+});
+
+test('only decodes the packets it reads', () => {
+    const tracker = createEntityTracker();
+    tracker.handlePacket('S_CHAT', () => assert.fail('decoded S_CHAT'));
+    // Packets that can't be decoded are skipped
+    tracker.handlePacket('S_SPAWN_USER', () => null);
+    assert.deepEqual(tracker.list(), []);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileWatcher } = require('../lib/file-watcher');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Watch config.json and blacklist.json in a temp dir, plus a missing dir.
+// next() resolves with the key of the next change reported.
+function watchTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-watch-'));
+    const changes = [];
+    const errors = [];
+    let waiting = null;
+    const watcher = createFileWatcher([
+        { key: 'config', dir, match: name => name === 'config.json' },
+        { key: 'blacklist', dir, match: name => name === 'blacklist.json' },
+        { key: 'missing', dir: path.join(dir, 'missing'), match: () => true }
+    ], (key) => {
+        changes.push(key);
+        if (waiting) waiting(key);
+    }, (watchedDir, error) => errors.push(error), 50);
+    t.after(() => {
+        watcher.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    const next = () => new Promise((resolve, reject) => {
+        waiting = resolve;
+        setTimeout(() => reject(new Error('no change reported')), 5000).unref();
+    });
+    return { dir, changes, errors, next };
+}
+
+test('reports changes to watched files once writes settle down', async (t) => {
+    const { dir, changes, errors, next } = watchTempDir(t);
+    const changed = next();
+    for (let i = 0; i < 3; i++) fs.writeFileSync(path.join(dir, 'config.json'), `{"write": ${i}}`);
+    fs.writeFileSync(path.join(dir, 'other.json'), '{}');
+    assert.equal(await changed, 'config');
+    await sleep(150);
+    
+    assert.deepEqual(changes, ['config']);
+    assert.deepEqual(errors, []);
+});
+
+test('sees files saved by renaming a temporary file over them', async (t) => {
+    const { dir, next } = watchTempDir(t);
+    fs.writeFileSync(path.join(dir, 'blacklist.json'), '[]');
+    assert.equal(await next(), 'blacklist');
+    
+    const changed = next();
+    fs.writeFileSync(path.join(dir, 'blacklist.json.tmp'), '["S_CHAT"]');
+    fs.renameSync(path.join(dir, 'blacklist.json.tmp'), path.join(dir, 'blacklist.json'));
+    assert.equal(await changed, 'blacklist');
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileFilterExpression } = require('../lib/filter-expression');
+
+const fields = {
+    gameId: 9007199254740993n,
+    channel: 2,
+    name: 'Bobby',
+    loc: { x: 1.5, y: -2, z: 0 },
+    skill: { id: 67120, type: 1, npc: false, reserved: 0 },
+    buffs: [{ id: 7 }, { id: 8 }],
+    data: Buffer.from([0xab, 0xcd]),
+    alive: true,
+    empty: []
+};
+
+// A packet as the logger passes it, counting how often it was decoded
+function packet(overrides = {}) {
+    const result = {
+        direction: 'RECEIVED',
+        size: 120,
+        opcode: 100,
+        name: 'S_CHAT',
+        decoded: 0,
+        getFields() {
+            result.decoded++;
+            return fields;
+        },
+        ...overrides
+    };
+    return result;
+}
+
+const matches = (source, overrides) => compileFilterExpression(source).test(packet(overrides));
+
+test('compares fields and packet properties', () => {
+    assert.equal(matches('channel == 2 && $direction == "RECEIVED"'), true);
+    assert.equal(matches('channel != 2 || $size > 200'), false);
+    assert.equal(matches('loc.x >= 1.5 and loc.y < 0'), true);
+    assert.equal(matches('buffs[1].id == 8 and buffs[-1].id == 8'), true);
+    assert.equal(matches("$name == 'S_CHAT' and $opcode == 0x64"), true);
+    assert.equal(matches('alive == true and not (channel == 0)'), true);
+});
+
+test('compares 64-bit ids exactly', () => {
+    assert.equal(matches('gameId == 9007199254740993'), true);
+    assert.equal(matches('gameId == 9007199254740992'), false);
+    assert.equal(matches('gameId > 9007199254740992'), true);
+    assert.equal(matches('gameId == 0x20000000000001'), true);
+    assert.equal(matches('gameId in [1, 9007199254740993]'), true);
+});
+
+test('compares skill ids by id and byte blobs as hex', () => {
+    assert.equal(matches('skill == 67120'), true);
+    assert.equal(matches('skill in [100801, 67120]'), true);
+    assert.equal(matches('data == "abcd"'), true);
+});
+
+test('matches regular expressions and lists', () => {
+    assert.equal(matches('name =~ /^bob/i'), true);
+    assert.equal(matches('name !~ /^bob/'), true);
+    assert.equal(matches('channel in [1, 3]'), false);
+    assert.equal(matches('channel not in [1, 3]'), true);
+    assert.equal(matches('$direction in ["SENT"]'), false);
+});
+
+test('comparisons with fields the packet lacks are false', () => {
+    assert.equal(matches('missing == 1'), false);
+    assert.equal(matches('missing != 1'), false);
+    assert.equal(matches('missing in [1]'), false);
+    assert.equal(matches('!missing'), true);
+    assert.equal(matches('channel == 1', { getFields: () => null }), false);
+});
+
+test('values of different types never compare equal', () => {
+    assert.equal(matches('channel == "2"'), false);
+    assert.equal(matches('channel != "2"'), true);
+    assert.equal(matches('name > 3'), false);
+});
+
+test('bare fields test their truthiness', () => {
+    assert.equal(matches('alive and buffs'), true);
+    assert.equal(matches('empty'), false);
+    assert.equal(matches('loc.z'), false);
+});
+
+test('decodes only when the expression reads a field', () => {
+    const cheap = compileFilterExpression('$size > 100 || $name == "S_LOGIN"');
+    const expensive = compileFilterExpression('$size > 1000 && channel == 2');
+    assert.equal(cheap.usesFields, false);
+    assert.equal(expensive.usesFields, true);
+    
+    const first = packet();
+    assert.equal(cheap.test(first), true);
+    assert.equal(first.decoded, 0);
+    // && stops before the field when the property already fails
+    const second = packet();
+    assert.equal(expensive.test(second), false);
+    assert.equal(second.decoded, 0);
+});
+
+test('reports where an expression is wrong', () => {
+    const error = (source) => {
+        try {
+            compileFilterExpression(source);
+        } catch (caught) {
+            return caught.message;
+        }
+        return null;
+    };
+    assert.equal(error(''), 'empty expression');
+    assert.equal(error('channel =='), 'unexpected end of expression');
+    assert.equal(error('channel == "2'), 'unclosed string at 12');
+    assert.equal(error('$zone == 1'), 'unknown packet property $zone at 1');
+    assert.equal(error('name =~ "bob"'), '=~ needs a /regex/ at 6');
+    assert.equal(error('name =~ /(/'), 'invalid regex at 9: Invalid regular expression: /(/: Unterminated group');
+    assert.equal(error('channel in 2'), '"in" needs a [list] at 9');
+    assert.equal(error('channel in [1, loc]'), 'lists may only hold values, found "loc]" at 16');
+    assert.equal(error('(channel == 1'), 'expected ")" but found end of expression');
+    assert.equal(error('channel == 1 2'), 'unexpected "2" at 14');
+    assert.equal(error('channel # 1'), 'unexpected "#" at 9');
+});
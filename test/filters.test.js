@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { compilePacketPatterns, compilePacketFilters, matchesPacketFilters } = require('../lib/filters');
+const { getDefaults } = require('../lib/config-schema');
+
+const groups = {
+    chat: ['S_CHAT', 'S_WHISPER'],
+    social: ['@chat', 'S_FRIEND_*'],
+    loop: ['@loop'],
+    broken: 'S_CHAT'
+};
+
+test('matches exact names and opcode numbers', () => {
+    const patterns = compilePacketPatterns(['S_CHAT', 59350], groups);
+    assert.equal(patterns.test(100, 'S_CHAT'), true);
+    assert.equal(patterns.test(59350, 'S_OTHER'), true);
+    assert.equal(patterns.test(101, 'S_CHAT_EXTRA'), false);
+});
+
+test('matches globs on the whole name without treating other characters specially', () => {
+    const patterns = compilePacketPatterns(['S_ABNORMALITY_*', 'C_?_TEST', 'S_A.B'], groups);
+    assert.equal(patterns.test(1, 'S_ABNORMALITY_BEGIN'), true);
+    assert.equal(patterns.test(2, 'C_X_TEST'), true);
+    assert.equal(patterns.test(3, 'C_XY_TEST'), false);
+    assert.equal(patterns.test(4, 'XS_ABNORMALITY_BEGIN'), false);
+    assert.equal(patterns.test(5, 'S_AxB'), false);
+    assert.equal(patterns.test(6, 'S_A.B'), true);
+});
+
+test('matches regular expressions with flags, ignoring g and y', () => {
+    const patterns = compilePacketPatterns(['/^s_(spawn|despawn)_/gi'], groups);
+    // With g, a second test of the same name would fail
+    assert.equal(patterns.test(1, 'S_SPAWN_USER'), true);
+    assert.equal(patterns.test(2, 'S_SPAWN_USER'), true);
+    assert.equal(patterns.test(3, 'S_DESPAWN_NPC'), true);
+    assert.equal(patterns.test(4, 'S_USER_SPAWN'), false);
+});
+
+test('expands nested groups', () => {
+    const patterns = compilePacketPatterns(['@social'], groups);
+    assert.equal(patterns.test(1, 'S_WHISPER'), true);
+    assert.equal(patterns.test(2, 'S_FRIEND_LIST'), true);
+    assert.equal(patterns.test(3, 'S_LOGIN'), false);
+});
+
+test('skips invalid entries and reports them', () => {
+    const patterns = compilePacketPatterns(['/(/', '@nope', '@loop', '@broken', 'S_CHAT'], groups);
+    assert.equal(patterns.errors.length, 4);
+    assert.match(patterns.errors[0], /^\/\(\/: Invalid regular expression/);
+    assert.equal(patterns.errors[1], '@nope: unknown group @nope');
+    assert.equal(patterns.errors[2], '@loop: group @loop includes itself');
+    assert.equal(patterns.errors[3], '@broken: group @broken is not a list of patterns');
+    assert.equal(patterns.test(100, 'S_CHAT'), true);
+});
+
+test('a list of only invalid entries is not empty', () => {
+    assert.equal(compilePacketPatterns([], groups).isEmpty, true);
+    assert.equal(compilePacketPatterns(undefined, groups).isEmpty, true);
+    const broken = compilePacketPatterns(['@nope'], groups);
+    assert.equal(broken.isEmpty, false);
+    assert.equal(broken.test(100, 'S_CHAT'), false);
+});
+
+test('re-matches a cached opcode when its name changes', () => {
+    const patterns = compilePacketPatterns(['S_CHAT'], groups);
+    assert.equal(patterns.test(100, 'S_CHAT'), true);
+    assert.equal(patterns.test(100, 'S_OTHER'), false);
+});
+
+test('applies include, exclude and size filters', () => {
+    const filters = compilePacketFilters({
+        includeOpcode: ['@chat', 'S_LOGIN'],
+        excludeOpcode: ['S_WHISPER', '@nope'],
+        minPacketSize: 10,
+        maxPacketSize: 100
+    }, groups);
+    assert.deepEqual(filters.errors, ['excludeOpcode @nope: unknown group @nope']);
+    assert.equal(matchesPacketFilters(filters, 1, 'S_CHAT', 50), true);
+    assert.equal(matchesPacketFilters(filters, 2, 'S_WHISPER', 50), false);
+    assert.equal(matchesPacketFilters(filters, 3, 'S_SPAWN_USER', 50), false);
+    assert.equal(matchesPacketFilters(filters, 1, 'S_CHAT', 9), false);
+    assert.equal(matchesPacketFilters(filters, 1, 'S_CHAT', 101), false);
+});
+
+test('zero sizes and empty lists let everything through', () => {
+    const filters = compilePacketFilters({ includeOpcode: [], excludeOpcode: [], minPacketSize: 0, maxPacketSize: 0 });
+    assert.equal(matchesPacketFilters(filters, 1, 'S_ANY', 100000), true);
+    assert.equal(matchesPacketFilters(null, 1, 'S_ANY', 1), true);
+});
+
+test('the shipped blacklist and packet groups compile without errors', () => {
+    const blacklist = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'blacklist.json'), 'utf8'));
+    const groupNames = Object.keys(getDefaults().packetGroups).map(name => `@${name}`);
+    assert.deepEqual(compilePacketPatterns([...blacklist.packets, ...groupNames], getDefaults().packetGroups).errors, []);
+});
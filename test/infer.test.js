@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inferStructure, formatLayout, formatDefinition, checkDefinition } = require('../lib/infer');
+
+// A packet with a string, an array of int32 and some fixed fields:
+// offset name, count/offset items, int32 counter, 4 floats, uint64 id, bool
+function sample(index, name, items) {
+    const fixed = Buffer.alloc(39);
+    const text = Buffer.from(`${name}\0`, 'utf16le');
+    const arrayOffset = fixed.length + text.length;
+    fixed.writeUInt16LE(fixed.length, 4);
+    fixed.writeUInt16LE(items.length, 6);
+    fixed.writeUInt16LE(items.length > 0 ? arrayOffset : 0, 8);
+    fixed.writeInt32LE(index * 3, 10);
+    [1.5 + index, 100.25 + index, -20.5, 3.75 * (index + 1)].forEach((value, i) => fixed.writeFloatLE(value, 14 + i * 4));
+    fixed.writeBigUInt64LE((1n << 40n) + BigInt(index), 30);
+    fixed.writeUInt8(index % 2, 38);
+    
+    const elements = items.map((value, i) => {
+        const element = Buffer.alloc(8);
+        const offset = arrayOffset + i * 8;
+        element.writeUInt16LE(offset, 0);
+        element.writeUInt16LE(i + 1 < items.length ? offset + 8 : 0, 2);
+        element.writeInt32LE(value, 4);
+        return element;
+    });
+    const data = Buffer.concat([fixed, text, ...elements]);
+    data.writeUInt16LE(data.length, 0);
+    data.writeUInt16LE(1234, 2);
+    return data;
+}
+
+const samples = [sample(0, 'Bob', [1, 2]), sample(1, 'Alice', [5]), sample(2, 'Eve', []), sample(3, 'Zed', [7, 8, 9])];
+
+const types = (inference) => inference.fields.map(field => field.type);
+
+// A packet with the given body after the 4 byte header
+function packet(body) {
+    const data = Buffer.concat([Buffer.alloc(4), body]);
+    data.writeUInt16LE(data.length, 0);
+    return data;
+}
+
+test('finds string and array headers, floats, ids and flags', () => {
+    const inference = inferStructure(samples);
+    assert.equal(inference.samples, 4);
+    assert.equal(inference.minSize, 47);
+    assert.equal(inference.maxSize, 71);
+    assert.equal(inference.tail, 0);
+    assert.deepEqual(formatLayout(inference.fields), [
+        '@0 offset str0',
+        '@2 count array2 (0..3)',
+        '@4 offset array2',
+        '@6 int32 unk6 (0..9)',
+        '@10 vec3 unk10 (plausible floats)',
+        '@22 float unk22 (plausible float)',
+        '@26 uint64 unk26 (id?)',
+        '@34 bool unk34 (bool?)',
+        'string str0 (e.g. "Bob", "Alice", "Eve")',
+        'array array2 (elements of 8 bytes?)',
+        '  @0 int32 unk0 (1..9)'
+    ]);
+});
+
+test('describes varying, constant and two-valued integers', () => {
+    const body = (value, flag) => {
+        const data = Buffer.alloc(7);
+        data.writeInt32LE(value, 0);
+        data.writeInt16LE(7, 4);
+        data.writeUInt8(flag, 6);
+        return packet(data);
+    };
+    assert.deepEqual(formatLayout(inferStructure([body(3, 0), body(12, 1), body(5, 1)]).fields), [
+        '@0 int32 unk0 (3..12)',
+        '@4 int16 unk4 (always 7)',
+        '@6 bool unk6 (bool?)'
+    ]);
+});
+
+test('only takes offsets past the header to printable text for strings', () => {
+    const pointing = (offset, text) => {
+        const body = Buffer.concat([Buffer.alloc(2), Buffer.from(text, 'utf16le')]);
+        body.writeUInt16LE(offset, 0);
+        return packet(body);
+    };
+    assert.equal(types(inferStructure([pointing(6, 'ab\0'), pointing(6, 'cd\0')]))[0], 'offset');
+    assert.ok(!types(inferStructure([pointing(2, 'ab\0'), pointing(2, 'cd\0')])).includes('string'));
+    assert.ok(!types(inferStructure([pointing(6, '\x01\0'), pointing(6, '\x02\0')])).includes('string'));
+    // Empty strings everywhere are not convincing
+    assert.ok(!types(inferStructure([pointing(6, '\0'), pointing(6, '\0')])).includes('string'));
+});
+
+test('writes a draft definition that decodes the samples', () => {
+    const draft = formatDefinition('S_TEST', inferStructure(samples), new Date(0));
+    const lines = draft.trimEnd().split('\n');
+    assert.equal(lines[0], '# Draft definition for S_TEST, inferred from 4 samples (47-71 bytes)');
+    assert.deepEqual(lines.slice(-3), [
+        'string str0 # e.g. "Bob", "Alice", "Eve"',
+        'array array2 # elements of 8 bytes?',
+        '- int32 unk0 # 1..9'
+    ]);
+    assert.equal(checkDefinition(draft, samples), 4);
+    // Only the largest sample has 60 bytes after the header
+    const tooLong = Array.from({ length: 15 }, (_, i) => `int32 field${i}`).join('\n');
+    assert.equal(checkDefinition(tooLong, samples), 1);
+});
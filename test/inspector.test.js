@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const { createInspectorServer } = require('../lib/inspector');
+
+// Filters as the logger compiles them: a packet name to include and a
+// "where" that only knows "size > <n>"
+function compileFilter(filters) {
+    const errors = [];
+    let minSize = 0;
+    if (filters.where) {
+        const match = filters.where.match(/^size > (\d+)$/);
+        if (match) {
+            minSize = Number(match[1]);
+        } else {
+            errors.push(`Error in filter expression: cannot parse "${filters.where}"`);
+        }
+    }
+    const names = filters.includeOpcode;
+    return {
+        test: (packet) => (names.length === 0 || names.includes(packet.name)) && packet.size > minSize,
+        errors
+    };
+}
+
+function start(inspector, port) {
+    return new Promise((resolve, reject) => inspector.start(port, (error, url) => error ? reject(error) : resolve(url)));
+}
+
+// A WebSocket client reading the server's text frames (short, unmasked)
+async function connect(url) {
+    const { port } = new URL(url);
+    const socket = net.connect(Number(port), '127.0.0.1');
+    const messages = [];
+    const waiting = [];
+    let buffer = Buffer.alloc(0);
+    let upgraded = null;
+    const open = new Promise(resolve => { upgraded = resolve; });
+    
+    socket.on('data', (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        if (upgraded) {
+            const end = buffer.indexOf('\r\n\r\n');
+            if (end < 0) return;
+            upgraded();
+            upgraded = null;
+            buffer = buffer.subarray(end + 4);
+        }
+        while (buffer.length >= 2 && buffer.length >= 2 + (buffer[1] & 0x7F)) {
+            const length = buffer[1] & 0x7F;
+            messages.push(JSON.parse(buffer.subarray(2, 2 + length).toString()));
+            buffer = buffer.subarray(2 + length);
+        }
+        while (waiting.length > 0 && messages.length > 0) waiting.shift()(messages.shift());
+    });
+    
+    await new Promise(resolve => socket.once('connect', resolve));
+    socket.write([
+        'GET /packets HTTP/1.1',
+        `Host: 127.0.0.1:${port}`,
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+        'Sec-WebSocket-Version: 13',
+        '', ''
+    ].join('\r\n'));
+    await open;
+    
+    return {
+        socket,
+        // The next message from the server
+        receive: () => new Promise(resolve => messages.length > 0 ? resolve(messages.shift()) : waiting.push(resolve)),
+        // A masked text frame, as browsers send them
+        send(text) {
+            const payload = Buffer.from(text);
+            const mask = crypto.randomBytes(4);
+            socket.write(Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, payload.map((byte, i) => byte ^ mask[i % 4])]));
+        }
+    };
+}
+
+test('a port in use is reported to start() and later errors to onError', async (t) => {
+    const servers = [];
+    const createServer = http.createServer;
+    t.mock.method(http, 'createServer', (...args) => {
+        const server = createServer(...args);
+        servers.push(server);
+        return server;
+    });
+    const errors = [];
+    const inspector = createInspectorServer({ compileFilter, onError: (error) => errors.push(error.message) });
+    const blocked = createInspectorServer({ compileFilter });
+    t.after(() => {
+        inspector.stop();
+        blocked.stop();
+    });
+    
+    const url = await start(inspector, 0);
+    await assert.rejects(start(blocked, Number(new URL(url).port)), { code: 'EADDRINUSE' });
+    assert.equal(blocked.isRunning(), false);
+    assert.deepEqual(errors, []);
+    
+    servers[0].emit('error', new Error('accept failed'));
+    servers[0].emit('error', new Error('accept failed again'));
+    assert.deepEqual(errors, ['accept failed', 'accept failed again']);
+    assert.equal(await start(inspector, 0), url);
+});
+
+test('pages only get the packets their filters pass, and see the filters that were ignored', async (t) => {
+    const inspector = createInspectorServer({ compileFilter });
+    t.after(() => inspector.stop());
+    const client = await connect(await start(inspector, 0));
+    t.after(() => client.socket.destroy());
+    
+    client.send(JSON.stringify({ type: 'filters', filters: { includeOpcode: ['S_CHAT'], where: 'size > 10' } }));
+    assert.deepEqual(await client.receive(), { type: 'filters', errors: [] });
+    assert.equal(inspector.getClientCount(), 1);
+    
+    const built = [];
+    const send = (name, size) => inspector.broadcast({ name, size }, () => {
+        built.push(name);
+        return { name, size };
+    });
+    send('S_CHAT', 5);
+    send('S_LOGIN', 50);
+    send('S_CHAT', 50);
+    assert.deepEqual(await client.receive(), { type: 'packet', name: 'S_CHAT', size: 50 });
+    assert.deepEqual(built, ['S_CHAT']);
+    
+    client.send(JSON.stringify({ type: 'filters', filters: { includeOpcode: [], where: 'size >' } }));
+    assert.deepEqual(await client.receive(), { type: 'filters', errors: ['Error in filter expression: cannot parse "size >"'] });
+    send('S_LOGIN', 1);
+    assert.deepEqual(await client.receive(), { type: 'packet', name: 'S_LOGIN', size: 1 });
+});
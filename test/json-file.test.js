@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseJson, readJsonFile } = require('../lib/json-file');
+
+// The message parseJson throws for text
+function errorOf(text) {
+    try {
+        parseJson(text);
+    } catch (error) {
+        assert.ok(error instanceof SyntaxError);
+        return error.message;
+    }
+    assert.fail(`parsed ${JSON.stringify(text)}`);
+}
+
+test('parses valid JSON as JSON.parse does', () => {
+    assert.deepEqual(parseJson('{"a": [1, 2, {"b": null}]}'), { a: [1, 2, { b: null }] });
+});
+
+test('reports the line and column of syntax errors', () => {
+    assert.match(errorOf('{\n  "a": 1,\n}'), /^line 3, column 1: /);
+    assert.match(errorOf('[1, 2'), /^line 1, column 6: /);
+    assert.match(errorOf('{\n  "text": "not closed\n'), /^line 2, column \d+: /);
+    // Errors V8 reports with an excerpt instead of a position
+    assert.match(errorOf('{\n  "a": 1,\n  "b": tru\n}'), /^line 3, column 11: Unexpected token/);
+    // V8's own position and excerpt are left out
+    assert.doesNotMatch(errorOf('{\n  "a": 1,\n}'), /position|is not valid JSON/);
+    assert.doesNotMatch(errorOf('{\n  "a": 1,\n  "b": tru\n}'), /\.\.\.|is not valid JSON/);
+});
+
+test('reads files with their text', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-json-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, '{"enabled": true}');
+    assert.deepEqual(readJsonFile(file), { data: { enabled: true }, text: '{"enabled": true}' });
+    assert.throws(() => readJsonFile(path.join(dir, 'missing.json')), { code: 'ENOENT' });
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compilePairs, createLatencyTracker, formatLatencySummary } = require('../lib/latency');
+
+const groups = { ping: ['C_REQUEST_GAMESTAT_PING', 'S_RESPONSE_GAMESTAT_PONG'] };
+
+function tracker(definitions, options) {
+    const { pairs, errors } = compilePairs(definitions, groups);
+    assert.deepEqual(errors, []);
+    return createLatencyTracker(pairs, options);
+}
+
+const ping = { name: 'ping', request: 'C_REQUEST_GAMESTAT_PING', response: 'S_RESPONSE_GAMESTAT_PONG' };
+const skill = { name: 'skill', request: 'C_START_*SKILL', response: 'S_ACTION_STAGE', key: 'skill', selfKey: 'gameId' };
+
+test('measures the round trip of a sent request and its received answer', () => {
+    const latency = tracker([ping]);
+    assert.equal(latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 1000).latency, null);
+    const { latency: measured } = latency.handlePacket('RECEIVED', 2, 'S_RESPONSE_GAMESTAT_PONG', 1042.5);
+    assert.deepEqual(measured, { pair: 'ping', rttMs: 42.5 });
+    assert.equal(latency.list()[0].count, 1);
+    assert.equal(latency.getPendingCount(), 0);
+});
+
+test('ignores requests received and answers sent', () => {
+    const latency = tracker([ping]);
+    latency.handlePacket('RECEIVED', 1, 'C_REQUEST_GAMESTAT_PING', 1000);
+    assert.equal(latency.getPendingCount(), 0);
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 1000);
+    assert.equal(latency.handlePacket('SENT', 2, 'S_RESPONSE_GAMESTAT_PONG', 1010).latency, null);
+    assert.equal(latency.getPendingCount(), 1);
+});
+
+test('answers the oldest open request first', () => {
+    const latency = tracker([ping]);
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 1000);
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 1100);
+    assert.equal(latency.handlePacket('RECEIVED', 2, 'S_RESPONSE_GAMESTAT_PONG', 1150).latency.rttMs, 150);
+    assert.equal(latency.handlePacket('RECEIVED', 2, 'S_RESPONSE_GAMESTAT_PONG', 1160).latency.rttMs, 60);
+});
+
+test('pairs keyed requests with the answer about the same key and about the player', () => {
+    let selfId = null;
+    const latency = tracker([skill], { getSelfId: () => selfId });
+    const request = (id, time) => latency.handlePacket('SENT', 1, 'C_START_SKILL', time, () => ({ skill: { id, type: 1, npc: false, reserved: 0 } }));
+    const answer = (id, gameId, time) => latency.handlePacket('RECEIVED', 2, 'S_ACTION_STAGE', time, () => ({ gameId, skill: { id, type: 1, npc: false, reserved: 0 } })).latency;
+    
+    request(100, 1000);
+    request(200, 1010);
+    // Until the player's gameId is known no answer counts
+    assert.equal(answer(200, 5n, 1050), null);
+    selfId = 5n;
+    // Answers about someone else don't count either
+    assert.equal(answer(200, 6n, 1060), null);
+    assert.deepEqual(answer(200, 5n, 1070), { pair: 'skill', rttMs: 60 });
+    assert.deepEqual(answer(100, 5n, 1080), { pair: 'skill', rttMs: 80 });
+    assert.equal(answer(100, 5n, 1090), null);
+});
+
+test('requests without their key field are not tracked', () => {
+    const latency = tracker([skill], { getSelfId: () => 5n });
+    latency.handlePacket('SENT', 1, 'C_START_SKILL', 1000, () => null);
+    latency.handlePacket('SENT', 1, 'C_START_SKILL', 1000, () => ({ other: 1 }));
+    assert.equal(latency.getPendingCount(), 0);
+});
+
+test('decodes only packets of keyed pairs, once per packet', () => {
+    let decoded = 0;
+    const latency = tracker([ping, skill], { getSelfId: () => 5n });
+    const decode = () => {
+        decoded++;
+        return { skill: 1 };
+    };
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 1000, decode);
+    assert.equal(decoded, 0);
+    latency.handlePacket('SENT', 3, 'C_START_SKILL', 1000, decode);
+    assert.equal(decoded, 1);
+});
+
+test('gives up on requests after the timeout and beyond maxPending', () => {
+    const latency = tracker([ping, { ...ping, name: 'fast', timeoutMs: 50 }], { timeoutMs: 1000, maxPending: 2 });
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 0);
+    latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 10);
+    const { timedOut } = latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', 20);
+    assert.deepEqual(timedOut, [
+        { pair: 'ping', name: 'C_REQUEST_GAMESTAT_PING', waitedMs: 20 },
+        { pair: 'fast', name: 'C_REQUEST_GAMESTAT_PING', waitedMs: 20 }
+    ]);
+    
+    const later = latency.handlePacket('RECEIVED', 9, 'S_OTHER', 100).timedOut;
+    assert.deepEqual(later.map(item => `${item.pair} ${item.waitedMs}`), ['fast 90', 'fast 80']);
+    assert.deepEqual(latency.list().map(summary => [summary.name, summary.timeouts, summary.pending]), [['ping', 1, 2], ['fast', 3, 0]]);
+    
+    latency.reset();
+    assert.equal(latency.getPendingCount(), 0);
+    assert.equal(latency.list()[0].timeouts, 0);
+});
+
+test('summarizes percentiles over the kept samples', () => {
+    const latency = tracker([ping], { samples: 10 });
+    for (let i = 1; i <= 20; i++) {
+        latency.handlePacket('SENT', 1, 'C_REQUEST_GAMESTAT_PING', i * 1000);
+        latency.handlePacket('RECEIVED', 2, 'S_RESPONSE_GAMESTAT_PONG', i * 1000 + i);
+    }
+    const [summary] = latency.list();
+    // min, max and the average cover every sample, percentiles the last 10
+    assert.deepEqual(summary, { name: 'ping', count: 20, timeouts: 0, pending: 0, min: 1, avg: 10.5, max: 20, p50: 15, p90: 19, p99: 20 });
+    assert.equal(formatLatencySummary(summary), 'ping: 20 answered, p50 15.0 ms, p90 19.0 ms, p99 20.0 ms (min 1.0, avg 10.5, max 20.0)');
+    assert.equal(formatLatencySummary({ name: 'idle', count: 0, timeouts: 2, pending: 1 }), 'idle: 0 answered, 2 timed out, 1 waiting');
+});
+
+test('reports invalid pair rules and keeps the valid ones', () => {
+    const { pairs, errors } = compilePairs([
+        ping,
+        { name: 'no response', request: 'C_A' },
+        { request: 'C_A', response: '@nope' },
+        { name: 'bad key', request: 'C_A', response: 'S_A', responseKey: 'id' },
+        { name: 'bad timeout', request: 'C_A', response: 'S_A', timeoutMs: 0 },
+        { name: 'groups', request: '@ping', response: ['S_A', '/^S_B/'] }
+    ], groups);
+    assert.deepEqual(pairs.map(pair => pair.name), ['ping', 'groups']);
+    assert.deepEqual(errors, [
+        { name: 'no response', message: 'needs a response packet' },
+        { name: 'pair 3', message: 'response @nope: unknown group @nope' },
+        { name: 'bad key', message: 'responseKey needs a key' },
+        { name: 'bad timeout', message: 'timeoutMs must be a positive number of milliseconds' }
+    ]);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const logFiles = require('../lib/log-files');
+
+function createTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A writer into dir with a header per segment and a clock the test controls.
+// closed resolves with the closed segments once count of them are on disk.
+function createWriter(dir, rotation, count) {
+    const clock = { time: 0 };
+    const closedFiles = [];
+    let finish;
+    const closed = new Promise(resolve => { finish = resolve; });
+    const writer = logFiles.createSegmentWriter({
+        getRotation: () => rotation,
+        onOpen: (previousFile) => writer.write(`header ${previousFile ? path.basename(previousFile) : '-'}\n`),
+        onClosed: (file) => {
+            closedFiles.push(path.basename(file));
+            if (closedFiles.length === count) finish(closedFiles);
+        },
+        now: () => clock.time
+    });
+    writer.start(index => path.join(dir, `packet-log-test${index > 1 ? `.${index}` : ''}.log`));
+    return { writer, clock, closed };
+}
+
+const read = (dir, name) => fs.readFileSync(path.join(dir, name), 'utf8');
+
+test('rotates to a new segment when the next entry would exceed maxFileSize', async (t) => {
+    const dir = createTempDir(t);
+    const { writer, closed } = createWriter(dir, { maxFileSize: 20, intervalMinutes: 0 }, 2);
+    writer.writeEntry('entry 1\n');
+    writer.writeEntry('entry 2\n');
+    assert.equal(writer.getIndex(), 2);
+    assert.equal(path.basename(writer.getFile()), 'packet-log-test.2.log');
+    writer.close();
+    assert.equal(writer.isOpen(), false);
+    
+    assert.deepEqual(await closed, ['packet-log-test.log', 'packet-log-test.2.log']);
+    assert.equal(read(dir, 'packet-log-test.log'), 'header -\nentry 1\n');
+    assert.equal(read(dir, 'packet-log-test.2.log'), 'header packet-log-test.log\nentry 2\n');
+});
+
+test('rotates when a segment is older than intervalMinutes', async (t) => {
+    const dir = createTempDir(t);
+    const { writer, clock, closed } = createWriter(dir, { maxFileSize: 0, intervalMinutes: 5 }, 2);
+    writer.writeEntry('entry 1\n');
+    clock.time = 4 * 60000;
+    writer.writeEntry('entry 2\n');
+    assert.equal(writer.getIndex(), 1);
+    clock.time = 5 * 60000;
+    writer.writeEntry('entry 3\n');
+    assert.equal(writer.getIndex(), 2);
+    writer.close();
+    
+    await closed;
+    assert.equal(read(dir, 'packet-log-test.log'), 'header -\nentry 1\nentry 2\n');
+    assert.equal(read(dir, 'packet-log-test.2.log'), 'header packet-log-test.log\nentry 3\n');
+});
+
+test('an entry larger than maxFileSize gets a segment of its own instead of rotating forever', async (t) => {
+    const dir = createTempDir(t);
+    const { writer, closed } = createWriter(dir, { maxFileSize: 10, intervalMinutes: 0 }, 3);
+    const large = `${'x'.repeat(40)}\n`;
+    writer.writeEntry(large);
+    writer.writeEntry(large);
+    writer.writeEntry('small\n');
+    assert.equal(writer.getIndex(), 3);
+    writer.close();
+    
+    await closed;
+    assert.equal(read(dir, 'packet-log-test.log'), `header -\n${large}`);
+    assert.equal(read(dir, 'packet-log-test.2.log'), `header packet-log-test.log\n${large}`);
+    assert.equal(read(dir, 'packet-log-test.3.log'), 'header packet-log-test.2.log\nsmall\n');
+});
+
+test('compressLogFile replaces a log with its gzipped copy', async (t) => {
+    const dir = createTempDir(t);
+    const file = path.join(dir, 'packet-log-test.log');
+    const content = 'entry\n'.repeat(1000);
+    fs.writeFileSync(file, content);
+    
+    await new Promise((resolve, reject) => logFiles.compressLogFile(file, error => error ? reject(error) : resolve()));
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(zlib.gunzipSync(fs.readFileSync(`${file}.gz`)).toString(), content);
+    
+    const missing = path.join(dir, 'packet-log-missing.log');
+    const error = await new Promise(resolve => logFiles.compressLogFile(missing, resolve));
+    assert.equal(error.code, 'ENOENT');
+});
+
+// Files in dir from [name, size, days since they were modified]
+function createLogs(dir, logs) {
+    const now = Date.now();
+    for (const [name, size, days] of logs) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, 'x'.repeat(size));
+        const time = new Date(now - days * 86400000);
+        fs.utimesSync(file, time, time);
+    }
+    return now;
+}
+
+const remaining = (dir) => logFiles.listLogFiles(dir).sort();
+
+test('listLogFiles only lists the logs the module writes', (t) => {
+    const dir = createTempDir(t);
+    createLogs(dir, [['packet-log-a.log', 1, 0], ['packet-trigger-b.2.jsonl.gz', 1, 0], ['packet-log-c.pcapng', 1, 0], ['notes.txt', 1, 0], ['packet-log-d.tmp', 1, 0]]);
+    assert.deepEqual(remaining(dir), ['packet-log-a.log', 'packet-log-c.pcapng', 'packet-trigger-b.2.jsonl.gz']);
+});
+
+test('pruneLogs keeps the newest maxFiles logs', (t) => {
+    const dir = createTempDir(t);
+    const now = createLogs(dir, [['packet-log-a.log', 10, 3], ['packet-log-b.log.gz', 10, 2], ['packet-log-c.log', 10, 1], ['notes.txt', 10, 9]]);
+    const deleted = logFiles.pruneLogs(dir, { maxFiles: 2 }, null, now);
+    assert.deepEqual(deleted.map(file => path.basename(file)), ['packet-log-a.log']);
+    assert.deepEqual(remaining(dir), ['packet-log-b.log.gz', 'packet-log-c.log']);
+    assert.ok(fs.existsSync(path.join(dir, 'notes.txt')));
+});
+
+test('pruneLogs deletes the oldest logs beyond maxTotalSize', (t) => {
+    const dir = createTempDir(t);
+    const now = createLogs(dir, [['packet-log-a.log', 50, 3], ['packet-log-b.log', 30, 2], ['packet-log-c.log', 40, 1]]);
+    logFiles.pruneLogs(dir, { maxTotalSize: 75 }, null, now);
+    assert.deepEqual(remaining(dir), ['packet-log-b.log', 'packet-log-c.log']);
+});
+
+test('pruneLogs deletes logs older than maxAgeDays', (t) => {
+    const dir = createTempDir(t);
+    const now = createLogs(dir, [['packet-log-a.log', 1, 10], ['packet-log-b.log', 1, 6], ['packet-log-c.log', 1, 1]]);
+    logFiles.pruneLogs(dir, { maxAgeDays: 7 }, null, now);
+    assert.deepEqual(remaining(dir), ['packet-log-b.log', 'packet-log-c.log']);
+    assert.deepEqual(logFiles.pruneLogs(dir, { maxFiles: 0, maxTotalSize: 0, maxAgeDays: 0 }, null, now), []);
+});
+
+test('pruneLogs counts the active segment but never deletes it', (t) => {
+    const dir = createTempDir(t);
+    const now = createLogs(dir, [['packet-log-a.log', 10, 2], ['packet-log-b.log', 10, 1], ['packet-log-c.log', 100, 5]]);
+    const active = { file: path.join(dir, 'packet-log-c.log'), size: 100 };
+    logFiles.pruneLogs(dir, { maxFiles: 2, maxTotalSize: 50, maxAgeDays: 3 }, active, now);
+    assert.deepEqual(remaining(dir), ['packet-log-c.log']);
+});
+
+test('pruneLogs deletes earlier segments first when they were modified at the same time', (t) => {
+    const dir = createTempDir(t);
+    const now = createLogs(dir, [['packet-log-a.log', 1, 1], ['packet-log-a.3.log', 1, 1], ['packet-log-a.2.log', 1, 1], ['packet-log-a.10.log', 1, 1]]);
+    const deleted = logFiles.pruneLogs(dir, { maxFiles: 2 }, null, now);
+    assert.deepEqual(deleted.map(file => path.basename(file)), ['packet-log-a.2.log', 'packet-log-a.log']);
+    assert.deepEqual(remaining(dir), ['packet-log-a.10.log', 'packet-log-a.3.log']);
+});
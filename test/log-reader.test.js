@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { readLogFile, readLogFileAsync, parseTextLine, parseJsonLine } = require('../lib/log-reader');
+const { formatTextEntry, formatJsonEntry } = require('../lib/output');
+
+const entry = {
+    time: '2026-10-19T14:05:01.123Z',
+    monotonicMs: 1500.25,
+    direction: 'RECEIVED',
+    opcode: 100,
+    name: 'S_CHAT',
+    size: 6,
+    data: Buffer.from('060064000102', 'hex'),
+    flags: { modified: true },
+    parsedData: { format: 'channel {channel}', fields: { channel: 2, gameId: 2n ** 64n - 1n } }
+};
+
+// The output settings of the shipped config.json
+const defaultOutput = {
+    includeTimestamp: true,
+    includeDirection: true,
+    includeOpcode: true,
+    includeSize: true,
+    includeHexData: true,
+    includeParsedData: false,
+    format: 'text',
+    payloadEncoding: 'hex',
+    hexStyle: 'full',
+    hexBytes: 64,
+    packetStyles: {}
+};
+
+const options = (output = {}) => ({ output: { ...defaultOutput, ...output }, showOpcodeNames: true, debug: false });
+
+test('reads back what the text format writes', () => {
+    const line = formatTextEntry(entry, options());
+    assert.equal(line, '[2026-10-19T14:05:01.123Z] [RECEIVED] [MODIFIED] [S_CHAT (100)] [6 bytes] [060064000102] | channel 2\n');
+    
+    const parsed = parseTextLine(line.trimEnd());
+    assert.equal(parsed.time, entry.time);
+    assert.equal(parsed.direction, 'RECEIVED');
+    assert.equal(parsed.name, 'S_CHAT');
+    assert.equal(parsed.opcode, 100);
+    assert.equal(parsed.size, 6);
+    assert.equal(parsed.data.toString('hex'), '060064000102');
+    assert.deepEqual(parsed.flags, { modified: true });
+    assert.equal(parsed.description, 'channel 2');
+});
+
+test('reads text lines written with parts left out', () => {
+    const line = formatTextEntry(entry, { ...options({ includeTimestamp: false, includeSize: false, includeHexData: false }), showOpcodeNames: false });
+    assert.equal(line, '[RECEIVED] [MODIFIED] [100]  | channel 2\n');
+    const parsed = parseTextLine(line.trimEnd());
+    assert.equal(parsed.opcode, 100);
+    assert.equal(parsed.name, null);
+    assert.equal(parsed.data, null);
+    assert.equal(parsed.description, 'channel 2');
+    assert.equal(parseTextLine('    field channel: 1 -> 2'), null);
+    assert.equal(parseTextLine('[2026-10-19T14:05:01.123Z] Packet Log Started'), null);
+});
+
+test('reads back what the JSONL format writes, in both payload encodings', () => {
+    for (const payloadEncoding of ['hex', 'base64']) {
+        const parsed = parseJsonLine(formatJsonEntry(entry, options({ payloadEncoding })));
+        assert.equal(parsed.time, entry.time);
+        assert.equal(parsed.monotonicMs, 1500.25);
+        assert.equal(parsed.name, 'S_CHAT');
+        assert.equal(parsed.data.toString('hex'), '060064000102');
+        assert.deepEqual(parsed.flags, { fake: false, modified: true, blocked: false });
+        assert.equal(parsed.description, 'channel 2');
+        assert.deepEqual(parsed.fields, { channel: 2, gameId: '18446744073709551615' });
+    }
+    assert.equal(parseJsonLine('{"type":"header","version":1}'), null);
+    assert.equal(parseJsonLine('{"type":"packet"'), null);
+});
+
+test('marks truncated JSONL payloads and leaves hidden ones out', () => {
+    const truncated = JSON.parse(formatJsonEntry(entry, options({ hexStyle: 'truncate', hexBytes: 2 })));
+    assert.equal(truncated.payload, '0600');
+    assert.equal(truncated.truncated, true);
+    const hidden = JSON.parse(formatJsonEntry(entry, options({ includeHexData: false })));
+    assert.equal('payload' in hidden, false);
+});
+
+test('detects the format of whole files, gzipped or not', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const text = `[${entry.time}] Packet Log Started\n` + formatTextEntry(entry, options()) + formatTextEntry({ ...entry, direction: 'SENT' }, options());
+    const jsonl = '{"type":"header"}\n' + formatJsonEntry(entry, options());
+    fs.writeFileSync(path.join(dir, 'a.log'), text);
+    fs.writeFileSync(path.join(dir, 'b.jsonl.gz'), zlib.gzipSync(jsonl));
+    
+    const textLog = readLogFile(path.join(dir, 'a.log'));
+    assert.equal(textLog.format, 'text');
+    assert.deepEqual(textLog.entries.map(item => [item.line, item.direction]), [[2, 'RECEIVED'], [3, 'SENT']]);
+    
+    const jsonLog = readLogFile(path.join(dir, 'b.jsonl.gz'));
+    assert.equal(jsonLog.format, 'jsonl');
+    assert.deepEqual(jsonLog.entries.map(item => item.line), [2]);
+});
+
+test('streams logs in chunks with the same result, up to a size limit', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-logs-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    // Large enough for lines to be split across read chunks
+    const lines = Array.from({ length: 3000 }, (_, i) => formatTextEntry({ ...entry, opcode: i, name: `S_TEST_${i}` }, options()));
+    const text = `[${entry.time}] Packet Log Started\n` + lines.join('');
+    const jsonl = '{"type":"header"}\n' + lines.map((line, i) => formatJsonEntry({ ...entry, opcode: i }, options())).join('');
+    fs.writeFileSync(path.join(dir, 'a.log'), text);
+    fs.writeFileSync(path.join(dir, 'b.jsonl.gz'), zlib.gzipSync(jsonl));
+    
+    for (const name of ['a.log', 'b.jsonl.gz']) {
+        const file = path.join(dir, name);
+        const streamed = await readLogFileAsync(file);
+        assert.equal(streamed.entries.length, 3000);
+        assert.deepEqual(streamed.entries.map(item => item.opcode), lines.map((line, i) => i));
+        assert.deepEqual(streamed, readLogFile(file));
+    }
+    
+    await assert.rejects(readLogFileAsync(path.join(dir, 'b.jsonl.gz'), { maxBytes: 65536 }), /b\.jsonl\.gz is larger than 65536 bytes/);
+    await assert.rejects(readLogFileAsync(path.join(dir, 'missing.log')), { code: 'ENOENT' });
+});
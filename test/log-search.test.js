@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseSearchQuery, indexLogEntries, updateLogIndex, searchLogs, formatSearchHits } = require('../lib/log-search');
+
+const groups = { chat: ['S_CHAT', 'S_WHISPER'] };
+
+// Entries as readLogFile returns them, with the decoded fields alongside
+const packet = (line, time, name, opcode, fields = null) => ({ line, time, direction: 'RECEIVED', opcode, name, size: 10, description: null, fields });
+const decode = (entry) => entry.fields;
+
+const logA = [
+    packet(1, '2026-10-19T13:59:00.000Z', 'S_LOGIN', 1, { name: 'Bob' }),
+    packet(2, '2026-10-19T14:00:00.000Z', 'S_LOAD_TOPO', 2, { zone: 7001 }),
+    packet(3, '2026-10-19T14:00:01.000Z', 'S_CHAT', 100, { channel: 2 }),
+    packet(4, '2026-10-19T14:00:02.000Z', 'S_SPAWN_USER', 102),
+    packet(5, '2026-10-19T14:05:00.000Z', 'S_CHAT', 100, { channel: 0 })
+];
+const logB = [
+    packet(1, '2026-10-20T09:00:00.000Z', 'S_LOGIN', 1, { name: 'Alice' }),
+    packet(2, '2026-10-20T09:00:01.000Z', 'S_WHISPER', 103, { channel: 2 })
+];
+
+test('parses patterns, options and a where expression', () => {
+    const query = parseSearchQuery('@chat S_LOGIN from:2026-10-19T14:00 to:2026-10-19 char:Bob zone:7001 context:5 where channel == 2', groups);
+    assert.equal(query.packets.test(103, 'S_WHISPER'), true);
+    assert.equal(query.packets.test(1, 'S_LOGIN'), true);
+    assert.equal(query.from, Date.parse('2026-10-19T14:00:00Z'));
+    assert.equal(query.to, Date.parse('2026-10-20T00:00:00Z'));
+    assert.equal(query.character, 'bob');
+    assert.equal(query.zone, 7001);
+    assert.equal(query.context, 5);
+    assert.equal(query.where.source, 'channel == 2');
+});
+
+test('time ranges end after the part that was written and respect zones', () => {
+    assert.equal(parseSearchQuery('to:2026-10-19T14:05').to, Date.parse('2026-10-19T14:06:00Z'));
+    assert.equal(parseSearchQuery('to:2026-10-19T14:05:30').to, Date.parse('2026-10-19T14:05:31Z'));
+    assert.equal(parseSearchQuery('from:2026-10-19T14:05+02:00').from, Date.parse('2026-10-19T12:05:00Z'));
+    assert.equal(parseSearchQuery('S_CHAT', groups, { context: 0 }).context, 0);
+});
+
+test('rejects invalid queries with a message', () => {
+    assert.throws(() => parseSearchQuery('', groups), /nothing to search for/);
+    assert.throws(() => parseSearchQuery('context:3', groups), /nothing to search for/);
+    assert.throws(() => parseSearchQuery('S_CHAT where', groups), /where: needs an expression/);
+    assert.throws(() => parseSearchQuery('where channel ==', groups), /where: unexpected end of expression/);
+    assert.throws(() => parseSearchQuery('from:yesterday', groups), /"yesterday" is not a time/);
+    assert.throws(() => parseSearchQuery('zone:abc', groups), /zone: expects a zone number/);
+    assert.throws(() => parseSearchQuery('zone:', groups), /zone: needs a value/);
+    assert.throws(() => parseSearchQuery('@nope', groups), /@nope: unknown group @nope/);
+});
+
+test('"where" only starts an expression as a word of its own', () => {
+    const query = parseSearchQuery('S_NOWHERE', groups);
+    assert.equal(query.where, null);
+    assert.equal(query.packets.test(1, 'S_NOWHERE'), true);
+});
+
+test('indexes opcodes, times, zones and characters', () => {
+    const index = indexLogEntries(logA, decode);
+    assert.equal(index.packets, 5);
+    assert.deepEqual(index.opcodes[100], { name: 'S_CHAT', count: 2 });
+    assert.equal(index.firstTime, Date.parse('2026-10-19T13:59:00Z'));
+    assert.equal(index.lastTime, Date.parse('2026-10-19T14:05:00Z'));
+    assert.deepEqual(index.zones, [7001]);
+    assert.deepEqual(index.characters, ['Bob']);
+});
+
+test('searches only logs that can have hits and keeps the index up to date', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-search-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const logs = { 'a.log': logA, 'b.log': logB };
+    const files = Object.keys(logs).map(name => path.join(dir, name));
+    files.forEach(file => fs.writeFileSync(file, path.basename(file)));
+    const reads = [];
+    const readEntries = (file) => {
+        reads.push(path.basename(file));
+        return logs[path.basename(file)];
+    };
+    const indexFile = path.join(dir, '.search-index.json');
+    
+    const { index, errors } = await updateLogIndex(indexFile, files, readEntries, decode);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(Object.keys(index), ['a.log', 'b.log']);
+    assert.equal(fs.existsSync(indexFile), true);
+    
+    // Unchanged logs are not read again for the index
+    reads.length = 0;
+    assert.deepEqual((await updateLogIndex(indexFile, files, readEntries, decode)).index, index);
+    assert.deepEqual(reads, []);
+    
+    const query = parseSearchQuery('@chat character:bob context:1 where channel == 2', groups);
+    const result = await searchLogs(files, index, query, { readEntries, decode });
+    assert.deepEqual(reads, ['a.log']);
+    assert.equal(result.filesSearched, 1);
+    assert.equal(result.hits.length, 1);
+    const [hit] = result.hits;
+    assert.equal(hit.entry.line, 3);
+    assert.equal(hit.zone, 7001);
+    assert.equal(hit.character, 'Bob');
+    assert.deepEqual([...hit.before, ...hit.after].map(entry => entry.line), [2, 4]);
+    
+    assert.deepEqual(formatSearchHits(result), [
+        '1 hits, 1 logs searched',
+        'a.log:3 (character Bob, zone 7001)',
+        '    2 2026-10-19T14:00:00.000Z RECEIVED S_LOAD_TOPO (2) 10 bytes',
+        '  > 3 2026-10-19T14:00:01.000Z RECEIVED S_CHAT (100) 10 bytes',
+        '    4 2026-10-19T14:00:02.000Z RECEIVED S_SPAWN_USER (102) 10 bytes'
+    ]);
+});
+
+test('stops at maxHits and says so', async () => {
+    const index = { 'a.log': indexLogEntries(logA, decode) };
+    const result = await searchLogs(['a.log'], index, parseSearchQuery('S_CHAT context:0', groups), { readEntries: () => logA, decode, maxHits: 1 });
+    assert.equal(result.truncated, true);
+    assert.equal(result.hits.length, 1);
+    assert.equal(formatSearchHits(result)[0], '1+ hits, 1 logs searched');
+    
+    const all = await searchLogs(['a.log'], index, parseSearchQuery('S_CHAT to:2026-10-19T14:05', groups), { readEntries: () => logA, decode });
+    assert.equal(all.hits.length, 2);
+    assert.equal(formatSearchHits(all, { maxHits: 1 }).pop(), '... and 1 more hits');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createModificationTracker } = require('../lib/modifications');
+
+// A dispatch like the proxy's: hooks run in order, a hook returning false
+// silences the packet, and the last hooks are picked by the silenced filter.
+// modules(code, data) runs the other modules' hooks and returns their result.
+function createDispatch(tracker, modules, wire) {
+    return function dispatch(code, data, fromServer = true, fake = false) {
+        tracker.first(code, data, fromServer, fake);
+        const result = modules(code, data, dispatch);
+        if (result === false) {
+            tracker.blocked(code, fromServer);
+            return;
+        }
+        const final = Buffer.isBuffer(result) ? result : data;
+        tracker.last(code, final, fromServer);
+        wire.push(code);
+    };
+}
+
+// Captures as [code, 'blocked' | 'modified' | 'same']
+function capture() {
+    const log = [];
+    const tracker = createModificationTracker((packet, finalData) => {
+        log.push([packet.code, finalData === null ? 'blocked' : finalData.equals(packet.data) ? 'same' : 'modified']);
+    });
+    return { log, tracker };
+}
+
+test('logs blocked packets in the order they were dispatched', () => {
+    const { log, tracker } = capture();
+    const wire = [];
+    const dispatch = createDispatch(tracker, (code) => code === 1 ? false : undefined, wire);
+    dispatch(1, Buffer.from([1]));
+    dispatch(2, Buffer.from([2]));
+    dispatch(1, Buffer.from([1]));
+    assert.deepEqual(log, [[1, 'blocked'], [2, 'same'], [1, 'blocked']]);
+    assert.deepEqual(wire, [2]);
+    assert.equal(tracker.getPendingCount(), 0);
+});
+
+test('packets sent from another packet\'s hooks are logged first, as they go out first', () => {
+    const { log, tracker } = capture();
+    const wire = [];
+    const dispatch = createDispatch(tracker, (code, data, send) => {
+        if (code === 1) {
+            send(3, Buffer.from([3]), true, true);
+            return false;
+        }
+        if (code === 2 && data[0] === 0) {
+            // The same opcode nested inside itself, modified on the way out
+            send(2, Buffer.from([9]), true, true);
+            return Buffer.from([5]);
+        }
+    }, wire);
+    dispatch(1, Buffer.from([1]));
+    dispatch(2, Buffer.from([0]));
+    assert.deepEqual(log, [[3, 'same'], [1, 'blocked'], [2, 'same'], [2, 'modified']]);
+    assert.deepEqual(wire, [3, 2, 2]);
+});
+
+test('last hooks without a first one are reported, and clear forgets pending packets', () => {
+    const { log, tracker } = capture();
+    assert.equal(tracker.last(1, Buffer.from([1]), true), false);
+    assert.equal(tracker.blocked(1, true), false);
+    tracker.first(1, Buffer.from([1]), true, false);
+    // Same opcode, other direction
+    assert.equal(tracker.last(1, Buffer.from([1]), false), false);
+    tracker.clear();
+    assert.equal(tracker.last(1, Buffer.from([1]), true), false);
+    assert.deepEqual(log, []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOpcodeMap, findMapFiles, fromDispatchMap, mergeOpcodeMaps } = require('../lib/opcodes');
+
+test('parses "NAME number" lines and skips everything else', () => {
+    const map = parseOpcodeMap('S_CHAT 100\r\n  C_CHAT\t101  \n\nbroken\nS_BAD x\nS_LOGIN 0\n');
+    assert.deepEqual(map, { 0: 'S_LOGIN', 100: 'S_CHAT', 101: 'C_CHAT' });
+});
+
+test('finds the map files of a version in directory order, the newest without one', (t) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-maps-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const [first, second] = ['first', 'second'].map(name => path.join(root, name));
+    fs.mkdirSync(first);
+    fs.mkdirSync(second);
+    fs.writeFileSync(path.join(first, 'protocol.376012.map'), '');
+    fs.writeFileSync(path.join(second, 'protocol.376012.map'), '');
+    fs.writeFileSync(path.join(second, 'protocol.387463.map'), '');
+    fs.writeFileSync(path.join(second, 'sysmsg.376012.map'), '');
+    fs.writeFileSync(path.join(second, 'protocol.notes.map'), '');
+    const missing = path.join(root, 'missing');
+    
+    assert.deepEqual(findMapFiles([first, missing, second], 'protocol', 376012), [
+        path.join(first, 'protocol.376012.map'),
+        path.join(second, 'protocol.376012.map')
+    ]);
+    assert.deepEqual(findMapFiles([first, second], 'protocol'), [path.join(second, 'protocol.387463.map')]);
+    assert.deepEqual(findMapFiles([first, second], 'sysmsg'), [path.join(second, 'sysmsg.376012.map')]);
+    assert.deepEqual(findMapFiles([missing], 'protocol'), []);
+});
+
+test('reads dispatch maps given as a Map or an object', () => {
+    assert.deepEqual(fromDispatchMap(new Map([[100, 'S_CHAT'], ['101', 'C_CHAT'], [102, 7]])), { 100: 'S_CHAT', 101: 'C_CHAT' });
+    assert.deepEqual(fromDispatchMap({ 100: 'S_CHAT', name: 'S_BAD' }), { 100: 'S_CHAT' });
+    assert.deepEqual(fromDispatchMap(null), {});
+});
+
+test('earlier layers win and every name remembers its source', () => {
+    const { map, sources } = mergeOpcodeMaps([
+        { source: 'dispatch', map: { 100: 'S_CHAT' } },
+        { source: 'extra/protocol.1.map', map: { 100: 'S_OLD_CHAT', 101: 'C_CHAT' } }
+    ]);
+    assert.deepEqual(map, { 100: 'S_CHAT', 101: 'C_CHAT' });
+    assert.deepEqual(sources, { 100: 'dispatch', 101: 'extra/protocol.1.map' });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPacketStyle, needsDecodedFields, formatHexDump, formatTextEntry, formatJsonEntry } = require('../lib/output');
+
+const data = Buffer.from('1400640048656c6c6f2c20776f726c64210a0001ff', 'hex');
+const entry = { time: '2026-10-19T14:05:01.123Z', direction: 'RECEIVED', opcode: 100, name: 'S_CHAT', size: data.length, data, flags: {} };
+
+// The output settings of the shipped config.json
+const defaultOutput = {
+    includeTimestamp: true,
+    includeDirection: true,
+    includeOpcode: true,
+    includeSize: true,
+    includeHexData: true,
+    includeParsedData: false,
+    format: 'text',
+    payloadEncoding: 'hex',
+    hexStyle: 'full',
+    hexBytes: 64,
+    packetStyles: {}
+};
+
+const options = (output = {}) => ({ output: { ...defaultOutput, ...output }, showOpcodeNames: true, debug: false });
+
+test('packet styles override the output settings by name or opcode', () => {
+    const output = {
+        ...defaultOutput,
+        packetStyles: { S_CHAT: { hexStyle: 'dump' }, 101: { hexStyle: 'truncate', hexBytes: 4 } }
+    };
+    assert.equal(getPacketStyle(output, entry).hexStyle, 'dump');
+    const byOpcode = getPacketStyle(output, { name: 'C_X', opcode: 101 });
+    assert.deepEqual([byOpcode.hexStyle, byOpcode.hexBytes], ['truncate', 4]);
+    assert.equal(getPacketStyle(output, { name: 'C_Y', opcode: 102 }).hexStyle, 'full');
+    
+    // Hidden payloads stay hidden unless the packet asks for its own style
+    const hidden = { ...output, includeHexData: false };
+    assert.equal(getPacketStyle(hidden, { name: 'C_Y', opcode: 102 }).hexStyle, 'none');
+    assert.equal(getPacketStyle(hidden, entry).hexStyle, 'dump');
+    
+    // Unknown styles and missing byte counts fall back
+    const fallback = getPacketStyle({ includeHexData: true, hexStyle: 'fancy', hexBytes: -1 }, entry);
+    assert.deepEqual([fallback.hexStyle, fallback.hexBytes], ['full', 64]);
+});
+
+test('decodes fields only for dumps and field lists', () => {
+    assert.equal(needsDecodedFields(options().output, entry), false);
+    assert.equal(needsDecodedFields(options({ hexStyle: 'dump' }).output, entry), true);
+    assert.equal(needsDecodedFields(options({ includeParsedData: true }).output, entry), true);
+});
+
+test('dumps 16 bytes per line with ASCII and field starts', () => {
+    assert.deepEqual(formatHexDump(data), [
+        '0000  14 00 64 00 48 65 6c 6c 6f 2c 20 77 6f 72 6c 64  ..d.Hello, world',
+        '0010  21 0a 00 01 ff                                   !....'
+    ]);
+    
+    // Only the innermost ranges are marked
+    const ranges = [
+        { path: 'text', start: 4, end: 17 },
+        { path: 'flags', start: 18, end: 21 },
+        { path: 'flags.low', start: 18, end: 19 },
+        { path: 'flags.high', start: 19, end: 21 }
+    ];
+    assert.deepEqual(formatHexDump(data, ranges), [
+        '0000  14 00 64 00|48 65 6c 6c 6f 2c 20 77 6f 72 6c 64  ..d.Hello, world  text',
+        '0010  21 0a|00|01 ff                                   !....             flags.low, flags.high'
+    ]);
+});
+
+test('truncates payloads after hexBytes bytes and says how much is left out', () => {
+    const line = formatTextEntry(entry, options({ hexStyle: 'truncate', hexBytes: 4, includeTimestamp: false }));
+    assert.equal(line, '[RECEIVED] [S_CHAT (100)] [21 bytes] [14006400... (+17 bytes)]\n');
+    const short = formatTextEntry(entry, options({ hexStyle: 'truncate', hexBytes: 64, includeTimestamp: false }));
+    assert.equal(short, `[RECEIVED] [S_CHAT (100)] [21 bytes] [${data.toString('hex')}]\n`);
+});
+
+test('writes dumps and field lists below the packet line', () => {
+    const decoded = { fields: { text: 'Hello, world!', flags: { low: 0, high: 65281 } }, ranges: [{ path: 'text', start: 4, end: 17 }] };
+    const line = formatTextEntry({ ...entry, decoded }, options({ hexStyle: 'dump', includeParsedData: true, includeTimestamp: false }));
+    assert.deepEqual(line.split('\n'), [
+        '[RECEIVED] [S_CHAT (100)] [21 bytes] ',
+        '    0000  14 00 64 00|48 65 6c 6c 6f 2c 20 77 6f 72 6c 64  ..d.Hello, world  text',
+        '    0010  21 0a 00 01 ff                                   !....',
+        '    text = Hello, world!',
+        '    flags.low = 0',
+        '    flags.high = 65281',
+        ''
+    ]);
+    
+    // JSON has no dump: it gets the whole payload and the fields
+    const record = JSON.parse(formatJsonEntry({ ...entry, decoded }, options({ hexStyle: 'dump', includeParsedData: true })));
+    assert.equal(record.payload, data.toString('hex'));
+    assert.deepEqual(record.fields, decoded.fields);
+});
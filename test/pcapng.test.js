@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const pcapng = require('../lib/pcapng');
+const { readLogFile, readLogFileAsync } = require('../lib/log-reader');
+
+// Split a capture into its blocks, checking the framing every reader relies on
+function readBlocks(content) {
+    const blocks = [];
+    let offset = 0;
+    while (offset < content.length) {
+        const type = content.readUInt32LE(offset);
+        const length = content.readUInt32LE(offset + 4);
+        assert.equal(length % 4, 0, `block at ${offset} is not 32-bit aligned`);
+        assert.equal(content.readUInt32LE(offset + length - 4), length, `block at ${offset} has a different trailing length`);
+        blocks.push({ type, body: content.subarray(offset + 8, offset + length - 4) });
+        offset += length;
+    }
+    assert.equal(offset, content.length);
+    return blocks;
+}
+
+function capture() {
+    const start = 1760882400000000n;
+    return Buffer.concat([
+        pcapng.createSectionHeader('Packet Log Started'),
+        pcapng.createInterfaceDescription('tera'),
+        pcapng.createEnhancedPacket(Buffer.from('0700640001ff02', 'hex'), start, true, 'S_CHAT (100) [MODIFIED] | Bob: hi\nfield channel: 1 -> 2'),
+        pcapng.createEnhancedPacket(Buffer.from('04006500', 'hex'), start + 1500n, false, 'C_TEST (101) [FAKE]')
+    ]);
+}
+
+test('writes aligned blocks with matching lengths', () => {
+    const blocks = readBlocks(capture());
+    assert.deepEqual(blocks.map(block => block.type), [0x0A0D0D0A, 1, 6, 6]);
+    assert.equal(blocks[0].body.readUInt32LE(0), 0x1A2B3C4D);
+    assert.equal(blocks[1].body.readUInt16LE(0), pcapng.LINKTYPE_USER0);
+});
+
+test('stores the timestamp in microseconds across both halves', () => {
+    const timestampUs = 0x123456789ABn;
+    const [block] = readBlocks(pcapng.createEnhancedPacket(Buffer.from([4, 0, 1, 0]), timestampUs, true));
+    const high = BigInt(block.body.readUInt32LE(4));
+    const low = BigInt(block.body.readUInt32LE(8));
+    assert.equal((high << 32n) | low, timestampUs);
+    assert.equal(block.body.readUInt32LE(12), 4);
+    assert.equal(block.body.readUInt32LE(16), 4);
+});
+
+test('cuts comments that don\'t fit an option at a character boundary', () => {
+    // 3-byte characters, so the cut falls inside one
+    const comment = 'S_CHAT (100) | ' + '\u20ac'.repeat(30000);
+    const [block] = readBlocks(pcapng.createEnhancedPacket(Buffer.from([4, 0, 100, 0]), 0n, true, comment));
+    // Fixed fields, the padded packet, then epb_flags
+    const optionStart = 20 + 4 + 8;
+    assert.equal(block.body.readUInt16LE(optionStart), 1);
+    const length = block.body.readUInt16LE(optionStart + 2);
+    assert.ok(length <= 0xFFFF);
+    const value = block.body.subarray(optionStart + 4, optionStart + 4 + length).toString('utf8');
+    assert.ok(value.endsWith('\u20ac\n[comment truncated]'));
+    assert.ok(comment.startsWith(value.slice(0, -'\n[comment truncated]'.length)));
+    
+    // Section header comments are cut the same way
+    const [header] = readBlocks(pcapng.createSectionHeader('x'.repeat(70000)));
+    assert.ok(header.body.length < 0xFFFF + 64);
+});
+
+test('reads back packets, directions, flags and descriptions, also gzipped', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-pcapng-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'capture.pcapng');
+    fs.writeFileSync(file, capture());
+    fs.writeFileSync(`${file}.gz`, zlib.gzipSync(capture()));
+    
+    for (const name of [file, `${file}.gz`]) {
+        const { format, entries } = readLogFile(name);
+        assert.equal(format, 'pcapng');
+        assert.equal(entries.length, 2);
+        
+        const [received, sent] = entries;
+        assert.equal(received.direction, 'RECEIVED');
+        assert.equal(received.name, 'S_CHAT');
+        assert.equal(received.opcode, 100);
+        assert.equal(received.size, 7);
+        assert.equal(received.data.toString('hex'), '0700640001ff02');
+        assert.deepEqual(received.flags, { fake: false, modified: true, blocked: false });
+        assert.equal(received.description, 'Bob: hi');
+        assert.equal(received.time, '2025-10-19T14:00:00.000Z');
+        
+        assert.equal(sent.direction, 'SENT');
+        assert.equal(sent.opcode, 101);
+        assert.equal(sent.flags.fake, true);
+        assert.equal(sent.description, null);
+        assert.equal(sent.monotonicMs, 1);
+        assert.deepEqual(await readLogFileAsync(name), { format, entries });
+    }
+});
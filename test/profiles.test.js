@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const profiles = require('../lib/profiles');
+const { getDefaults } = require('../lib/config-schema');
+
+function currentConfig() {
+    const config = getDefaults();
+    config.filters.includeOpcode = ['S_CHAT'];
+    config.filters.where = 'channel == 2';
+    config.output.format = 'jsonl';
+    config.descriptionSet = ['S_CHAT'];
+    return config;
+}
+
+test('captures the current settings as a profile', () => {
+    const profile = profiles.captureProfile(currentConfig(), ['S_PING'], 'chat only');
+    assert.equal(profile.description, 'chat only');
+    assert.deepEqual(profile.blacklist, ['S_PING']);
+    assert.deepEqual(profile.filters.includeOpcode, ['S_CHAT']);
+    assert.equal(profile.output.format, 'jsonl');
+    assert.equal('description' in profiles.captureProfile(currentConfig(), []), false);
+    assert.equal(profiles.describeProfile(profile), 'jsonl, 1 included, where channel == 2, 1 blacklisted, 1 described');
+});
+
+test('replaces filters and output with defaults for what a profile leaves out', () => {
+    const config = currentConfig();
+    const { config: applied, blacklist, warnings } = profiles.applyProfile(config, ['S_PING'], {
+        filters: { excludeOpcode: ['S_MOVE'] },
+        output: { hexStyle: 'dump' }
+    });
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(applied.filters.includeOpcode, getDefaults().filters.includeOpcode);
+    assert.deepEqual(applied.filters.excludeOpcode, ['S_MOVE']);
+    assert.equal(applied.filters.where, getDefaults().filters.where);
+    assert.equal(applied.output.format, getDefaults().output.format);
+    assert.equal(applied.output.hexStyle, 'dump');
+    // No blacklist in the profile keeps the current one; the config itself is untouched
+    assert.deepEqual(blacklist, ['S_PING']);
+    assert.deepEqual(config.filters.includeOpcode, ['S_CHAT']);
+    
+    assert.deepEqual(profiles.applyProfile(config, ['S_PING'], { blacklist: [] }).blacklist, []);
+});
+
+test('rejects invalid profiles with every problem and warns about unknown settings', () => {
+    assert.throws(() => profiles.applyProfile(currentConfig(), [], 'chat'), /expected an object/);
+    assert.throws(
+        () => profiles.applyProfile(currentConfig(), [], { blacklist: [1], output: { format: 'xml' } }),
+        (error) => /^blacklist: expected a list/.test(error.message) && /; output\.format: /.test(error.message)
+    );
+    const { warnings } = profiles.applyProfile(currentConfig(), [], { colour: 'red' });
+    assert.deepEqual(warnings, ['colour: unknown profile setting, ignored']);
+});
+
+test('reads and writes profiles.json', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'packet-logger-profiles-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'profiles.json');
+    
+    assert.deepEqual(profiles.readProfiles(file), {});
+    profiles.writeProfiles(file, { chat: { useBlacklist: false } });
+    assert.deepEqual(profiles.readProfiles(file), { chat: { useBlacklist: false } });
+    
+    fs.writeFileSync(file, '{"profiles": []}');
+    assert.throws(() => profiles.readProfiles(file), /"profiles" must be an object/);
+    fs.writeFileSync(file, '{\n  "profiles": {,}\n}');
+    assert.throws(() => profiles.readProfiles(file), /^SyntaxError: line 2, column 16/);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { alignSequences, compileIgnorePatterns, diffLogs, diffLogsAsync, formatLogDiff } = require('../lib/sequence-diff');
+
+// Check that operations walk both sequences in order and only match equal items
+function checkAlignment(a, b, operations) {
+    let x = 0;
+    let y = 0;
+    for (const operation of operations) {
+        if (operation.type === 'match') {
+            assert.equal(operation.a, x++);
+            assert.equal(operation.b, y++);
+            assert.equal(a[operation.a], b[operation.b]);
+        } else if (operation.type === 'delete') {
+            assert.equal(operation.a, x++);
+        } else {
+            assert.equal(operation.b, y++);
+        }
+    }
+    assert.equal(x, a.length);
+    assert.equal(y, b.length);
+    return operations.filter(operation => operation.type !== 'match').length;
+}
+
+const entry = (direction, name, fields = {}) => ({ direction, name, opcode: 0, line: null, fields });
+
+test('aligns sequences with the fewest edits', () => {
+    const cases = [
+        [[], [], 0],
+        [[1, 2, 3], [1, 2, 3], 0],
+        [[], [1, 2], 2],
+        [[1, 2], [], 2],
+        [[1, 2, 3, 4], [1, 3, 4, 5], 2],
+        [[1, 2, 3, 1, 2, 2, 1], [3, 2, 1, 2, 1, 3], 5]
+    ];
+    for (const [a, b, edits] of cases) {
+        assert.equal(checkAlignment(a, b, alignSequences(a, b)), edits, `${a} -> ${b}`);
+    }
+});
+
+test('gives up when the sequences differ in more than maxEdits items', () => {
+    assert.throws(() => alignSequences([1, 2, 3], [4, 5, 6], 5), /the logs differ in more than 5 packets/);
+    assert.equal(alignSequences([1, 2, 3], [4, 5, 6], 6).length, 6);
+});
+
+test('ignore patterns match names at any depth and paths from the top', () => {
+    const [gameId, time, loc, memberId] = compileIgnorePatterns(['gameId', '*Time', 'target.loc', 'members[*].id']);
+    assert.equal(gameId.test('gameId'), true);
+    assert.equal(gameId.test('members[0].gameId'), true);
+    assert.equal(gameId.test('ownerGameId'), false);
+    assert.equal(time.test('startTime'), true);
+    assert.equal(time.test('buffs[1].endTime'), true);
+    assert.equal(loc.test('target.loc.x'), true);
+    assert.equal(loc.test('self.target.loc'), false);
+    assert.equal(memberId.test('members[3].id'), true);
+    assert.equal(memberId.test('members[3].idx'), false);
+    assert.deepEqual(compileIgnorePatterns(['', null]), []);
+});
+
+test('reports missing, inserted, moved and changed packets', () => {
+    const a = [
+        entry('SENT', 'C_LOGIN'),
+        entry('RECEIVED', 'S_LOGIN', { name: 'Bob', gameId: '1' }),
+        entry('RECEIVED', 'S_MOVE'),
+        entry('RECEIVED', 'S_CHAT', { message: 'hi' }),
+        entry('RECEIVED', 'S_OLD')
+    ];
+    const b = [
+        entry('SENT', 'C_LOGIN'),
+        entry('RECEIVED', 'S_LOGIN', { name: 'Bobby', gameId: '2' }),
+        entry('RECEIVED', 'S_CHAT', { message: 'hi' }),
+        entry('RECEIVED', 'S_MOVE'),
+        entry('RECEIVED', 'S_NEW')
+    ];
+    const result = diffLogs(a, b, { decode: item => item.fields, ignore: ['gameId'] });
+    assert.deepEqual(result.counts, { packetsA: 5, packetsB: 5, matched: 3, missing: 1, inserted: 1, moved: 1, changed: 1, undecoded: 0 });
+    assert.deepEqual(result.items.map(item => item.type).sort(), ['changed', 'inserted', 'missing', 'moved']);
+    const changed = result.items.find(item => item.type === 'changed');
+    assert.deepEqual(changed.fields, [{ path: 'name', before: 'Bob', after: 'Bobby' }]);
+});
+
+test('the same name in the other direction is a different packet', () => {
+    const result = diffLogs([entry('SENT', 'C_PING')], [entry('RECEIVED', 'C_PING')]);
+    assert.equal(result.counts.missing, 1);
+    assert.equal(result.counts.inserted, 1);
+    assert.equal(result.counts.moved, 0);
+});
+
+test('compares decoded 64-bit values and blobs with the fields stored in JSON lines', () => {
+    const decoded = entry('RECEIVED', 'S_ITEM', { id: 18446744073709551615n, data: Buffer.from([1, 2]) });
+    const logged = entry('RECEIVED', 'S_ITEM', { id: '18446744073709551615', data: '0102' });
+    const result = diffLogs([decoded], [logged], { decode: item => item.fields });
+    assert.equal(result.counts.changed, 0);
+    assert.deepEqual(result.items, []);
+});
+
+test('counts pairs that cannot be decoded instead of comparing them', () => {
+    const result = diffLogs([entry('RECEIVED', 'S_CHAT')], [entry('RECEIVED', 'S_CHAT')]);
+    assert.equal(result.counts.undecoded, 1);
+    assert.equal(result.counts.changed, 0);
+});
+
+test('the async diff gives the same result and lets other work run meanwhile', async () => {
+    // Every 7th packet differs, so the alignment takes many rounds
+    const names = ['S_MOVE', 'S_CHAT', 'S_SPAWN', 'S_DESPAWN'];
+    const a = Array.from({ length: 20000 }, (_, i) => entry('RECEIVED', names[i % 4], { value: i }));
+    const b = a.map((item, i) => i % 7 === 0 ? entry('RECEIVED', 'S_OTHER') : entry('RECEIVED', item.name, { value: i % 3 === 0 ? -i : i }));
+    const options = { decode: item => item.fields, maxEdits: 10000 };
+    
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    const result = await diffLogsAsync(a, b, options);
+    clearInterval(timer);
+    assert.ok(ticks > 0);
+    assert.deepEqual(result, diffLogs(a, b, options));
+    
+    await assert.rejects(diffLogsAsync(a, b, { ...options, maxEdits: 100 }), /the logs differ in more than 100 packets/);
+});
+
+test('formats a readable report', () => {
+    const a = [entry('RECEIVED', 'S_CHAT', { channel: 1 }), entry('RECEIVED', 'S_GONE')];
+    const b = [entry('RECEIVED', 'S_CHAT', { channel: 2 })];
+    b[0].line = 40;
+    const result = diffLogs(a, b, { decode: item => item.fields });
+    assert.deepEqual(formatLogDiff(result, a, b, { nameA: 'old.log', nameB: 'new.log' }), [
+        'Comparing old.log (2 packets) with new.log (1 packets)',
+        '1 matched, 1 missing, 0 inserted, 0 moved, 1 with different fields',
+        '* #1 RECEIVED S_CHAT = #1 RECEIVED S_CHAT (line 40)',
+        '    field channel: 1 -> 2',
+        '- #2 RECEIVED S_GONE missing from new.log'
+    ]);
+    assert.equal(formatLogDiff(result, a, b, { maxItems: 1 }).pop(), '... and 1 more differences');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPacketStats } = require('../lib/stats');
+
+// Timestamps within one second, starting at a whole second
+const at = (seconds, ms = 0) => 1760882400000 + seconds * 1000 + ms;
+
+test('counts packets and sizes per opcode and direction', () => {
+    const stats = createPacketStats(10);
+    stats.record('RECEIVED', 100, 'S_CHAT', 20, at(0));
+    stats.record('RECEIVED', 100, 'S_CHAT', 40, at(0, 500));
+    stats.record('SENT', 100, 'S_CHAT', 10, at(1));
+    assert.equal(stats.size(), 2);
+    
+    const [received, sent] = stats.list('count', at(1));
+    assert.deepEqual(
+        { direction: received.direction, count: received.count, bytes: received.bytes, minSize: received.minSize, avgSize: received.avgSize, maxSize: received.maxSize },
+        { direction: 'RECEIVED', count: 2, bytes: 60, minSize: 20, avgSize: 30, maxSize: 40 }
+    );
+    assert.equal(received.firstSeen, new Date(at(0)).toISOString());
+    assert.equal(received.lastSeen, new Date(at(0, 500)).toISOString());
+    assert.equal(sent.count, 1);
+});
+
+test('averages the rate over the window and remembers the busiest second', () => {
+    const stats = createPacketStats(4);
+    for (let i = 0; i < 8; i++) stats.record('RECEIVED', 1, 'S_STORM', 10, at(0, i * 100));
+    stats.record('RECEIVED', 1, 'S_STORM', 10, at(1));
+    stats.record('RECEIVED', 1, 'S_STORM', 10, at(2));
+    
+    let [stat] = stats.list('count', at(2));
+    assert.equal(stat.rate, 10 / 4);
+    assert.equal(stat.peakRate, 8);
+    
+    // The burst leaves the window after windowSeconds, the peak stays
+    [stat] = stats.list('count', at(4));
+    assert.equal(stat.rate, 2 / 4);
+    [stat] = stats.list('count', at(10));
+    assert.equal(stat.rate, 0);
+    assert.equal(stat.peakRate, 8);
+    
+    // A bucket reused for a later second starts from zero
+    stats.record('RECEIVED', 1, 'S_STORM', 10, at(4));
+    [stat] = stats.list('count', at(4));
+    assert.equal(stat.rate, 3 / 4);
+});
+
+test('ranks by the chosen key, then by name', () => {
+    const stats = createPacketStats(10);
+    stats.record('RECEIVED', 1, 'S_B', 100, at(0));
+    stats.record('RECEIVED', 2, 'S_A', 10, at(0));
+    stats.record('RECEIVED', 2, 'S_A', 10, at(0));
+    stats.record('RECEIVED', 3, 'S_C', 100, at(0));
+    
+    assert.deepEqual(stats.list('count', at(0)).map(stat => stat.name), ['S_A', 'S_B', 'S_C']);
+    assert.deepEqual(stats.list('max', at(0)).map(stat => stat.name), ['S_B', 'S_C', 'S_A']);
+    assert.deepEqual(stats.list('nonsense', at(0)).map(stat => stat.name), ['S_A', 'S_B', 'S_C']);
+});
+
+test('exports CSV with quoted names and JSON with the window', () => {
+    const stats = createPacketStats(5);
+    stats.record('SENT', 7, 'C_ODD,"NAME"', 3, at(0));
+    stats.record('SENT', 7, 'C_ODD,"NAME"', 4, at(0));
+    
+    const [header, row] = stats.exportSnapshot('csv').trimEnd().split('\n');
+    assert.equal(header, 'name,opcode,direction,count,bytes,minSize,avgSize,maxSize,rate,peakRate,firstSeen,lastSeen');
+    assert.match(row, /^"C_ODD,""NAME""",7,SENT,2,7,3,3\.50,4,/);
+    
+    const exported = JSON.parse(stats.exportSnapshot('json'));
+    assert.equal(exported.windowSeconds, 5);
+    assert.equal(exported.packets[0].count, 2);
+    
+    stats.reset();
+    assert.equal(stats.size(), 0);
+    assert.deepEqual(JSON.parse(stats.exportSnapshot('json')).packets, []);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatValue, parsePath, compileTemplate, renderTemplate, formatPacketData } = require('../lib/template');
+
+const fields = {
+    name: 'Bob',
+    channel: 2,
+    gameId: 0xFFFFFFFFFFFFFFFFn,
+    w: Math.PI,
+    loc: { x: 1, y: 2.5, z: -3.125 },
+    skill: { id: 67120, type: 1, npc: false, reserved: 0 },
+    buffs: [{ id: 7, stacks: 1 }, { id: 8, stacks: 3 }],
+    data: Buffer.from([0xab, 0xcd]),
+    target: 0n
+};
+
+test('formats values for reading', () => {
+    assert.equal(formatValue(fields.loc), '(1.00, 2.50, -3.13)');
+    assert.equal(formatValue(fields.skill), '67120');
+    assert.equal(formatValue(fields.buffs), '[{id: 7, stacks: 1}, {id: 8, stacks: 3}]');
+    assert.equal(formatValue(fields.data), 'abcd');
+    assert.equal(formatValue(fields.gameId), '18446744073709551615');
+});
+
+test('parses dotted paths and array indexes', () => {
+    assert.deepEqual(parsePath('buffs[0].id'), ['buffs', '0', 'id']);
+    assert.deepEqual(parsePath('buffs[-1]'), ['buffs', '-1']);
+    assert.throws(() => parsePath('buffs[x]'), /invalid field path "buffs\[x\]"/);
+    assert.throws(() => parsePath(''), /invalid field path/);
+});
+
+test('renders fields, paths and negative indexes', () => {
+    assert.equal(renderTemplate('{name} at {loc.x}, last buff {buffs[-1].id}', fields), 'Bob at 1, last buff 8');
+});
+
+test('applies chained format specifiers', () => {
+    assert.equal(renderTemplate('{gameId:hex} {channel:hex} {w:deg:.0f} {loc:.1f} {channel:dec}', fields), '0xffffffffffffffff 0x2 180 (1.0, 2.5, -3.1) 2');
+    assert.equal(renderTemplate('{buffs[0]:json}', fields), '{"id":7,"stacks":1}');
+});
+
+test('looks values up in maps and leaves unmapped values alone', () => {
+    const maps = { chatChannels: { 2: 'Guild' } };
+    assert.equal(renderTemplate('[{channel:@chatChannels}]', fields, { maps }), '[Guild]');
+    assert.equal(renderTemplate('[{channel:@missing}]', fields, { maps }), '[2]');
+    assert.equal(renderTemplate('[{buffs[0].id:@chatChannels}]', fields, { maps }), '[7]');
+});
+
+test('calls extra specifiers with the render context', () => {
+    const specifiers = { name: (value, context) => `${context.maps.prefix.text}${value}` };
+    assert.equal(renderTemplate('{gameId:name}', fields, { specifiers, maps: { prefix: { text: 'id ' } } }), 'id 18446744073709551615');
+});
+
+test('renders conditionals with else and negation', () => {
+    assert.equal(renderTemplate('{#if buffs}buffed{#else}clean{/if}', fields), 'buffed');
+    assert.equal(renderTemplate('{#if target}target{#else}no target{/if}', fields), 'no target');
+    assert.equal(renderTemplate('{#if !missing}no field{/if}', fields), 'no field');
+    assert.equal(renderTemplate('{#if buffs[5]}x{/if}', fields), '');
+});
+
+test('loops with separators, this and the index, reaching outer fields', () => {
+    assert.equal(renderTemplate('{#each buffs ", "}{@index}:{id}x{stacks} of {name}{/each}', fields), '0:7x1 of Bob, 1:8x3 of Bob');
+    assert.equal(renderTemplate('{#each list "/"}{this}{/each}', { list: [1, 2, 3] }), '1/2/3');
+    assert.equal(renderTemplate('{#each name}x{/each}', fields), '');
+});
+
+test('keeps literal braces and placeholders of unknown fields', () => {
+    assert.equal(renderTemplate('{{literal}} {nope} {loc.w}', fields), '{literal} {nope} {loc.w}');
+});
+
+test('rejects malformed templates', () => {
+    assert.throws(() => compileTemplate('{name'), /unclosed "\{" at position 0/);
+    assert.throws(() => compileTemplate('{#if name}x'), /unclosed \{#if\}/);
+    assert.throws(() => compileTemplate('{#else}'), /\{#else\} without \{#if\}/);
+    assert.throws(() => compileTemplate('{#each buffs}{/if}'), /\{\/if\} without \{#if\}/);
+    assert.throws(() => compileTemplate('{#while x}'), /unknown block \{#while x\}/);
+    assert.throws(() => compileTemplate('{name:shout}'), /unknown format specifier "shout"/);
+});
+
+test('formatPacketData returns null for missing formats and broken templates', () => {
+    assert.equal(formatPacketData({ format: '{name}!', fields }), 'Bob!');
+    assert.equal(formatPacketData({ fields }), null);
+    assert.equal(formatPacketData({ format: '{#if name}', fields }), null);
+    assert.equal(formatPacketData(null), null);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRingBuffer, compileTriggers } = require('../lib/trigger');
+
+const entry = (monotonicMs) => ({ monotonicMs });
+const times = (entries) => entries.map(item => item.monotonicMs);
+
+test('keeps the last maxPackets packets', () => {
+    const buffer = createRingBuffer(3, 0);
+    [0, 1, 2, 3, 4].forEach(time => buffer.push(entry(time)));
+    assert.equal(buffer.size(), 3);
+    assert.deepEqual(times(buffer.drain(5)), [2, 3, 4]);
+    assert.equal(buffer.size(), 0);
+    assert.deepEqual(buffer.drain(5), []);
+});
+
+test('drops packets older than maxSeconds, also when drained later', () => {
+    const buffer = createRingBuffer(0, 2);
+    [0, 1000, 2500].forEach(time => buffer.push(entry(time)));
+    assert.deepEqual(times(buffer.drain(2500)), [1000, 2500]);
+    
+    [0, 1000, 2500].forEach(time => buffer.push(entry(time)));
+    assert.deepEqual(times(buffer.drain(4000)), [2500]);
+});
+
+test('stays in order while compacting over many packets', () => {
+    const buffer = createRingBuffer(100, 0);
+    for (let time = 0; time < 5000; time++) buffer.push(entry(time));
+    assert.equal(buffer.size(), 100);
+    const drained = buffer.drain(5000);
+    assert.deepEqual(times(drained), Array.from({ length: 100 }, (_, i) => 4900 + i));
+    
+    buffer.push(entry(1));
+    buffer.clear();
+    assert.equal(buffer.size(), 0);
+});
+
+// A packet as the logger hands it to triggers
+const packet = (direction, opcode, name, fields = {}) => ({ direction, size: 10, opcode, name, getFields: () => fields });
+
+test('matches triggers on opcode names or numbers, direction and fields', () => {
+    const { triggers, errors } = compileTriggers([
+        { name: 'death', opcode: 'S_CREATURE_LIFE', where: 'alive == false' },
+        { opcode: [100, 'C_CHAT'], direction: 'sent' }
+    ]);
+    assert.deepEqual(errors, []);
+    const [death, chat] = triggers;
+    assert.equal(chat.name, 'trigger 2');
+    
+    assert.equal(death.test(packet('RECEIVED', 5, 'S_CREATURE_LIFE', { alive: false })), true);
+    assert.equal(death.test(packet('RECEIVED', 5, 'S_CREATURE_LIFE', { alive: true })), false);
+    assert.equal(death.test(packet('RECEIVED', 6, 'S_OTHER', { alive: false })), false);
+    
+    assert.equal(chat.test(packet('SENT', 100, 'S_WHATEVER')), true);
+    assert.equal(chat.test(packet('SENT', 101, 'C_CHAT')), true);
+    assert.equal(chat.test(packet('RECEIVED', 101, 'C_CHAT')), false);
+});
+
+test('leaves out invalid triggers and says why', () => {
+    const { triggers, errors } = compileTriggers([
+        { name: 'empty' },
+        { name: 'sideways', opcode: 'S_CHAT', direction: 'up' },
+        { name: 'broken', where: 'hp >' },
+        { name: 'fine', where: 'hp < 10' }
+    ]);
+    assert.deepEqual(triggers.map(trigger => trigger.name), ['fine']);
+    assert.deepEqual(errors.map(error => error.name), ['empty', 'sideways', 'broken']);
+    assert.equal(errors[0].message, 'needs an opcode or a where expression');
+    assert.equal(errors[1].message, 'unknown direction up');
+    assert.deepEqual(compileTriggers(undefined), { triggers: [], errors: [] });
+});
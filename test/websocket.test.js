@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { acceptWebSocket } = require('../lib/websocket');
+
+// A socket that records what the server writes
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.ended = null;
+    socket.writableLength = 0;
+    socket.write = (data) => socket.written.push(Buffer.from(data));
+    socket.end = (data) => {
+        socket.ended = data === undefined ? Buffer.alloc(0) : Buffer.from(data);
+    };
+    socket.destroy = () => {};
+    return socket;
+}
+
+const request = (headers) => ({ headers: { upgrade: 'websocket', 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==', ...headers } });
+
+// A frame as a browser sends it: always masked
+function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+    const data = Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!masked) return Buffer.concat([header, data]);
+    
+    header[1] |= 0x80;
+    const mask = crypto.randomBytes(4);
+    return Buffer.concat([header, mask, data.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+// Decode an unmasked server frame
+function serverFrame(buffer) {
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    assert.equal(buffer[1] & 0x80, 0, 'servers never mask');
+    assert.equal(buffer.length, offset + length);
+    return { fin: (buffer[0] & 0x80) !== 0, opcode: buffer[0] & 0x0F, payload: buffer.subarray(offset) };
+}
+
+function connect() {
+    const socket = fakeSocket();
+    const messages = [];
+    let closed = 0;
+    const connection = acceptWebSocket(request(), socket, {
+        onMessage: text => messages.push(text),
+        onClose: () => closed++
+    });
+    socket.written.length = 0;
+    return { socket, connection, messages, closedCount: () => closed };
+}
+
+const closeCode = (socket) => serverFrame(socket.ended).payload.readUInt16BE(0);
+
+test('answers the handshake with the accept key from RFC 6455', () => {
+    const socket = fakeSocket();
+    assert.notEqual(acceptWebSocket(request(), socket), null);
+    const response = socket.written[0].toString();
+    assert.match(response, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+    assert.match(response, /\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n\r\n$/);
+});
+
+test('refuses requests that are not WebSocket upgrades', () => {
+    for (const headers of [{ upgrade: 'h2c' }, { 'sec-websocket-key': undefined }]) {
+        const socket = fakeSocket();
+        assert.equal(acceptWebSocket(request(headers), socket), null);
+        assert.match(socket.ended.toString(), /^HTTP\/1\.1 400 Bad Request/);
+    }
+});
+
+test('sends text frames with the right length encoding', () => {
+    const { socket, connection } = connect();
+    for (const size of [5, 125, 126, 70000]) {
+        connection.send('x'.repeat(size));
+        const frame = serverFrame(socket.written.pop());
+        assert.equal(frame.fin, true);
+        assert.equal(frame.opcode, 1);
+        assert.equal(frame.payload.length, size);
+    }
+});
+
+test('unmasks text messages, also split across chunks and frames', () => {
+    const { socket, messages } = connect();
+    socket.emit('data', clientFrame(1, '{"type":"filters"}'));
+    assert.deepEqual(messages, ['{"type":"filters"}']);
+    
+    // One frame arriving in pieces, then two in one chunk
+    const frame = clientFrame(1, 'é'.repeat(200));
+    socket.emit('data', frame.subarray(0, 3));
+    socket.emit('data', frame.subarray(3, 100));
+    assert.equal(messages.length, 1);
+    socket.emit('data', Buffer.concat([frame.subarray(100), clientFrame(1, 'next')]));
+    assert.deepEqual(messages.slice(1), ['é'.repeat(200), 'next']);
+    
+    // A fragmented message with a ping in between
+    socket.emit('data', clientFrame(1, 'hel', { fin: false }));
+    socket.emit('data', clientFrame(9, 'ping'));
+    socket.emit('data', clientFrame(0, 'lo'));
+    assert.equal(messages[3], 'hello');
+    const pong = serverFrame(socket.written.pop());
+    assert.equal(pong.opcode, 0xA);
+    assert.equal(pong.payload.toString(), 'ping');
+});
+
+test('ignores binary messages', () => {
+    const { socket, messages } = connect();
+    socket.emit('data', clientFrame(2, 'binary'));
+    assert.deepEqual(messages, []);
+    assert.equal(socket.ended, null);
+});
+
+test('closes on unmasked frames, stray continuations, unknown opcodes and oversized messages', () => {
+    const cases = [
+        [clientFrame(1, 'hi', { masked: false }), 1002],
+        [clientFrame(0, 'hi'), 1002],
+        [clientFrame(3, 'hi'), 1002],
+        [clientFrame(1, 'x'.repeat(64 * 1024 + 1)), 1009],
+        [Buffer.concat([clientFrame(1, 'x'.repeat(40000), { fin: false }), clientFrame(0, 'x'.repeat(40000))]), 1009]
+    ];
+    for (const [data, code] of cases) {
+        const { socket, messages } = connect();
+        socket.emit('data', data);
+        assert.equal(closeCode(socket), code);
+        assert.deepEqual(messages, []);
+    }
+});
+
+test('answers a close frame, then stops sending', () => {
+    const { socket, connection, closedCount } = connect();
+    socket.emit('data', clientFrame(8, Buffer.from([0x03, 0xE8])));
+    assert.equal(closeCode(socket), 1000);
+    
+    connection.send('too late');
+    assert.deepEqual(socket.written, []);
+    socket.emit('close');
+    assert.equal(closedCount(), 1);
+});